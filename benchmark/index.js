@@ -0,0 +1,148 @@
+/**
+ * Parser Accuracy Benchmark
+ * Runs parseCV under Node over a folder of sample CVs, each next to its hand-labelled
+ * <name>.expected.json, and reports precision and recall per field (see metrics.js).
+ * Fails (exit code 1) when a field drops below the stored baseline.
+ *
+ * Usage: npm run benchmark -- [corpus folder] [--verbose] [--update-baseline]
+ * - corpus folder: default benchmark/corpus
+ * - --verbose: list every missed and extra value per CV
+ * - --update-baseline: store the current results as the baseline (after an improvement)
+ */
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCV } from '../src/services/parser.js';
+import {
+  scoreCV,
+  sumCounts,
+  calculateMetrics,
+  findRegressions,
+  BENCHMARK_FIELDS,
+} from './metrics.js';
+
+const BENCHMARK_DIR = fileURLToPath(new URL('.', import.meta.url));
+const BASELINE_PATH = join(BENCHMARK_DIR, 'baseline.json');
+const LABEL_SUFFIX = '.expected.json';
+
+async function main(args) {
+  const options = {
+    verbose: args.includes('--verbose'),
+    updateBaseline: args.includes('--update-baseline'),
+  };
+  const corpusDir = resolve(
+    args.find((arg) => !arg.startsWith('--')) || join(BENCHMARK_DIR, 'corpus')
+  );
+
+  const samples = await findSamples(corpusDir);
+  if (samples.length === 0) {
+    console.error(`No labelled CVs found in ${corpusDir}`);
+    return 1;
+  }
+
+  const results = [];
+  for (const sample of samples) {
+    results.push(await runSample(sample, options));
+  }
+
+  const metrics = calculateMetrics(sumCounts(results.map((result) => result.counts)));
+  printMetrics(metrics, samples.length);
+
+  if (options.updateBaseline) {
+    await writeFile(
+      BASELINE_PATH,
+      `${JSON.stringify({ cvs: samples.length, metrics }, null, 2)}\n`
+    );
+    console.log(`\nBaseline updated: ${BASELINE_PATH}`);
+    return 0;
+  }
+
+  const baseline = await readBaseline();
+  if (!baseline) {
+    console.log('\nNo baseline stored yet; run with --update-baseline to store one.');
+    return 0;
+  }
+
+  const regressions = findRegressions(metrics, baseline.metrics);
+  if (regressions.length > 0) {
+    console.error('\nBelow baseline:');
+    regressions.forEach(({ field, metric, value, baseline: stored }) =>
+      console.error(`  ${field} ${metric}: ${formatRatio(value)} (baseline ${formatRatio(stored)})`)
+    );
+    return 1;
+  }
+  console.log('\nNo field is below the baseline.');
+  return 0;
+}
+
+// Every CV file with a label file next to it; unlabelled files are reported and skipped
+async function findSamples(corpusDir) {
+  const names = (await readdir(corpusDir)).sort();
+  const labels = new Set(names.filter((name) => name.endsWith(LABEL_SUFFIX)));
+  const samples = [];
+  names
+    .filter((name) => !labels.has(name))
+    .forEach((name) => {
+      const labelName = `${name.replace(/\.[^.]+$/, '')}${LABEL_SUFFIX}`;
+      if (labels.has(labelName)) {
+        samples.push({ name, path: join(corpusDir, name), labelPath: join(corpusDir, labelName) });
+      } else {
+        console.warn(`Skipping ${name}: no ${labelName}`);
+      }
+    });
+  return samples;
+}
+
+// A CV that fails to parse is scored as finding nothing
+async function runSample(sample, { verbose }) {
+  const expected = JSON.parse(await readFile(sample.labelPath, 'utf8'));
+  const file = new File([await readFile(sample.path)], sample.name);
+  const { extractedData, error } = await parseCV(file);
+  if (error) {
+    console.error(`${sample.name}: ${error.message}`);
+  }
+
+  const { counts, misses } = scoreCV(expected, extractedData);
+  if (verbose && misses.length > 0) {
+    console.log(`\n${sample.name}`);
+    misses.forEach((miss) => console.log(`  ${miss}`));
+  }
+  return { counts, misses };
+}
+
+async function readBaseline() {
+  try {
+    return JSON.parse(await readFile(BASELINE_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+function printMetrics(metrics, cvs) {
+  console.log(`\nParser accuracy over ${cvs} CVs\n`);
+  console.log(`${'Field'.padEnd(22)}${'Precision'.padStart(10)}${'Recall'.padStart(10)}`);
+  BENCHMARK_FIELDS.forEach((field) => {
+    const { precision, recall } = metrics[field];
+    console.log(
+      `${field.padEnd(22)}${formatRatio(precision).padStart(10)}${formatRatio(recall).padStart(10)}`
+    );
+  });
+}
+
+function formatRatio(value) {
+  return value === null ? '-' : value.toFixed(3);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(`Benchmark failed: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
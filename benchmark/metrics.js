@@ -0,0 +1,242 @@
+/**
+ * Parser Benchmark Metrics
+ * Scores parseCV output against a hand-labelled expected JSON, per field:
+ * - contact.<field>: a found value is right when it matches the label (phones by digits,
+ *   URLs without scheme or www, locations by city); a wrong value counts against both
+ *   precision and recall
+ * - skills: skill names, canonicalized (aliases such as "k8s" count as the skill)
+ * - experience / education: whole entries; an entry is right only when every labelled
+ *   key matches, and each labelled entry matches at most one parsed entry
+ *
+ * Expected JSON: { personal: { name, email, phone, linkedin_url, location },
+ *   skills: [name], experience: [{ job_title, company, start_date, end_date }] (end_date
+ *   null for current roles), education: [{ degree_level, institution, graduation_year }] }
+ */
+
+import { canonicalizeSkill } from '../src/utils/skills.js';
+
+export const CONTACT_FIELDS = ['name', 'email', 'phone', 'linkedin_url', 'location'];
+
+// Report rows, in order; contact sums its sub-fields
+export const BENCHMARK_FIELDS = [
+  'contact',
+  ...CONTACT_FIELDS.map((field) => `contact.${field}`),
+  'skills',
+  'experience',
+  'education',
+];
+
+// Entry keys compared for list fields; parsed keys that differ from the label are mapped
+const ENTRY_KEYS = {
+  experience: {
+    job_title: (entry) => entry.job_title,
+    company: (entry) => entry.company,
+    start_date: (entry) => entry.start_date,
+    end_date: (entry) => (entry.is_current ? null : entry.end_date),
+  },
+  education: {
+    degree_level: (entry) => entry.degree_level,
+    institution: (entry) => entry.institution_normalized || entry.institution,
+    graduation_year: (entry) => entry.graduation_year,
+  },
+};
+
+// Rounding slack when comparing with the baseline
+const BASELINE_TOLERANCE = 0.001;
+
+/**
+ * Score one parsed CV against its labels
+ * @param {object} expected - Hand-labelled expected JSON
+ * @param {object} extractedData - parseCV output
+ * @returns {{counts: object, misses: Array<string>}} counts maps each BENCHMARK_FIELDS row
+ *   to {tp, fp, fn}; misses describes every false positive and negative
+ */
+export function scoreCV(expected, extractedData) {
+  const data = extractedData || {};
+  const counts = Object.fromEntries(BENCHMARK_FIELDS.map((field) => [field, emptyCount()]));
+  const misses = [];
+
+  CONTACT_FIELDS.forEach((field) => {
+    const label = expected.personal?.[field] ?? null;
+    const found = data.personal?.[field] ?? null;
+    const count = counts[`contact.${field}`];
+    if (found === null && label === null) {
+      return;
+    }
+    if (found !== null && label !== null && sameContact(field, found, label)) {
+      count.tp += 1;
+      return;
+    }
+    if (found !== null) {
+      count.fp += 1;
+    }
+    if (label !== null) {
+      count.fn += 1;
+    }
+    misses.push(`contact.${field}: expected ${format(label)}, got ${format(found)}`);
+  });
+  counts.contact = addCounts(CONTACT_FIELDS.map((field) => counts[`contact.${field}`]));
+
+  const skills = scoreSets(
+    (expected.skills || []).map(normalizeSkill),
+    (data.skills || []).map((skill) => normalizeSkill(skill.name))
+  );
+  counts.skills = skills.count;
+  skills.missed.forEach((skill) => misses.push(`skills: missed ${skill}`));
+  skills.extra.forEach((skill) => misses.push(`skills: extra ${skill}`));
+
+  Object.entries(ENTRY_KEYS).forEach(([field, keys]) => {
+    const result = scoreEntries(expected[field] || [], data[field] || [], keys);
+    counts[field] = result.count;
+    result.missed.forEach((entry) => misses.push(`${field}: missed ${format(entry)}`));
+    result.extra.forEach((entry) => misses.push(`${field}: extra ${format(entry)}`));
+  });
+
+  return { counts, misses };
+}
+
+/**
+ * Add up counts per field (e.g. over the corpus)
+ * @param {Array<object>} countsList - counts from scoreCV
+ * @returns {object} Same shape as one counts object
+ */
+export function sumCounts(countsList) {
+  return Object.fromEntries(
+    BENCHMARK_FIELDS.map((field) => [field, addCounts(countsList.map((counts) => counts[field]))])
+  );
+}
+
+/**
+ * Precision and recall per field
+ * @param {object} counts - From sumCounts
+ * @returns {object} Field -> {precision, recall}, each 0.000-1.000 or null when undefined
+ *   (nothing found, or nothing labelled)
+ */
+export function calculateMetrics(counts) {
+  return Object.fromEntries(
+    BENCHMARK_FIELDS.map((field) => {
+      const { tp, fp, fn } = counts[field];
+      return [field, { precision: ratio(tp, tp + fp), recall: ratio(tp, tp + fn) }];
+    })
+  );
+}
+
+/**
+ * Fields whose precision or recall dropped below the baseline
+ * @param {object} metrics - From calculateMetrics
+ * @param {object} baseline - Stored metrics (same shape)
+ * @returns {Array<{field: string, metric: string, value: number|null, baseline: number}>}
+ */
+export function findRegressions(metrics, baseline) {
+  const regressions = [];
+  BENCHMARK_FIELDS.forEach((field) => {
+    ['precision', 'recall'].forEach((metric) => {
+      const stored = baseline?.[field]?.[metric];
+      const value = metrics[field]?.[metric] ?? null;
+      if (typeof stored === 'number' && (value === null || value < stored - BASELINE_TOLERANCE)) {
+        regressions.push({ field, metric, value, baseline: stored });
+      }
+    });
+  });
+  return regressions;
+}
+
+function scoreSets(labelled, found) {
+  const expected = [...new Set(labelled)];
+  const parsed = [...new Set(found)];
+  const missed = expected.filter((item) => !parsed.includes(item));
+  const extra = parsed.filter((item) => !expected.includes(item));
+  return {
+    count: { tp: expected.length - missed.length, fp: extra.length, fn: missed.length },
+    missed,
+    extra,
+  };
+}
+
+function scoreEntries(labelled, found, keys) {
+  const unmatched = [...found];
+  const missed = [];
+  labelled.forEach((label) => {
+    const index = unmatched.findIndex((entry) =>
+      Object.keys(label).every((key) => sameValue(keys[key]?.(entry), label[key]))
+    );
+    if (index === -1) {
+      missed.push(label);
+    } else {
+      unmatched.splice(index, 1);
+    }
+  });
+  const extra = unmatched.map((entry) =>
+    Object.fromEntries(Object.entries(keys).map(([key, read]) => [key, read(entry) ?? null]))
+  );
+  return {
+    count: { tp: labelled.length - missed.length, fp: extra.length, fn: missed.length },
+    missed,
+    extra,
+  };
+}
+
+function sameContact(field, found, label) {
+  if (field === 'phone') {
+    return found.replace(/\D/g, '') === label.replace(/\D/g, '');
+  }
+  if (field === 'linkedin_url') {
+    return normalizeURL(found) === normalizeURL(label);
+  }
+  if (field === 'location') {
+    // The gazetteer may expand the region ("London, UK" -> "London, United Kingdom")
+    return sameValue(found.split(',')[0], label.split(',')[0]);
+  }
+  return sameValue(found, label);
+}
+
+function sameValue(found, label) {
+  return normalizeText(found) === normalizeText(label);
+}
+
+function normalizeText(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function normalizeURL(value) {
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\/(?:www\.)?/, '')
+    .replace(/\/+$/, '');
+}
+
+function normalizeSkill(name) {
+  return (canonicalizeSkill(name) || name).toLowerCase();
+}
+
+function addCounts(counts) {
+  return counts.reduce(
+    (sum, count) => ({ tp: sum.tp + count.tp, fp: sum.fp + count.fp, fn: sum.fn + count.fn }),
+    emptyCount()
+  );
+}
+
+function emptyCount() {
+  return { tp: 0, fp: 0, fn: 0 };
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+function format(value) {
+  return value === null ? 'nothing' : JSON.stringify(value);
+}
+
+export default {
+  scoreCV,
+  sumCounts,
+  calculateMetrics,
+  findRegressions,
+  BENCHMARK_FIELDS,
+  CONTACT_FIELDS,
+};
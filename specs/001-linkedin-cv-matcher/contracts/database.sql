@@ -16,6 +16,7 @@ CREATE TABLE IF NOT EXISTS public.user_profiles (
   subscription_tier TEXT DEFAULT 'free' CHECK (subscription_tier IN ('free', 'premium')),
   search_quota_remaining INT DEFAULT 10 CHECK (search_quota_remaining >= 0),
   quota_reset_at TIMESTAMPTZ DEFAULT (NOW() + INTERVAL '1 day'),
+  scoring_profile JSONB, -- Matcher scoring preference: { name, company, profile }; NULL = balanced
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -48,13 +49,20 @@ CREATE TABLE IF NOT EXISTS public.cv_metadata (
   file_type TEXT NOT NULL CHECK (file_type IN (
     'application/pdf',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
+    'text/plain',
+    'application/rtf',
+    'application/vnd.oasis.opendocument.text',
+    'text/html',
+    'text/markdown',
+    'application/json',
+    'application/zip'
   )),
   uploaded_at TIMESTAMPTZ DEFAULT NOW(),
   parsed_at TIMESTAMPTZ,
   parsing_status TEXT DEFAULT 'pending' CHECK (parsing_status IN ('pending', 'processing', 'completed', 'failed')),
   parsing_error TEXT,
   extracted_data JSONB,
+  user_corrections JSONB, -- Review-step corrections, kept apart from the parser output
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -154,6 +162,7 @@ CREATE TABLE IF NOT EXISTS public.profile_matches (
   shared_interests TEXT[] DEFAULT ARRAY[]::TEXT[],
   match_score NUMERIC(3,2) NOT NULL CHECK (match_score >= 0.00 AND match_score <= 1.00),
   conversation_starter TEXT,
+  matching_criteria JSONB, -- Per-component score breakdown and explanation, as for company_matches
   is_saved BOOLEAN DEFAULT FALSE,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW(),
@@ -179,7 +188,19 @@ USING (auth.uid() = user_id);
 -- =============================================================================
 
 -- Create storage bucket for CVs (run this via Supabase Dashboard or API)
--- INSERT INTO storage.buckets (id, name, public) VALUES ('cvs', 'cvs', false);
+-- Size limit and MIME types match MAX_CV_SIZE_BYTES and ALLOWED_FILE_TYPES in constants.js
+-- INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+-- VALUES ('cvs', 'cvs', false, 5242880, ARRAY[
+--   'application/pdf',
+--   'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+--   'text/plain',
+--   'application/rtf',
+--   'application/vnd.oasis.opendocument.text',
+--   'text/html',
+--   'text/markdown',
+--   'application/json',
+--   'application/zip'
+-- ]);
 
 -- Storage policy: Users can only access their own CV files
 -- CREATE POLICY "Users can upload their own CVs"
@@ -266,3 +287,17 @@ $$ LANGUAGE plpgsql;
 --    - Monitoring for RLS policy performance
 --    - Analytics queries (user growth, search patterns)
 -- 6. Data retention: Schedule a job to delete CVs older than 90 days inactive
+-- 7. Databases created before RTF/ODT/HTML/Markdown/JSON Resume/LinkedIn export support need the
+--    widened file_type check:
+--    ALTER TABLE public.cv_metadata DROP CONSTRAINT cv_metadata_file_type_check;
+--    ALTER TABLE public.cv_metadata ADD CONSTRAINT cv_metadata_file_type_check CHECK (file_type IN (
+--      'application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+--      'text/plain', 'application/rtf', 'application/vnd.oasis.opendocument.text', 'text/html',
+--      'text/markdown', 'application/json', 'application/zip'
+--    ));
+-- 8. Databases created before scoring profiles need the preference column:
+--    ALTER TABLE public.user_profiles ADD COLUMN IF NOT EXISTS scoring_profile JSONB;
+-- 9. Databases created before profile score breakdowns need:
+--    ALTER TABLE public.profile_matches ADD COLUMN IF NOT EXISTS matching_criteria JSONB;
+-- 10. Databases created before the review step need the corrections column:
+--    ALTER TABLE public.cv_metadata ADD COLUMN IF NOT EXISTS user_corrections JSONB;
@@ -0,0 +1,58 @@
+/**
+ * Match Breakdown Panel
+ * Expandable "why this match" panel for a ranked company or profile: how much each
+ * scoring component added to the match score, and the evidence behind it
+ * (matching_criteria.breakdown from the matcher). Reasons and evidence quote provider
+ * data (company descriptions, headlines), so every string is escaped.
+ */
+
+import { escapeHTML } from '../utils/ui.js';
+
+/**
+ * Render the panel
+ * @param {object} matchingCriteria - matching_criteria of a ranked company or profile
+ * @returns {string} HTML; empty for matches saved before breakdowns were recorded
+ */
+export function renderMatchBreakdown(matchingCriteria) {
+  const breakdown = matchingCriteria?.breakdown;
+  if (!breakdown?.length) {
+    return '';
+  }
+
+  return `
+    <details class="match-why">
+      <summary>Why this match</summary>
+      <p class="match-why-explanation">${escapeHTML(matchingCriteria.explanation)}</p>
+      <ul class="match-why-list">
+        ${breakdown.map(renderComponent).join('')}
+      </ul>
+    </details>
+  `;
+}
+
+function renderComponent(entry) {
+  const percent = (value) => Math.round(value * 100);
+  return `
+    <li class="match-why-item">
+      <div class="match-why-row">
+        <span class="match-why-label">${escapeHTML(entry.label)}</span>
+        <span class="match-why-points">+${percent(entry.contribution)} pts</span>
+      </div>
+      <div class="match-why-bar">
+        <span style="width: ${percent(entry.score)}%;"></span>
+      </div>
+      <div class="match-why-detail text-light">
+        ${percent(entry.score)}% match × ${percent(entry.weight)}% weight: ${escapeHTML(entry.reason)}
+      </div>
+      ${
+        entry.evidence.length > 0
+          ? `<div class="match-why-evidence">${escapeHTML(entry.evidence.join(', '))}</div>`
+          : ''
+      }
+    </li>
+  `;
+}
+
+export default {
+  renderMatchBreakdown,
+};
@@ -0,0 +1,132 @@
+/**
+ * Scoring Profile Control
+ * Picks a scoring profile and tunes its component weights on the companies and profiles
+ * pages. Every change is passed to onChange as a scoring preference (see scoring.js);
+ * the page re-ranks its results and saves it.
+ */
+
+import {
+  SCORING_PROFILES,
+  SCORING_COMPONENTS,
+  SCORING_COMPONENT_LABELS,
+  resolveScoringProfile,
+  buildScoringPreference,
+} from '../services/scoring.js';
+
+/**
+ * Render the control
+ * @param {HTMLElement} container
+ * @param {object} options
+ * @param {string} options.kind - 'company' or 'profile': the weights to show
+ * @param {object|null} options.preference - Saved scoring preference (null: default profile)
+ * @param {Function} options.onChange - Called with the new preference
+ */
+export function renderScoringControl(container, { kind, preference, onChange }) {
+  let resolved = resolveScoringProfile(preference);
+
+  container.innerHTML = `
+    <div class="scoring-control">
+      <div class="scoring-control-row">
+        <label class="form-label" for="scoring-profile">Scoring profile</label>
+        <select id="scoring-profile" class="form-select">
+          ${Object.entries(SCORING_PROFILES)
+            .map(([name, profile]) => `<option value="${name}">${profile.label}</option>`)
+            .join('')}
+        </select>
+        <button type="button" class="btn btn-secondary btn-sm" data-scoring-tune>Tune weights</button>
+      </div>
+      <p class="scoring-control-description text-light"></p>
+      <div class="scoring-weights" hidden>
+        ${SCORING_COMPONENTS[kind]
+          .map(
+            (component) => `
+          <label class="scoring-weight">
+            <span>${SCORING_COMPONENT_LABELS[component]}</span>
+            <input type="range" min="0" max="100" step="5" data-weight="${component}">
+            <span class="scoring-weight-value" data-weight-value="${component}"></span>
+          </label>
+        `
+          )
+          .join('')}
+        <p class="text-light">Weights are relative: they are scaled to add up to 100%.</p>
+        <button type="button" class="btn btn-secondary btn-sm" data-scoring-reset>
+          Reset to profile
+        </button>
+      </div>
+    </div>
+  `;
+
+  const select = container.querySelector('#scoring-profile');
+  const description = container.querySelector('.scoring-control-description');
+  const weightsPanel = container.querySelector('.scoring-weights');
+  const sliders = [...container.querySelectorAll('[data-weight]')];
+
+  const show = ({ sliders: moveSliders = true } = {}) => {
+    select.value = resolved.name;
+    description.textContent = `${SCORING_PROFILES[resolved.name].description}${
+      resolved.tuned ? ' (tuned)' : ''
+    }`;
+    if (moveSliders) {
+      sliders.forEach((slider) => {
+        slider.value = Math.round(resolved[kind][slider.dataset.weight] * 100);
+      });
+    }
+    showShares();
+  };
+
+  // Share of the total each slider stands for, as the matcher will use it
+  const showShares = () => {
+    const total = sliders.reduce((sum, slider) => sum + Number(slider.value), 0);
+    sliders.forEach((slider) => {
+      const share = total > 0 ? Math.round((Number(slider.value) / total) * 100) : 0;
+      container.querySelector(`[data-weight-value="${slider.dataset.weight}"]`).textContent =
+        `${share}%`;
+    });
+  };
+
+  const update = (nextPreference, options) => {
+    resolved = resolveScoringProfile(nextPreference);
+    show(options);
+    onChange(nextPreference);
+  };
+
+  select.addEventListener('change', () => update(buildScoringPreference(select.value)));
+
+  container.querySelector('[data-scoring-tune]').addEventListener('click', () => {
+    weightsPanel.hidden = !weightsPanel.hidden;
+  });
+
+  sliders.forEach((slider) => {
+    slider.addEventListener('input', showShares);
+    slider.addEventListener('change', () => {
+      if (sliders.every((other) => Number(other.value) === 0)) {
+        show();
+        return;
+      }
+      const weights = Object.fromEntries(
+        sliders.map((other) => [other.dataset.weight, Number(other.value) / 100])
+      );
+      // Weights of the other kind stay as they were tuned; sliders stay where they were put
+      update(
+        buildScoringPreference(resolved.name, {
+          company: resolved.company,
+          profile: resolved.profile,
+          [kind]: weights,
+        }),
+        { sliders: false }
+      );
+    });
+  });
+
+  // Only this page's weights; the other kind keeps its tuning
+  container.querySelector('[data-scoring-reset]').addEventListener('click', () => {
+    const otherKind = kind === 'company' ? 'profile' : 'company';
+    update(buildScoringPreference(resolved.name, { [otherKind]: resolved[otherKind] }));
+  });
+
+  show();
+}
+
+export default {
+  renderScoringControl,
+};
@@ -0,0 +1,26 @@
+/**
+ * Parser Extensions
+ * Register organization-specific extractors here. parser.js imports this module, so they
+ * run wherever CVs are parsed: the parser worker, the main-thread fallback and the
+ * benchmark. See services/extensions.js for what an extractor receives and returns.
+ *
+ * Example - stored as extracted_data.extensions.acme_clearance:
+ *
+ *   import { registerExtractor } from '../services/extensions.js';
+ *
+ *   registerExtractor('acme_clearance', ({ text }) => {
+ *     const level = text.match(/\b(BPSS|SC|DV)\s+clear(?:ance|ed)\b/i)?.[1];
+ *     return level ? { level: level.toUpperCase() } : {};
+ *   });
+ *
+ * Custom skills belong here too, so every parse path sees them (the parsing runner also
+ * forwards skills registered elsewhere on the main thread to the parser worker):
+ *
+ *   import { registerSkills } from '../utils/skills.js';
+ *
+ *   registerSkills([{ name: 'Solidity', aliases: ['sol'], group: 'language' }]);
+ *
+ * One module per extractor keeps them easy to review; import each one below.
+ */
+
+export {};
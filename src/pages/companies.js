@@ -2,10 +2,18 @@
  * Companies Search Page
  */
 
-import { searchCompanies } from '../services/linkedin.js';
+import { searchCompanies, buildSearchQuery } from '../services/linkedin.js';
 import { rankCompanies } from '../services/matcher.js';
-import { listUserCVs } from '../services/database.js';
-import { showLoading, showToast } from '../utils/ui.js';
+import {
+  listUserCVs,
+  getScoringPreference,
+  saveScoringPreference,
+  saveCompanyMatches,
+} from '../services/database.js';
+import { getCVData } from '../services/corrections.js';
+import { renderScoringControl } from '../components/scoring-profile.js';
+import { renderMatchBreakdown } from '../components/match-breakdown.js';
+import { showLoading, showToast, debounce, escapeHTML, safeURL } from '../utils/ui.js';
 
 export async function renderCompaniesPage(container, user) {
   showLoading(container, 'Loading companies...');
@@ -26,86 +34,67 @@ export async function renderCompaniesPage(container, user) {
     }
 
     const latestCV = cvs[0];
-    const cvData = latestCV.extracted_data;
+    const cvData = getCVData(latestCV);
 
     if (!cvData) {
       showToast('CV data not available. Please re-upload your CV.', 'error');
       return;
     }
 
+    // A missing or unreadable preference falls back to the default profile
+    const { data: preference } = await getScoringPreference(user.id);
+
     // Search for companies
-    const { companies, error: searchError } = await searchCompanies(
-      {
-        keywords: cvData.skills?.slice(0, 5).map((s) => s.name) || [],
-        industries: cvData.industries || [],
-      },
-      { limit: 20 }
-    );
+    const { companies, error: searchError } = await searchCompanies(buildSearchQuery(cvData), {
+      limit: 20,
+    });
 
     if (searchError) {
       throw searchError;
     }
 
-    // Rank companies
-    const rankedCompanies = rankCompanies(companies, cvData);
+    // Matches are stored with the scores and breakdowns the user last saw
+    const saveMatches = debounce(async (ranked) => {
+      const { error } = await saveCompanyMatches(user.id, latestCV.id, ranked);
+      if (error) {
+        showToast(`Failed to save matches: ${error.message}`, 'error');
+      }
+    }, 800);
+    const renderResults = (scoringPreference) => {
+      const ranked = rankCompanies(companies, cvData, scoringPreference);
+      container.querySelector('.results-list').innerHTML = renderCompanyCards(ranked);
+      saveMatches(ranked);
+    };
+    const savePreference = debounce(async (scoringPreference) => {
+      const { error } = await saveScoringPreference(user.id, scoringPreference);
+      if (error) {
+        showToast(`Failed to save scoring profile: ${error.message}`, 'error');
+      }
+    }, 800);
 
     container.innerHTML = `
       <div class="companies-page">
         <div class="search-header">
           <div>
             <h1>Recommended Companies</h1>
-            <p class="text-light">Based on your CV: ${latestCV.original_filename}</p>
+            <p class="text-light">Based on your CV: ${escapeHTML(latestCV.original_filename)}</p>
           </div>
+          <div data-scoring-control></div>
         </div>
 
-        <div class="results-list">
-          ${
-            rankedCompanies.length > 0
-              ? rankedCompanies
-                  .map(
-                    (company) => `
-              <div class="match-card">
-                <div class="match-card-header">
-                  <div>
-                    <h3 class="match-card-title">${company.name}</h3>
-                    <div class="match-card-subtitle">${company.industry || 'N/A'} • ${company.location || 'N/A'} • ${company.size || 'N/A'} employees</div>
-                  </div>
-                  <span class="match-score ${getScoreClass(company.match_score)}">
-                    ${Math.round(company.match_score * 100)}% Match
-                  </span>
-                </div>
-                <div class="match-card-body">
-                  <p>${company.description || 'No description available.'}</p>
-                  ${
-                    company.matching_criteria?.matched_skills?.length > 0
-                      ? `
-                    <div style="margin-top: 1rem;">
-                      <strong>Matching Skills:</strong>
-                      ${company.matching_criteria.matched_skills
-                        .map((skill) => `<span class="skill-tag technical">${skill}</span>`)
-                        .join('')}
-                    </div>
-                  `
-                      : ''
-                  }
-                </div>
-                <div class="match-card-footer">
-                  <a href="${company.linkedin_url}" target="_blank" rel="noopener" class="btn btn-primary btn-sm">
-                    View on LinkedIn
-                  </a>
-                  <button class="btn btn-secondary btn-sm" onclick="alert('Save feature coming soon!')">
-                    Save
-                  </button>
-                </div>
-              </div>
-            `
-                  )
-                  .join('')
-              : '<p>No companies found. Try uploading a different CV or refining your profile.</p>'
-          }
-        </div>
+        <div class="results-list"></div>
       </div>
     `;
+
+    renderScoringControl(container.querySelector('[data-scoring-control]'), {
+      kind: 'company',
+      preference,
+      onChange: (next) => {
+        renderResults(next);
+        savePreference(next);
+      },
+    });
+    renderResults(preference);
   } catch (error) {
     container.innerHTML = `
       <div class="alert alert-error">
@@ -115,6 +104,58 @@ export async function renderCompaniesPage(container, user) {
   }
 }
 
+/**
+ * Company match cards, best match first
+ * Everything shown comes from the search provider and is escaped
+ * @param {Array} rankedCompanies - From rankCompanies
+ * @returns {string} HTML
+ */
+function renderCompanyCards(rankedCompanies) {
+  return rankedCompanies.length > 0
+    ? rankedCompanies
+        .map(
+          (company) => `
+          <div class="match-card">
+            <div class="match-card-header">
+              <div>
+                <h3 class="match-card-title">${escapeHTML(company.name)}</h3>
+                <div class="match-card-subtitle">${escapeHTML(company.industry || 'N/A')} • ${escapeHTML(company.location || 'N/A')} • ${escapeHTML(company.size || 'N/A')} employees</div>
+              </div>
+              <span class="match-score ${getScoreClass(company.match_score)}">
+                ${Math.round(company.match_score * 100)}% Match
+              </span>
+            </div>
+            <div class="match-card-body">
+              <p>${escapeHTML(company.description || 'No description available.')}</p>
+              ${
+                company.matching_criteria?.matched_skills?.length > 0
+                  ? `
+                <div style="margin-top: 1rem;">
+                  <strong>Matching Skills:</strong>
+                  ${company.matching_criteria.matched_skills
+                    .map((skill) => `<span class="skill-tag technical">${escapeHTML(skill)}</span>`)
+                    .join('')}
+                </div>
+              `
+                  : ''
+              }
+              ${renderMatchBreakdown(company.matching_criteria)}
+            </div>
+            <div class="match-card-footer">
+              <a href="${safeURL(company.linkedin_url)}" target="_blank" rel="noopener" class="btn btn-primary btn-sm">
+                View on LinkedIn
+              </a>
+              <button class="btn btn-secondary btn-sm" onclick="alert('Save feature coming soon!')">
+                Save
+              </button>
+            </div>
+          </div>
+        `
+        )
+        .join('')
+    : '<p>No companies found. Try uploading a different CV or refining your profile.</p>';
+}
+
 function getScoreClass(score) {
   if (score >= 0.8) {
     return 'excellent';
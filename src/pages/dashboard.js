@@ -2,8 +2,12 @@
  * Dashboard Page
  */
 
-import { listUserCVs } from '../services/database.js';
-import { showLoading, formatDate } from '../utils/ui.js';
+import { listUserCVs, updateCVMetadata } from '../services/database.js';
+import { exportJSONResume } from '../services/jsonresume.js';
+import { getCVData } from '../services/corrections.js';
+import { reparseCV } from '../services/reparse.js';
+import { PARSING_STATUS } from '../utils/constants.js';
+import { showLoading, showToast, formatDate, downloadFile } from '../utils/ui.js';
 
 export async function renderDashboardPage(container, user) {
   showLoading(container, 'Loading dashboard...');
@@ -58,12 +62,23 @@ export async function renderDashboardPage(container, user) {
                           Uploaded ${formatDate(cv.uploaded_at)}
                         </div>
                       </div>
-                      <div>
+                      <div style="display: flex; gap: 0.5rem; align-items: center;">
+                        ${
+                          cv.extracted_data
+                            ? `<button class="btn btn-secondary btn-sm" data-export-cv="${cv.id}">Export JSON Resume</button>`
+                            : ''
+                        }
+                        ${
+                          cv.storage_path
+                            ? `<button class="btn btn-secondary btn-sm" data-reparse-cv="${cv.id}">Re-parse</button>`
+                            : ''
+                        }
                         <span class="badge badge-${cv.parsing_status === 'completed' ? 'success' : 'warning'}">
                           ${cv.parsing_status}
                         </span>
                       </div>
                     </div>
+                    <div class="reparse-result" data-reparse-result="${cv.id}"></div>
                   </div>
                 `
                   )
@@ -92,6 +107,21 @@ export async function renderDashboardPage(container, user) {
         </div>
       </div>
     `;
+
+    container.querySelectorAll('[data-export-cv]').forEach((button) => {
+      button.addEventListener('click', () => {
+        const cv = cvs.find((item) => item.id === button.dataset.exportCv);
+        exportCV(cv);
+      });
+    });
+
+    container.querySelectorAll('[data-reparse-cv]').forEach((button) => {
+      button.addEventListener('click', () => {
+        const cv = cvs.find((item) => item.id === button.dataset.reparseCv);
+        const result = container.querySelector(`[data-reparse-result="${cv.id}"]`);
+        reparse(cv, user, button, result, () => renderDashboardPage(container, user));
+      });
+    });
   } catch (error) {
     container.innerHTML = `
       <div class="alert alert-error">
@@ -100,3 +130,95 @@ export async function renderDashboardPage(container, user) {
     `;
   }
 }
+
+/**
+ * Download a CV's extracted data (with the user's corrections) as a JSON Resume file
+ */
+function exportCV(cv) {
+  const resume = exportJSONResume(getCVData(cv));
+  const basename = cv.original_filename.replace(/\.[^.]+$/, '');
+  downloadFile(JSON.stringify(resume, null, 2), `${basename}.resume.json`);
+}
+
+/**
+ * Parse a CV's stored file again and show what changed; the new extraction is saved only
+ * if the user keeps it, and the user's corrections are kept either way
+ */
+async function reparse(cv, user, button, result, onSaved) {
+  const label = button.textContent;
+  button.disabled = true;
+  button.textContent = 'Re-parsing...';
+  result.innerHTML = '';
+
+  const { extractedData, changes, error } = await reparseCV(cv, {
+    salt: user.id,
+    onProgress: (progress) => {
+      button.textContent = `Re-parsing ${Math.round(progress.progress * 100)}%`;
+    },
+  });
+  button.disabled = false;
+  button.textContent = label;
+
+  if (error) {
+    result.innerHTML = '<div class="alert alert-error"></div>';
+    result.firstElementChild.textContent = `Re-parsing failed: ${error.message}`;
+    return;
+  }
+
+  result.innerHTML = `
+    <div class="reparse-diff">
+      <div class="reparse-diff-title">
+        ${
+          changes.length > 0
+            ? `Re-parsing changes ${changes.length} value${changes.length === 1 ? '' : 's'}:`
+            : 'Re-parsing finds the same data.'
+        }
+      </div>
+      <ul class="reparse-diff-list"></ul>
+      <div style="display: flex; gap: 0.5rem;">
+        ${
+          changes.length > 0
+            ? '<button class="btn btn-primary btn-sm" data-reparse-save>Save new extraction</button>'
+            : ''
+        }
+        <button class="btn btn-secondary btn-sm" data-reparse-discard>
+          ${changes.length > 0 ? 'Keep current' : 'Close'}
+        </button>
+      </div>
+    </div>
+  `;
+
+  // CV text is set as text, not markup
+  const list = result.querySelector('.reparse-diff-list');
+  changes.forEach((change) => {
+    const item = document.createElement('li');
+    if (change.before !== null && change.after !== null) {
+      item.textContent = `${change.label}: ${change.before} → ${change.after}`;
+    } else {
+      item.className = change.after !== null ? 'diff-added' : 'diff-removed';
+      item.textContent = `${change.label}: ${change.after ?? change.before}`;
+    }
+    list.appendChild(item);
+  });
+
+  result.querySelector('[data-reparse-discard]').addEventListener('click', () => {
+    result.innerHTML = '';
+  });
+
+  result.querySelector('[data-reparse-save]')?.addEventListener('click', async (event) => {
+    event.target.disabled = true;
+    const { error: saveError } = await updateCVMetadata(cv.id, {
+      extracted_data: extractedData,
+      parsed_at: new Date().toISOString(),
+      parsing_status: PARSING_STATUS.COMPLETED,
+      parsing_error: null,
+    });
+    if (saveError) {
+      event.target.disabled = false;
+      showToast(`Saving failed: ${saveError.message}`, 'error');
+      return;
+    }
+    showToast('New extraction saved', 'success');
+    onSaved();
+  });
+}
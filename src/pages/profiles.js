@@ -2,10 +2,18 @@
  * Profiles Search Page
  */
 
-import { searchProfiles } from '../services/linkedin.js';
+import { searchProfiles, buildSearchQuery } from '../services/linkedin.js';
 import { rankProfiles } from '../services/matcher.js';
-import { listUserCVs } from '../services/database.js';
-import { showLoading, showToast } from '../utils/ui.js';
+import {
+  listUserCVs,
+  getScoringPreference,
+  saveScoringPreference,
+  saveProfileMatches,
+} from '../services/database.js';
+import { getCVData } from '../services/corrections.js';
+import { renderScoringControl } from '../components/scoring-profile.js';
+import { renderMatchBreakdown } from '../components/match-breakdown.js';
+import { showLoading, showToast, debounce, escapeHTML, safeURL } from '../utils/ui.js';
 
 export async function renderProfilesPage(container, user) {
   showLoading(container, 'Loading profiles...');
@@ -26,18 +34,19 @@ export async function renderProfilesPage(container, user) {
     }
 
     const latestCV = cvs[0];
-    const cvData = latestCV.extracted_data;
+    const cvData = getCVData(latestCV);
 
     if (!cvData) {
       showToast('CV data not available. Please re-upload your CV.', 'error');
       return;
     }
 
+    // A missing or unreadable preference falls back to the default profile
+    const { data: preference } = await getScoringPreference(user.id);
+
     // Search for profiles
     const { profiles, error: searchError } = await searchProfiles(
-      {
-        keywords: cvData.skills?.slice(0, 5).map((s) => s.name) || [],
-      },
+      { keywords: buildSearchQuery(cvData).keywords },
       { limit: 30 }
     );
 
@@ -45,81 +54,48 @@ export async function renderProfilesPage(container, user) {
       throw searchError;
     }
 
-    // Rank profiles
-    const rankedProfiles = rankProfiles(profiles, cvData);
+    // Matches are stored with the scores and breakdowns the user last saw
+    const saveMatches = debounce(async (ranked) => {
+      const { error } = await saveProfileMatches(user.id, latestCV.id, ranked);
+      if (error) {
+        showToast(`Failed to save matches: ${error.message}`, 'error');
+      }
+    }, 800);
+    const renderResults = (scoringPreference) => {
+      const ranked = rankProfiles(profiles, cvData, scoringPreference);
+      container.querySelector('.results-list').innerHTML = renderProfileCards(ranked);
+      saveMatches(ranked);
+    };
+    const savePreference = debounce(async (scoringPreference) => {
+      const { error } = await saveScoringPreference(user.id, scoringPreference);
+      if (error) {
+        showToast(`Failed to save scoring profile: ${error.message}`, 'error');
+      }
+    }, 800);
 
     container.innerHTML = `
       <div class="profiles-page">
         <div class="search-header">
           <div>
             <h1>Recommended Profiles</h1>
-            <p class="text-light">Based on your CV: ${latestCV.original_filename}</p>
+            <p class="text-light">Based on your CV: ${escapeHTML(latestCV.original_filename)}</p>
           </div>
+          <div data-scoring-control></div>
         </div>
 
-        <div class="results-list">
-          ${
-            rankedProfiles.length > 0
-              ? rankedProfiles
-                  .map(
-                    (profile) => `
-              <div class="match-card">
-                <div class="match-card-header">
-                  <div>
-                    <h3 class="match-card-title">${profile.name}</h3>
-                    <div class="match-card-subtitle">
-                      ${profile.current_role || 'Professional'} at ${profile.current_company || 'Company'}
-                    </div>
-                    <div class="match-card-subtitle" style="margin-top: 0.25rem;">
-                      ${profile.location || 'N/A'}
-                    </div>
-                  </div>
-                  <span class="match-score ${getScoreClass(profile.match_score)}">
-                    ${Math.round(profile.match_score * 100)}% Match
-                  </span>
-                </div>
-                <div class="match-card-body">
-                  <p><em>"${profile.headline || 'No headline available.'}"</em></p>
-                  ${
-                    profile.shared_skills?.length > 0
-                      ? `
-                    <div style="margin-top: 1rem;">
-                      <strong>Shared Skills:</strong>
-                      ${profile.shared_skills
-                        .map((skill) => `<span class="skill-tag technical">${skill}</span>`)
-                        .join('')}
-                    </div>
-                  `
-                      : ''
-                  }
-                  ${
-                    profile.conversation_starter
-                      ? `
-                    <div style="margin-top: 1rem; padding: 1rem; background: var(--color-bg-gray); border-radius: var(--radius-md);">
-                      <strong>Conversation Starter:</strong><br>
-                      <em>"${profile.conversation_starter}"</em>
-                    </div>
-                  `
-                      : ''
-                  }
-                </div>
-                <div class="match-card-footer">
-                  <a href="${profile.linkedin_url}" target="_blank" rel="noopener" class="btn btn-primary btn-sm">
-                    View on LinkedIn
-                  </a>
-                  <button class="btn btn-secondary btn-sm" onclick="alert('Save feature coming soon!')">
-                    Save
-                  </button>
-                </div>
-              </div>
-            `
-                  )
-                  .join('')
-              : '<p>No profiles found. Try uploading a different CV or refining your profile.</p>'
-          }
-        </div>
+        <div class="results-list"></div>
       </div>
     `;
+
+    renderScoringControl(container.querySelector('[data-scoring-control]'), {
+      kind: 'profile',
+      preference,
+      onChange: (next) => {
+        renderResults(next);
+        savePreference(next);
+      },
+    });
+    renderResults(preference);
   } catch (error) {
     // Format error message to preserve newlines and provide better visibility
     const errorMessage = error.message || 'Unknown error occurred';
@@ -142,6 +118,73 @@ export async function renderProfilesPage(container, user) {
   }
 }
 
+/**
+ * Profile match cards, best match first
+ * Everything shown comes from the search provider or the CV and is escaped
+ * @param {Array} rankedProfiles - From rankProfiles
+ * @returns {string} HTML
+ */
+function renderProfileCards(rankedProfiles) {
+  return rankedProfiles.length > 0
+    ? rankedProfiles
+        .map(
+          (profile) => `
+          <div class="match-card">
+            <div class="match-card-header">
+              <div>
+                <h3 class="match-card-title">${escapeHTML(profile.name)}</h3>
+                <div class="match-card-subtitle">
+                  ${escapeHTML(profile.current_role || 'Professional')} at ${escapeHTML(profile.current_company || 'Company')}
+                </div>
+                <div class="match-card-subtitle" style="margin-top: 0.25rem;">
+                  ${escapeHTML(profile.location || 'N/A')}${profile.seniority ? ` • ${escapeHTML(profile.seniority)} level` : ''}
+                </div>
+              </div>
+              <span class="match-score ${getScoreClass(profile.match_score)}">
+                ${Math.round(profile.match_score * 100)}% Match
+              </span>
+            </div>
+            <div class="match-card-body">
+              <p><em>"${escapeHTML(profile.headline || 'No headline available.')}"</em></p>
+              ${
+                profile.shared_skills?.length > 0
+                  ? `
+                <div style="margin-top: 1rem;">
+                  <strong>Shared Skills:</strong>
+                  ${profile.shared_skills
+                    .map((skill) => `<span class="skill-tag technical">${escapeHTML(skill)}</span>`)
+                    .join('')}
+                </div>
+              `
+                  : ''
+              }
+              ${
+                profile.conversation_starter
+                  ? `
+                <div style="margin-top: 1rem; padding: 1rem; background: var(--color-bg-gray); border-radius: var(--radius-md);">
+                  <strong>Conversation Starter:</strong><br>
+                  <em>"${escapeHTML(profile.conversation_starter)}"</em>
+                </div>
+              `
+                  : ''
+              }
+              ${renderMatchBreakdown(profile.matching_criteria)}
+            </div>
+            <div class="match-card-footer">
+              <a href="${safeURL(profile.linkedin_url)}" target="_blank" rel="noopener" class="btn btn-primary btn-sm">
+                View on LinkedIn
+              </a>
+              <button class="btn btn-secondary btn-sm" onclick="alert('Save feature coming soon!')">
+                Save
+              </button>
+            </div>
+          </div>
+        `
+        )
+        .join('')
+    : '<p>No profiles found. Try uploading a different CV or refining your profile.</p>';
+}
+
 function getScoreClass(score) {
   if (score >= 0.8) {
     return 'excellent';
@@ -4,9 +4,20 @@
 
 import { uploadCV } from '../services/storage.js';
 import { createCVMetadata, updateCVMetadata } from '../services/database.js';
-import { parseCV } from '../services/parser.js';
-import { showToast, formatFileSize } from '../utils/ui.js';
-import { PARSING_STATUS } from '../utils/constants.js';
+import { parseCVInWorker } from '../services/parsing.js';
+import { LOW_OCR_CONFIDENCE } from '../services/ocr.js';
+import { exportJSONResume } from '../services/jsonresume.js';
+import { protectExtractedData } from '../services/privacy.js';
+import { applyCorrections, buildCorrections } from '../services/corrections.js';
+import { getIndustries } from '../utils/industries.js';
+import {
+  getLowConfidenceFields,
+  getFieldConfidence,
+  LOW_CONFIDENCE_THRESHOLD,
+} from '../services/confidence.js';
+import { showToast, formatFileSize, downloadFile, escapeHTML } from '../utils/ui.js';
+import { getCVFileType } from '../utils/validation.js';
+import { PARSING_STATUS, PARSING_STAGES, PRIVACY_MODES } from '../utils/constants.js';
 
 export function renderUploadPage(container, user) {
   container.innerHTML = `
@@ -22,9 +33,10 @@ export function renderUploadPage(container, user) {
             or click to browse
           </div>
           <div style="margin-top: 1rem; color: var(--color-text-light); font-size: 0.875rem;">
-            Supported formats: PDF, DOCX, TXT (max 5MB)
+            Supported formats: PDF, DOCX, ODT, RTF, HTML, Markdown, TXT, JSON Resume (max 5MB)<br>
+            Or upload the ZIP from LinkedIn's "Get a copy of your data" for exact positions and skills
           </div>
-          <input type="file" id="file-input" accept=".pdf,.docx,.txt" style="display: none;">
+          <input type="file" id="file-input" accept=".pdf,.docx,.odt,.rtf,.html,.htm,.md,.markdown,.txt,.json,.zip" style="display: none;">
         </div>
 
         <div id="upload-status" class="upload-status" style="display: none;">
@@ -32,6 +44,9 @@ export function renderUploadPage(container, user) {
             <div class="progress-bar" id="progress-bar" style="width: 0%;"></div>
           </div>
           <div id="status-message" style="margin-top: 1rem; text-align: center;"></div>
+          <div class="text-center mt-2">
+            <button id="cancel-parsing" class="btn btn-secondary" style="display: none;">Cancel</button>
+          </div>
         </div>
       </div>
 
@@ -81,6 +96,7 @@ async function handleFileUpload(file, user) {
   const statusMessage = document.getElementById('status-message');
   const progressBar = document.getElementById('progress-bar');
   const preview = document.getElementById('cv-preview');
+  const cancelButton = document.getElementById('cancel-parsing');
 
   // Show upload status
   uploadStatus.style.display = 'block';
@@ -104,18 +120,30 @@ async function handleFileUpload(file, user) {
       storage_path: storagePath,
       original_filename: file.name,
       file_size_bytes: file.size,
-      file_type: file.type,
+      file_type: getCVFileType(file),
     });
 
     if (metadataError) {
       throw metadataError;
     }
 
-    progressBar.style.width = '50%';
-    statusMessage.textContent = 'Parsing CV...';
-
-    // Step 3: Parse CV
-    const { extractedData, accuracyScore, error: parseError } = await parseCV(file);
+    // Step 3: Parse CV in a worker; parsing fills the bar from 50% to 90%
+    const controller = new AbortController();
+    cancelButton.onclick = () => controller.abort();
+    cancelButton.style.display = 'inline-block';
+
+    const {
+      extractedData,
+      accuracyScore,
+      error: parseError,
+    } = await parseCVInWorker(file, {
+      signal: controller.signal,
+      onProgress: (progress) => {
+        progressBar.style.width = `${50 + Math.round(progress.progress * 40)}%`;
+        statusMessage.textContent = describeParsingProgress(progress);
+      },
+    });
+    cancelButton.style.display = 'none';
 
     if (parseError) {
       // Mark as failed
@@ -127,27 +155,64 @@ async function handleFileUpload(file, user) {
     }
 
     progressBar.style.width = '90%';
-    statusMessage.textContent = 'Saving extracted data...';
 
-    // Step 4: Update CV metadata with extracted data
-    await updateCVMetadata(cvMetadata.id, {
-      parsing_status: PARSING_STATUS.COMPLETED,
-      parsed_at: new Date().toISOString(),
-      extracted_data: extractedData,
-    });
+    // Step 4: Redact in privacy mode; nothing is saved before the user has reviewed it
+    const { extractedData: storedData, error: privacyError } = await protectExtractedData(
+      extractedData,
+      { salt: user.id }
+    );
+    if (privacyError) {
+      await updateCVMetadata(cvMetadata.id, {
+        parsing_status: PARSING_STATUS.FAILED,
+        parsing_error: privacyError.message,
+      });
+      throw privacyError;
+    }
 
-    progressBar.style.width = '100%';
     statusMessage.innerHTML = `
-      <div class="alert alert-success">
-        ✓ CV uploaded and analyzed successfully! Accuracy: ${Math.round(accuracyScore * 100)}%
+      <div class="alert alert-info">
+        CV analyzed (confidence: ${Math.round(accuracyScore * 100)}%). Review the extracted data below, then save it.
       </div>
+      ${renderOCRNotice(extractedData.ocr)}
     `;
 
-    showToast('CV uploaded and analyzed successfully!', 'success');
+    // Step 5: Save the parser output and the user's corrections side by side
+    const saveReview = async (corrections) => {
+      const { error: saveError } = await updateCVMetadata(cvMetadata.id, {
+        parsing_status: PARSING_STATUS.COMPLETED,
+        parsed_at: new Date().toISOString(),
+        extracted_data: storedData,
+        user_corrections: corrections,
+      });
+      if (saveError) {
+        return { error: saveError };
+      }
+
+      progressBar.style.width = '100%';
+      statusMessage.innerHTML = `
+        <div class="alert alert-success">
+          ✓ CV uploaded and analyzed successfully! Confidence: ${Math.round(accuracyScore * 100)}%
+        </div>
+      `;
+      showToast('CV saved successfully!', 'success');
 
-    // Show preview
-    displayCVPreview(extractedData, preview);
+      displayCVPreview(applyCorrections(storedData, corrections), preview, {
+        onEdit: () => displayReviewForm(storedData, corrections, preview, saveReview),
+      });
+      return { error: null };
+    };
+
+    displayReviewForm(storedData, null, preview, saveReview);
   } catch (error) {
+    cancelButton.style.display = 'none';
+
+    if (error.name === 'AbortError') {
+      progressBar.style.width = '0%';
+      statusMessage.innerHTML = `<div class="alert alert-info">${error.message}</div>`;
+      showToast(error.message, 'info');
+      return;
+    }
+
     progressBar.style.width = '100%';
     progressBar.style.backgroundColor = 'var(--color-danger)';
     statusMessage.innerHTML = `
@@ -159,21 +224,401 @@ async function handleFileUpload(file, user) {
   }
 }
 
-function displayCVPreview(data, container) {
+/**
+ * Status line for a parsing progress update
+ */
+function describeParsingProgress({ stage, page, pages }) {
+  const onPage = page ? ` (page ${page} of ${pages})` : '';
+
+  switch (stage) {
+    case PARSING_STAGES.READING:
+      return 'Reading CV...';
+    case PARSING_STAGES.EXTRACTING:
+      return `Extracting text${onPage}...`;
+    case PARSING_STAGES.OCR:
+      return `Recognising scanned text${onPage}...`;
+    case PARSING_STAGES.ANALYZING:
+      return 'Analyzing CV...';
+    default:
+      return 'Finishing analysis...';
+  }
+}
+
+/**
+ * Tell the user when text was recognised from a scan, and how reliably
+ */
+function renderOCRNotice(ocr) {
+  if (!ocr) {
+    return '';
+  }
+
+  const pages = ocr.pages.length === 1 ? `page ${ocr.pages[0]}` : `pages ${ocr.pages.join(', ')}`;
+  const confidence = Math.round(ocr.confidence * 100);
+  const lowConfidence = ocr.confidence < LOW_OCR_CONFIDENCE;
+
+  return `
+    <div class="alert ${lowConfidence ? 'alert-warning' : 'alert-info'}">
+      Scanned ${pages} read with OCR (confidence: ${confidence}%).
+      ${lowConfidence ? 'Recognition was poor - please check the extracted details carefully.' : ''}
+    </div>
+  `;
+}
+
+/**
+ * Class and tooltip attributes for a preview field; low-confidence fields are highlighted
+ */
+function reviewAttributes(data, path, className = '') {
+  const confidence = getFieldConfidence(data, path);
+  const needsReview = confidence !== null && confidence < LOW_CONFIDENCE_THRESHOLD;
+  const classes = [className, needsReview ? 'needs-review' : ''].filter(Boolean).join(' ');
+  const title = needsReview
+    ? ` title="Low confidence (${Math.round(confidence * 100)}%) – please review"`
+    : '';
+  return `class="${classes}"${title}`;
+}
+
+function renderReviewNotice(data) {
+  const fields = getLowConfidenceFields(data);
+  if (fields.length === 0) {
+    return '';
+  }
+  return `
+    <div class="alert alert-warning">
+      ${fields.length} field${fields.length === 1 ? '' : 's'} extracted with low confidence
+      ${fields.length === 1 ? 'is' : 'are'} highlighted below – please check them against your CV.
+    </div>
+  `;
+}
+
+/**
+ * Education section of the preview: degree and field, institution, years and grade
+ */
+function renderEducation(data) {
+  const education = data.education || [];
+  if (education.length === 0) {
+    return '';
+  }
+
+  const years = (edu) =>
+    escapeHTML(
+      edu.start_year && edu.end_year ? `${edu.start_year} - ${edu.end_year}` : edu.end_year
+    );
+  const grade = (edu) =>
+    escapeHTML(
+      [edu.gpa ? `GPA ${edu.gpa}${edu.gpa_scale ? `/${edu.gpa_scale}` : ''}` : '', edu.honours]
+        .filter(Boolean)
+        .join(', ')
+    );
+
+  return `
+    <div class="cv-section">
+      <div class="cv-section-title">Education (${education.length})</div>
+      ${education
+        .map(
+          (edu, index) => `
+        <div style="margin-bottom: 1rem;">
+          <div style="font-weight: 600;"><span ${reviewAttributes(data, `education.${index}.degree`)}>${escapeHTML(edu.degree || 'Degree')}</span>${edu.field_of_study ? ` in <span ${reviewAttributes(data, `education.${index}.field_of_study`)}>${escapeHTML(edu.field_of_study)}</span>` : ''}</div>
+          <div style="color: var(--color-text-light);">${[
+            `<span ${reviewAttributes(data, `education.${index}.institution`)}>${escapeHTML(edu.institution || 'Institution')}</span>`,
+            years(edu)
+              ? `<span ${reviewAttributes(data, `education.${index}.graduation_year`)}>${years(edu)}</span>`
+              : '',
+            grade(edu),
+          ]
+            .filter(Boolean)
+            .join(' • ')}</div>
+        </div>
+      `
+        )
+        .join('')}
+    </div>
+  `;
+}
+
+/**
+ * Certifications, languages, projects and publications sections of the preview, escaped
+ */
+function renderHighlights(data) {
+  const section = (title, key, renderEntry) => {
+    const entries = data[key] || [];
+    if (entries.length === 0) {
+      return '';
+    }
+    return `
+      <div class="cv-section">
+        <div class="cv-section-title">${title} (${entries.length})</div>
+        ${entries.map((entry, index) => renderEntry(entry, `${key}.${index}`)).join('')}
+      </div>
+    `;
+  };
+  const details = (...parts) => escapeHTML(parts.filter(Boolean).join(' • '));
+
+  return [
+    section(
+      'Certifications',
+      'certifications',
+      (cert, path) => `
+        <p><span ${reviewAttributes(data, path)}>${escapeHTML(cert.name)}</span>
+          <span style="color: var(--color-text-light);">${details(cert.issuer, cert.year)}</span></p>
+      `
+    ),
+    section(
+      'Languages',
+      'languages',
+      (language, path) => `
+        <span ${reviewAttributes(data, path, 'skill-tag')}>${escapeHTML(language.name)}${language.level ? ` (${escapeHTML(language.level)})` : ''}</span>
+      `
+    ),
+    section(
+      'Projects',
+      'projects',
+      (project, path) => `
+        <div style="margin-bottom: 1rem;">
+          <div style="font-weight: 600;"><span ${reviewAttributes(data, path)}>${escapeHTML(project.name)}</span>${project.year ? ` (${escapeHTML(project.year)})` : ''}</div>
+          ${project.description ? `<div>${escapeHTML(project.description)}</div>` : ''}
+          <div style="color: var(--color-text-light);">${details(project.technologies?.join(', '), project.url)}</div>
+        </div>
+      `
+    ),
+    section(
+      'Publications',
+      'publications',
+      (publication, path) => `
+        <p><span ${reviewAttributes(data, path)}>${escapeHTML(publication.title)}</span>
+          <span style="color: var(--color-text-light);">${details(publication.venue, publication.year)}</span></p>
+      `
+    ),
+  ].join('');
+}
+
+/**
+ * Personal field as shown in the preview, escaped; redacted and hashed values are not shown
+ */
+function formatPersonalField(data, field) {
+  if (data.privacy?.fields.includes(field)) {
+    return data.privacy.mode === PRIVACY_MODES.HASH ? 'Stored as a hash' : 'Redacted';
+  }
+  return escapeHTML(data.personal[field] || 'N/A');
+}
+
+/**
+ * Editable review of the parser output: name, skills, job titles and dates, and target
+ * industries. Saving hands the corrections (see buildCorrections) to onSave
+ * @param {object} data - Parser output
+ * @param {object|null} corrections - Corrections saved earlier
+ * @param {HTMLElement} container
+ * @param {function(object|null): Promise<{error}>} onSave
+ */
+function displayReviewForm(data, corrections, container, onSave) {
+  const current = applyCorrections(data, corrections);
+  const skills = (current.skills || []).map((skill) => skill.name);
+  const nameHidden = Boolean(data.privacy?.fields.includes('name'));
+
+  container.style.display = 'block';
+  container.innerHTML = `
+    <div class="cv-preview">
+      <h3>Review Extracted Data</h3>
+      <p class="text-light">Correct anything that was extracted wrongly. Your corrections are saved separately and kept when the CV is parsed again.</p>
+
+      ${renderReviewNotice(current)}
+
+      <form id="review-form" novalidate>
+        <div class="cv-section">
+          <div class="cv-section-title">Personal Information</div>
+          <div class="form-group">
+            <label class="form-label" for="review-name">Name</label>
+            <input id="review-name" ${reviewAttributes(current, 'personal.name', 'form-input')} ${nameHidden ? `disabled placeholder="${formatPersonalField(data, 'name')}"` : ''}>
+          </div>
+        </div>
+
+        <div class="cv-section">
+          <div class="cv-section-title">Skills</div>
+          <div id="review-skills"></div>
+          <div class="review-inline">
+            <input id="review-skill-input" class="form-input" placeholder="Add a skill, e.g. Terraform">
+            <button type="button" id="review-add-skill" class="btn btn-secondary">Add</button>
+          </div>
+        </div>
+
+        ${
+          (current.experience || []).length > 0
+            ? `
+        <div class="cv-section">
+          <div class="cv-section-title">Experience</div>
+          ${current.experience
+            .map(
+              (exp, index) => `
+            <div class="review-entry" data-experience="${index}">
+              <div class="text-light" data-employer></div>
+              <div class="form-group">
+                <label class="form-label">Job title</label>
+                <input name="job_title" ${reviewAttributes(current, `experience.${index}.job_title`, 'form-input')}>
+              </div>
+              <div class="review-dates">
+                <div class="form-group">
+                  <label class="form-label">Start (YYYY-MM)</label>
+                  <input name="start_date" ${reviewAttributes(current, `experience.${index}.dates`, 'form-input')}>
+                </div>
+                <div class="form-group">
+                  <label class="form-label">End (YYYY-MM)</label>
+                  <input name="end_date" ${reviewAttributes(current, `experience.${index}.dates`, 'form-input')}>
+                </div>
+                <label class="review-current"><input type="checkbox" name="is_current"> Current role</label>
+              </div>
+            </div>
+          `
+            )
+            .join('')}
+        </div>
+      `
+            : ''
+        }
+
+        <div class="cv-section">
+          <div class="cv-section-title">Target Industries</div>
+          <div class="review-industries">
+            ${getIndustries()
+              .map(
+                (industry) => `
+              <label><input type="checkbox" name="industry" value="${escapeHTML(industry.name)}"> ${escapeHTML(industry.name)}</label>
+            `
+              )
+              .join('')}
+          </div>
+        </div>
+
+        <div id="review-error" class="form-error"></div>
+        <div class="mt-3">
+          <button type="submit" class="btn btn-primary">Save</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  // Values are set on the elements rather than in the markup, so they need no escaping
+  const form = document.getElementById('review-form');
+  if (!nameHidden) {
+    form.querySelector('#review-name').value = current.personal?.name || '';
+  }
+  form.querySelectorAll('[data-experience]').forEach((element) => {
+    const exp = current.experience[Number(element.dataset.experience)];
+    const endInput = element.querySelector('[name="end_date"]');
+    const currentInput = element.querySelector('[name="is_current"]');
+    element.querySelector('[data-employer]').textContent =
+      [exp.company, exp.location].filter(Boolean).join(', ') || 'Company';
+    element.querySelector('[name="job_title"]').value = exp.job_title || '';
+    element.querySelector('[name="start_date"]').value = exp.start_date || '';
+    endInput.value = exp.end_date || '';
+    currentInput.checked = Boolean(exp.is_current);
+    endInput.disabled = currentInput.checked;
+    currentInput.addEventListener('change', () => {
+      endInput.disabled = currentInput.checked;
+    });
+  });
+  form.querySelectorAll('[name="industry"]').forEach((input) => {
+    input.checked = (current.industries || []).includes(input.value);
+  });
+
+  // Skill names come from the CV or the user, so they are set as text, never as markup
+  const renderSkills = () => {
+    const list = document.getElementById('review-skills');
+    list.replaceChildren(
+      ...skills.map((skill, index) => {
+        const tag = document.createElement('span');
+        const remove = document.createElement('button');
+        tag.className = 'skill-tag';
+        tag.textContent = `${skill} `;
+        remove.type = 'button';
+        remove.className = 'review-remove';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Remove ${skill}`);
+        remove.addEventListener('click', () => {
+          skills.splice(index, 1);
+          renderSkills();
+        });
+        tag.append(remove);
+        return tag;
+      })
+    );
+  };
+  const addSkill = () => {
+    const input = document.getElementById('review-skill-input');
+    const name = input.value.trim();
+    if (name && !skills.some((skill) => skill.toLowerCase() === name.toLowerCase())) {
+      skills.push(name);
+      renderSkills();
+    }
+    input.value = '';
+  };
+  renderSkills();
+  document.getElementById('review-add-skill').addEventListener('click', addSkill);
+  document.getElementById('review-skill-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addSkill();
+    }
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorElement = document.getElementById('review-error');
+    const submitButton = form.querySelector('[type="submit"]');
+
+    const { corrections: edited, error } = buildCorrections(data, {
+      name: nameHidden ? undefined : form.querySelector('#review-name').value,
+      skills,
+      experience: [...form.querySelectorAll('[data-experience]')].map((element) => ({
+        job_title: element.querySelector('[name="job_title"]').value,
+        start_date: element.querySelector('[name="start_date"]').value,
+        end_date: element.querySelector('[name="end_date"]').value,
+        is_current: element.querySelector('[name="is_current"]').checked,
+      })),
+      industries: [...form.querySelectorAll('[name="industry"]:checked')].map(
+        (input) => input.value
+      ),
+    });
+    if (error) {
+      errorElement.textContent = error.message;
+      return;
+    }
+
+    errorElement.textContent = '';
+    submitButton.disabled = true;
+    const { error: saveError } = await onSave(edited);
+    if (saveError) {
+      submitButton.disabled = false;
+      errorElement.textContent = `Saving failed: ${saveError.message}`;
+      showToast(`Saving failed: ${saveError.message}`, 'error');
+    }
+  });
+}
+
+/**
+ * Read-only view of the saved CV data
+ * Every value comes from the CV or the user and is escaped before it goes into the markup
+ * @param {object} data - extracted_data with the user's corrections applied
+ * @param {HTMLElement} container
+ * @param {object} options
+ * @param {function} options.onEdit - Reopens the review form
+ */
+export function displayCVPreview(data, container, { onEdit } = {}) {
   container.style.display = 'block';
   container.innerHTML = `
     <div class="cv-preview">
       <h3>Extracted CV Data</h3>
 
+      ${renderReviewNotice(data)}
+
       ${
         data.personal
           ? `
         <div class="cv-section">
           <div class="cv-section-title">Personal Information</div>
-          <p><strong>Name:</strong> ${data.personal.name || 'N/A'}</p>
-          <p><strong>Email:</strong> ${data.personal.email || 'N/A'}</p>
-          <p><strong>Phone:</strong> ${data.personal.phone || 'N/A'}</p>
-          <p><strong>LinkedIn:</strong> ${data.personal.linkedin_url || 'N/A'}</p>
+          <p><strong>Name:</strong> <span ${reviewAttributes(data, 'personal.name')}>${formatPersonalField(data, 'name')}</span></p>
+          <p><strong>Email:</strong> <span ${reviewAttributes(data, 'personal.email')}>${formatPersonalField(data, 'email')}</span></p>
+          <p><strong>Phone:</strong> <span ${reviewAttributes(data, 'personal.phone')}>${formatPersonalField(data, 'phone')}</span></p>
+          <p><strong>LinkedIn:</strong> <span ${reviewAttributes(data, 'personal.linkedin_url')}>${formatPersonalField(data, 'linkedin_url')}</span></p>
+          <p><strong>Location:</strong> <span ${reviewAttributes(data, 'personal.location')}>${escapeHTML(data.personal.location || 'N/A')}</span></p>
         </div>
       `
           : ''
@@ -187,8 +632,8 @@ function displayCVPreview(data, container) {
           <div>
             ${data.skills
               .map(
-                (skill) => `
-              <span class="skill-tag ${skill.category}">${skill.name}</span>
+                (skill, index) => `
+              <span ${reviewAttributes(data, `skills.${index}`, `skill-tag ${escapeHTML(skill.category)}`)}>${escapeHTML(skill.name)}</span>
             `
               )
               .join('')}
@@ -203,12 +648,13 @@ function displayCVPreview(data, container) {
           ? `
         <div class="cv-section">
           <div class="cv-section-title">Experience (${data.experience.length})</div>
+          ${data.seniority ? `<p><strong>Seniority:</strong> <span ${reviewAttributes(data, 'seniority')}>${escapeHTML(data.seniority.level)}</span> (${escapeHTML(data.seniority.years_experience)} years)</p>` : ''}
           ${data.experience
             .map(
-              (exp) => `
+              (exp, index) => `
             <div style="margin-bottom: 1rem;">
-              <div style="font-weight: 600;">${exp.job_title}</div>
-              <div style="color: var(--color-text-light);">${exp.company} • ${exp.start_date} - ${exp.end_date}</div>
+              <div style="font-weight: 600;"><span ${reviewAttributes(data, `experience.${index}.job_title`)}>${escapeHTML(exp.job_title)}</span></div>
+              <div style="color: var(--color-text-light);"><span ${reviewAttributes(data, `experience.${index}.company`)}>${escapeHTML([exp.company, exp.location].filter(Boolean).join(', ') || 'Company')}</span> • <span ${reviewAttributes(data, `experience.${index}.dates`)}>${escapeHTML(`${exp.start_date} - ${exp.is_current ? 'Present' : exp.end_date}`)}</span></div>
             </div>
           `
             )
@@ -218,10 +664,24 @@ function displayCVPreview(data, container) {
           : ''
       }
 
+      ${renderEducation(data)}
+
+      ${renderHighlights(data)}
+
       <div class="mt-3">
         <a href="#/companies" class="btn btn-primary">Find Companies</a>
         <a href="#/profiles" class="btn btn-secondary">Find Profiles</a>
+        <button id="export-json-resume" class="btn btn-secondary">Export JSON Resume</button>
+        ${onEdit ? '<button id="edit-cv-data" class="btn btn-secondary">Edit</button>' : ''}
       </div>
     </div>
   `;
+
+  if (onEdit) {
+    document.getElementById('edit-cv-data').addEventListener('click', onEdit);
+  }
+
+  document.getElementById('export-json-resume').addEventListener('click', () => {
+    downloadFile(JSON.stringify(exportJSONResume(data), null, 2), 'resume.json');
+  });
 }
@@ -0,0 +1,242 @@
+/**
+ * LinkedIn Archive Service
+ * Maps the CSV files of a LinkedIn "Get a copy of your data" export into the
+ * extracted_data structure. Titles, companies, dates and skills are taken as
+ * exported, so no heuristic parsing is involved.
+ */
+
+import JSZip from 'jszip';
+import { SKILL_CATEGORIES, EXTRACTED_DATA_VERSION } from '../utils/constants.js';
+import { parseCSVRecords } from '../utils/csv.js';
+import { canonicalizeSkill, getSkill, findSkills } from '../utils/skills.js';
+import { normalizeLocation } from '../utils/locations.js';
+import { parseDate, monthsBetween, formatYearMonth } from '../utils/dates.js';
+import { enrichSkills, inferProficiency } from './proficiency.js';
+import { findKnownCertification, normalizeLanguageLevel } from './highlights.js';
+import { parseDegree, parseGrade } from './education.js';
+import { classifySeniority } from './seniority.js';
+import { normalizeInstitution } from '../utils/institutions.js';
+
+// Export files used for the CV, with the column that identifies each header row
+const ARCHIVE_FILES = {
+  profile: { name: 'profile.csv', column: 'First Name' },
+  positions: { name: 'positions.csv', column: 'Company Name' },
+  education: { name: 'education.csv', column: 'School Name' },
+  skills: { name: 'skills.csv', column: 'Name' },
+  emails: { name: 'email addresses.csv', column: 'Email Address' },
+  phones: { name: 'phonenumbers.csv', column: 'Number' },
+  endorsements: { name: 'endorsement_received_info.csv', column: 'Skill Name' },
+  certifications: { name: 'certifications.csv', column: 'Authority' },
+  languages: { name: 'languages.csv', column: 'Proficiency' },
+  projects: { name: 'projects.csv', column: 'Title' },
+  publications: { name: 'publications.csv', column: 'Publisher' },
+};
+
+/**
+ * Read the CSV files of a LinkedIn data export ZIP
+ * Files may sit at the archive root or inside a top-level folder
+ * @param {ArrayBuffer} data - ZIP contents
+ * @returns {Promise<{files, error}>} files maps keys of ARCHIVE_FILES to parsed records
+ */
+export async function readLinkedInArchive(data) {
+  try {
+    const zip = await JSZip.loadAsync(data);
+    const entries = Object.values(zip.files).filter((entry) => !entry.dir);
+    const files = {};
+
+    await Promise.all(
+      Object.entries(ARCHIVE_FILES).map(async ([key, { name, column }]) => {
+        const entry = entries.find((e) => e.name.split('/').pop().toLowerCase() === name);
+        files[key] = entry ? parseCSVRecords(await entry.async('string'), column) : [];
+      })
+    );
+
+    if (files.positions.length === 0 && files.profile.length === 0) {
+      return {
+        files: null,
+        error: new Error(
+          'ZIP is not a LinkedIn data export (Profile.csv and Positions.csv missing)'
+        ),
+      };
+    }
+
+    return { files, error: null };
+  } catch (err) {
+    return { files: null, error: new Error(`LinkedIn archive import failed: ${err.message}`) };
+  }
+}
+
+/**
+ * Map parsed LinkedIn export records into the extracted_data structure
+ * Endorsement counts are kept per skill and count as mentions when inferring proficiency.
+ * Career goals are left empty for the caller to infer.
+ * @param {object} files - Records from readLinkedInArchive
+ * @param {object} options
+ * @param {Date} options.now - Reference date for current roles (default: today)
+ * @returns {object} extracted_data
+ */
+export function importLinkedInArchive(files, { now = new Date() } = {}) {
+  const profile = files.profile?.[0] || {};
+  const experience = (files.positions || []).map((position) => importPosition(position, now));
+  const endorsements = countEndorsements(files.endorsements || []);
+
+  const skills = enrichSkills(importSkills(files.skills || []), experience, null, { now }).map(
+    (skill) => {
+      const endorsed = endorsements.get(skill.name.toLowerCase()) || 0;
+      const mentions = Math.max(skill.mentions, endorsed);
+      return {
+        ...skill,
+        mentions,
+        endorsements: endorsed,
+        proficiency: inferProficiency({
+          yearsOfUse: skill.years_of_use,
+          experienceCount: skill.evidence.experience.length,
+          mentions,
+          listed: true,
+        }),
+      };
+    }
+  );
+
+  const primaryEmail =
+    (files.emails || []).find((email) => /yes/i.test(email.Primary)) || files.emails?.[0];
+  const websites = profile.Websites || '';
+
+  return {
+    schema_version: EXTRACTED_DATA_VERSION,
+    personal: {
+      name: [profile['First Name'], profile['Last Name']].filter(Boolean).join(' ') || null,
+      email: primaryEmail?.['Email Address'] || null,
+      phone: files.phones?.[0]?.Number || null,
+      linkedin_url: extractLinkedInURL(websites),
+      location: profile['Geo Location'] ? normalizeLocation(profile['Geo Location']) : null,
+    },
+    summary: profile.Summary || profile.Headline || '',
+    skills,
+    experience,
+    education: (files.education || []).map(importEducation),
+    certifications: (files.certifications || [])
+      .filter((cert) => cert.Name)
+      .map((cert) => ({
+        name: cert.Name,
+        issuer: cert.Authority || null,
+        year: parseDate(cert['Started On'])?.year || null,
+        standard_name: findKnownCertification(cert.Name)?.name || null,
+      })),
+    languages: (files.languages || [])
+      .filter((language) => language.Name)
+      .map((language) => ({
+        name: language.Name,
+        level: normalizeLanguageLevel(language.Proficiency),
+      })),
+    projects: (files.projects || []).filter((project) => project.Title).map(importProject),
+    publications: (files.publications || [])
+      .filter((publication) => publication.Name)
+      .map((publication) => ({
+        title: publication.Name,
+        venue: publication.Publisher || null,
+        year: parseDate(publication['Published On'])?.year || null,
+        url: publication.Url || null,
+      })),
+    industries: profile.Industry ? [profile.Industry] : [],
+    career_goals: '',
+    // Inferred from the exact titles and dates, so it keeps its confidence
+    seniority: classifySeniority(experience, { now }),
+    // Structured export: nothing was guessed
+    accuracy_score: 1.0,
+    ocr: null,
+  };
+}
+
+function importPosition(position, now) {
+  const start = parseDate(position['Started On']);
+  const end = parseDate(position['Finished On']);
+  const isCurrent = Boolean(start) && !end;
+  const effectiveEnd = isCurrent ? { year: now.getFullYear(), month: now.getMonth() + 1 } : end;
+
+  return {
+    job_title: position.Title || 'Position',
+    company: position['Company Name'] || null,
+    location: position.Location ? normalizeLocation(position.Location) : null,
+    start_date: formatYearMonth(start),
+    end_date: isCurrent ? null : formatYearMonth(end),
+    is_current: isCurrent,
+    duration_months: monthsBetween(start, effectiveEnd),
+    description: (position.Description || '').replace(/\s+/g, ' ').trim(),
+  };
+}
+
+function importEducation(education) {
+  // Degree Name is free text: "Bachelor of Science - BS, Computer Science", "MSc"
+  const degree = parseDegree(education['Degree Name']);
+  const start = parseDate(education['Start Date']);
+  const end = parseDate(education['End Date']);
+  return {
+    degree: degree.degree || null,
+    degree_level: degree.level,
+    field_of_study: degree.field,
+    institution: education['School Name'] || null,
+    institution_normalized: normalizeInstitution(education['School Name']),
+    start_year: start ? start.year : null,
+    end_year: end ? end.year : null,
+    graduation_year: end ? end.year : null,
+    ...parseGrade(education.Notes),
+  };
+}
+
+function importProject(project) {
+  const description = (project.Description || '').replace(/\s+/g, ' ').trim();
+  const date = parseDate(project['Finished On']) || parseDate(project['Started On']);
+  return {
+    name: project.Title,
+    description,
+    url: project.Url || null,
+    year: date?.year || null,
+    technologies: findSkills(`${project.Title}\n${description}`).map((skill) => skill.name),
+  };
+}
+
+function importSkills(records) {
+  const skills = new Map();
+
+  records.forEach((record) => {
+    const name = canonicalizeSkill(record.Name);
+    if (!name || skills.has(name.toLowerCase())) {
+      return;
+    }
+    const known = getSkill(name);
+    skills.set(name.toLowerCase(), {
+      name,
+      category: known?.category || SKILL_CATEGORIES.TECHNICAL,
+      group: known?.group || null,
+      parent: known?.parent || null,
+    });
+  });
+
+  return [...skills.values()];
+}
+
+function countEndorsements(records) {
+  const counts = new Map();
+  records.forEach((record) => {
+    const key = canonicalizeSkill(record['Skill Name']).toLowerCase();
+    if (key) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  });
+  return counts;
+}
+
+// Profile.csv lists websites as "[PORTFOLIO:https://...,OTHER:https://...]"
+function extractLinkedInURL(websites) {
+  const match = websites.match(/(?:https?:\/\/)?(?:[a-z]+\.)?linkedin\.com\/in\/[A-Za-z0-9-]+/i);
+  if (!match) {
+    return null;
+  }
+  return /^https?:\/\//i.test(match[0]) ? match[0] : `https://${match[0]}`;
+}
+
+export default {
+  readLinkedInArchive,
+  importLinkedInArchive,
+};
@@ -0,0 +1,186 @@
+/**
+ * Extraction Confidence Service
+ * Combines the per-field confidences reported by the extractors into an overall
+ * score, and lists the fields a user should review.
+ *
+ * Extractors attach confidences (0.00-1.00) next to what they return:
+ * - personal.confidence: { name, email, phone, linkedin_url, location }
+ * - experience[i].confidence: { job_title, company, location, dates, description }
+ * - education[i].confidence: { degree, field_of_study, institution, graduation_year }
+ * - skills, certifications, languages, projects, publications [i].confidence: number
+ * - confidence: { summary, career_goals, industries, overall } for top-level fields
+ * - seniority.confidence: number (inferred even for structured imports)
+ * A null confidence means the field is absent; fields without any confidence
+ * (structured imports such as JSON Resume) are taken as exact.
+ */
+
+// Fields below this confidence are highlighted for review
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// Share of the overall score per field; absent optional fields are left out
+const FIELD_WEIGHTS = {
+  name: 0.1,
+  email: 0.1,
+  phone: 0.05,
+  linkedin_url: 0.05,
+  location: 0.05,
+  summary: 0.05,
+  career_goals: 0.05,
+  industries: 0.05,
+  skills: 0.2,
+  experience: 0.2,
+  education: 0.1,
+};
+
+// Fields that count as 0 when missing; the rest are simply not scored
+const REQUIRED_FIELDS = ['name', 'email', 'career_goals', 'skills', 'experience', 'education'];
+
+// List sections whose entries carry a single confidence number
+const LIST_SECTIONS = ['skills', 'certifications', 'languages', 'projects', 'publications'];
+
+const FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  linkedin_url: 'LinkedIn',
+  location: 'Location',
+  summary: 'Summary',
+  career_goals: 'Career goals',
+  industries: 'Industries',
+  seniority: 'Seniority',
+  job_title: 'Job title',
+  company: 'Company',
+  dates: 'Dates',
+  description: 'Description',
+  degree: 'Degree',
+  field_of_study: 'Field of study',
+  institution: 'Institution',
+  graduation_year: 'Graduation year',
+};
+
+/**
+ * Build the overall extraction confidence from field confidences
+ * Scanned (OCR'd) CVs are scaled by the OCR confidence
+ * @param {object} extractedData - extracted_data with extractor confidences
+ * @returns {number} Confidence 0.00-1.00
+ */
+export function calculateOverallConfidence(extractedData) {
+  const scores = getFieldScores(extractedData);
+  let total = 0;
+  let weight = 0;
+
+  Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+    const score = scores[field] ?? null;
+    if (score === null && !REQUIRED_FIELDS.includes(field)) {
+      return;
+    }
+    total += (score || 0) * fieldWeight;
+    weight += fieldWeight;
+  });
+
+  const ocrFactor = extractedData.ocr ? extractedData.ocr.confidence : 1;
+  return weight > 0 ? Math.round((total / weight) * ocrFactor * 100) / 100 : 0;
+}
+
+/**
+ * List extracted fields whose confidence is below the threshold
+ * @param {object} extractedData - extracted_data with extractor confidences
+ * @param {number} threshold - Confidence below which a field needs review
+ * @returns {Array<{path: string, label: string, confidence: number}>}
+ *   path addresses the field, e.g. "personal.name", "experience.0.company", "skills.3",
+ *   "languages.1"
+ */
+export function getLowConfidenceFields(extractedData, threshold = LOW_CONFIDENCE_THRESHOLD) {
+  const fields = [];
+  const add = (path, label, confidence) => {
+    if (typeof confidence === 'number' && confidence < threshold) {
+      fields.push({ path, label, confidence });
+    }
+  };
+
+  Object.entries(extractedData.personal?.confidence || {}).forEach(([field, confidence]) =>
+    add(`personal.${field}`, FIELD_LABELS[field] || field, confidence)
+  );
+
+  ['summary', 'career_goals', 'industries'].forEach((field) =>
+    add(field, FIELD_LABELS[field], extractedData.confidence?.[field])
+  );
+  add('seniority', FIELD_LABELS.seniority, extractedData.seniority?.confidence);
+
+  ['experience', 'education'].forEach((section) => {
+    (extractedData[section] || []).forEach((entry, index) => {
+      Object.entries(entry.confidence || {}).forEach(([field, confidence]) =>
+        add(`${section}.${index}.${field}`, FIELD_LABELS[field] || field, confidence)
+      );
+    });
+  });
+
+  LIST_SECTIONS.forEach((section) => {
+    (extractedData[section] || []).forEach((entry, index) =>
+      add(`${section}.${index}`, entry.name || entry.title, entry.confidence)
+    );
+  });
+
+  return fields;
+}
+
+/**
+ * Look up the confidence reported for a field path (see getLowConfidenceFields)
+ * @param {object} extractedData
+ * @param {string} path - e.g. "personal.email", "experience.1.dates", "skills.0"
+ * @returns {number|null} Confidence, or null when not scored
+ */
+export function getFieldConfidence(extractedData, path) {
+  const parts = path.split('.');
+  const field = parts.pop();
+
+  if (parts.length === 0) {
+    return extractedData.confidence?.[field] ?? extractedData[field]?.confidence ?? null;
+  }
+  if (LIST_SECTIONS.includes(parts[0])) {
+    return extractedData[parts[0]]?.[field]?.confidence ?? null;
+  }
+
+  const owner = parts.reduce((value, key) => value?.[key], extractedData);
+  return owner?.confidence?.[field] ?? null;
+}
+
+function getFieldScores(data) {
+  const personal = data.personal?.confidence;
+  const topLevel = data.confidence || {};
+
+  // Structured imports carry no confidences: every present field is exact
+  const exact = (value) => (value ? 1 : null);
+
+  return {
+    name: personal ? personal.name : exact(data.personal?.name),
+    email: personal ? personal.email : exact(data.personal?.email),
+    phone: personal ? personal.phone : exact(data.personal?.phone),
+    linkedin_url: personal ? personal.linkedin_url : exact(data.personal?.linkedin_url),
+    location: personal ? personal.location : exact(data.personal?.location),
+    summary: 'summary' in topLevel ? topLevel.summary : exact(data.summary),
+    career_goals: 'career_goals' in topLevel ? topLevel.career_goals : exact(data.career_goals),
+    industries: 'industries' in topLevel ? topLevel.industries : exact(data.industries?.length),
+    skills: mean((data.skills || []).map((skill) => skill.confidence ?? 1)),
+    experience: mean((data.experience || []).map(getEntryScore)),
+    education: mean((data.education || []).map(getEntryScore)),
+  };
+}
+
+function getEntryScore(entry) {
+  if (!entry.confidence) {
+    return 1;
+  }
+  return mean(Object.values(entry.confidence).filter((value) => value !== null)) ?? 0;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+export default {
+  calculateOverallConfidence,
+  getLowConfidenceFields,
+  getFieldConfidence,
+  LOW_CONFIDENCE_THRESHOLD,
+};
@@ -0,0 +1,259 @@
+/**
+ * Corrections Service
+ * Corrections the user makes in the review step are stored in
+ * cv_metadata.user_corrections, apart from the parser output in extracted_data, and
+ * applied whenever the CV is read, so re-parsing with a newer parser keeps them.
+ *
+ * user_corrections:
+ * - personal: { name }
+ * - skills: { added: [name], removed: [name] }
+ * - experience: [{ match: { company, job_title, start_date }, job_title, start_date,
+ *   end_date, is_current }] - match identifies the parsed entry, only changed fields are set
+ * - industries: [name] - target industries, replacing the inferred ones
+ * - updated_at: ISO timestamp
+ */
+
+import { SKILL_CATEGORIES } from '../utils/constants.js';
+import { canonicalizeSkill, getSkill } from '../utils/skills.js';
+import { parseDate, monthsBetween, formatYearMonth } from '../utils/dates.js';
+import { getIndustry } from '../utils/industries.js';
+import { enrichSkills } from './proficiency.js';
+import { classifySeniority } from './seniority.js';
+
+// Experience fields the review step can correct
+const EXPERIENCE_FIELDS = ['job_title', 'start_date', 'end_date', 'is_current'];
+
+/**
+ * Build user corrections from the values of the review form
+ * Edits are compared with the parser output, so corrections that match it again are dropped
+ * @param {object} extractedData - Parser output (cv_metadata.extracted_data)
+ * @param {object} edits - { name, skills: [name], experience: [{ job_title, start_date,
+ *   end_date, is_current }] in parsed order, industries: [name] }
+ * @returns {{corrections, error}} corrections is null when nothing differs from the parser
+ */
+export function buildCorrections(extractedData, edits) {
+  const data = extractedData || {};
+  const corrections = {};
+
+  const name = (edits.name || '').trim();
+  if (edits.name !== undefined && name !== (data.personal?.name || '')) {
+    corrections.personal = { name: name || null };
+  }
+
+  if (edits.skills) {
+    const parsed = (data.skills || []).map((skill) => skill.name);
+    const edited = [...new Set(edits.skills.map(canonicalizeSkill).filter(Boolean))];
+    const added = edited.filter((skill) => !includesName(parsed, skill));
+    const removed = parsed.filter((skill) => !includesName(edited, skill));
+    if (added.length > 0 || removed.length > 0) {
+      corrections.skills = { added, removed };
+    }
+  }
+
+  const experience = [];
+  for (const [index, edit] of (edits.experience || []).entries()) {
+    const entry = data.experience?.[index];
+    if (!entry) {
+      continue;
+    }
+    const { values, error } = normalizeExperienceEdit(edit, index);
+    if (error) {
+      return { corrections: null, error };
+    }
+    const changed = EXPERIENCE_FIELDS.filter(
+      (field) => values[field] !== (entry[field] ?? (field === 'is_current' ? false : null))
+    );
+    if (changed.length > 0) {
+      experience.push({
+        match: { company: entry.company, job_title: entry.job_title, start_date: entry.start_date },
+        ...Object.fromEntries(changed.map((field) => [field, values[field]])),
+      });
+    }
+  }
+  if (experience.length > 0) {
+    corrections.experience = experience;
+  }
+
+  if (edits.industries) {
+    const unknown = edits.industries.find((industry) => !getIndustry(industry));
+    if (unknown) {
+      return { corrections: null, error: new Error(`Unknown industry: ${unknown}`) };
+    }
+    const parsed = data.industries || [];
+    const same =
+      edits.industries.length === parsed.length &&
+      edits.industries.every((industry) => parsed.includes(industry));
+    if (!same) {
+      corrections.industries = [...edits.industries];
+    }
+  }
+
+  if (Object.keys(corrections).length === 0) {
+    return { corrections: null, error: null };
+  }
+  return { corrections: { ...corrections, updated_at: new Date().toISOString() }, error: null };
+}
+
+/**
+ * Apply user corrections to the parser output
+ * Corrected fields are taken as exact (confidence 1); seniority and durations are
+ * recalculated from corrected experience. Corrections whose experience entry is no longer
+ * found (e.g. after re-parsing) are skipped
+ * @param {object} extractedData - Parser output
+ * @param {object|null} corrections - cv_metadata.user_corrections
+ * @param {object} options
+ * @param {Date} options.now - Reference date for current roles (default: today)
+ * @returns {object} extracted_data as corrected by the user
+ */
+export function applyCorrections(extractedData, corrections, { now = new Date() } = {}) {
+  if (!extractedData || !corrections) {
+    return extractedData;
+  }
+  const data = { ...extractedData };
+
+  if (corrections.personal && data.personal) {
+    data.personal = {
+      ...data.personal,
+      ...corrections.personal,
+      confidence: data.personal.confidence && { ...data.personal.confidence, name: 1 },
+    };
+  }
+
+  if (corrections.experience?.length > 0) {
+    data.experience = applyExperienceCorrections(
+      data.experience || [],
+      corrections.experience,
+      now
+    );
+    data.seniority = classifySeniority(data.experience, { now });
+  }
+
+  if (corrections.skills) {
+    data.skills = applySkillCorrections(
+      data.skills || [],
+      corrections.skills,
+      data.experience,
+      now
+    );
+  }
+
+  if (corrections.industries) {
+    const inferred = data.industry_weights || [];
+    data.industries = [...corrections.industries];
+    data.industry_weights = corrections.industries.map((name) => ({
+      name,
+      weight: 1,
+      evidence: inferred.find((industry) => industry.name === name)?.evidence || [],
+    }));
+    data.confidence = data.confidence && { ...data.confidence, industries: 1 };
+  }
+
+  return data;
+}
+
+/**
+ * The CV data to show and match with: the parser output with the user's corrections
+ * @param {object} cv - cv_metadata row
+ * @returns {object|null}
+ */
+export function getCVData(cv) {
+  return applyCorrections(cv?.extracted_data || null, cv?.user_corrections || null);
+}
+
+function normalizeExperienceEdit(edit, index) {
+  const label = `Experience ${index + 1}`;
+  const start = parseDate(edit.start_date);
+  if (edit.start_date && !start) {
+    return { error: new Error(`${label}: "${edit.start_date}" is not a date (use YYYY-MM)`) };
+  }
+  const isCurrent = Boolean(edit.is_current);
+  const end = isCurrent ? null : parseDate(edit.end_date);
+  if (!isCurrent && edit.end_date && !end) {
+    return { error: new Error(`${label}: "${edit.end_date}" is not a date (use YYYY-MM)`) };
+  }
+  if (start && end && monthsBetween(start, end) === 0) {
+    return { error: new Error(`${label}: the end date is before the start date`) };
+  }
+  return {
+    values: {
+      job_title: (edit.job_title || '').trim() || 'Position',
+      start_date: formatYearMonth(start),
+      end_date: formatYearMonth(end),
+      is_current: isCurrent,
+    },
+    error: null,
+  };
+}
+
+function applyExperienceCorrections(experience, corrections, now) {
+  const entries = experience.map((entry) => ({ ...entry }));
+
+  corrections.forEach(({ match, ...changes }) => {
+    const entry = findExperienceEntry(entries, match || {});
+    if (!entry) {
+      return;
+    }
+    Object.assign(entry, changes);
+    const start = parseDate(entry.start_date);
+    const end = entry.is_current
+      ? { year: now.getFullYear(), month: now.getMonth() + 1 }
+      : parseDate(entry.end_date);
+    entry.duration_months = monthsBetween(start, end);
+    if (entry.confidence) {
+      entry.confidence = {
+        ...entry.confidence,
+        ...('job_title' in changes ? { job_title: 1 } : {}),
+        ...(Object.keys(changes).some((field) => field !== 'job_title') ? { dates: 1 } : {}),
+      };
+    }
+  });
+
+  return entries;
+}
+
+// Same company and start date first; re-parsing may have fixed the dates, not the company
+function findExperienceEntry(entries, match) {
+  const sameCompany = (entry) =>
+    (entry.company || '').toLowerCase() === (match.company || '').toLowerCase();
+  return (
+    entries.find((entry) => sameCompany(entry) && entry.start_date === match.start_date) ||
+    entries.find((entry) => sameCompany(entry) && entry.job_title === match.job_title) ||
+    null
+  );
+}
+
+function applySkillCorrections(skills, { added = [], removed = [] }, experience, now) {
+  const kept = skills.filter((skill) => !includesName(removed, skill.name));
+  const newSkills = added
+    .filter(
+      (name) =>
+        !includesName(
+          kept.map((skill) => skill.name),
+          name
+        )
+    )
+    .map((name) => {
+      const known = getSkill(name);
+      return {
+        name,
+        category: known?.category || SKILL_CATEGORIES.TECHNICAL,
+        group: known?.group || null,
+        parent: known?.parent || null,
+      };
+    });
+  const enriched = enrichSkills(newSkills, experience || [], null, { now }).map((skill) => ({
+    ...skill,
+    confidence: 1,
+  }));
+  return [...kept, ...enriched];
+}
+
+function includesName(names, name) {
+  return names.some((other) => other.toLowerCase() === name.toLowerCase());
+}
+
+export default {
+  buildCorrections,
+  applyCorrections,
+  getCVData,
+};
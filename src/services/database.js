@@ -5,6 +5,8 @@
 
 import { supabase } from './supabase.js';
 import { DEFAULT_PAGE_SIZE } from '../utils/constants.js';
+import { migrateCVRecord } from './schema.js';
+import { validateScoringPreference } from './scoring.js';
 
 // ============================================================================
 // CV METADATA OPERATIONS
@@ -60,6 +62,7 @@ export async function updateCVMetadata(cvId, updates) {
 
 /**
  * Get a single CV metadata record
+ * extracted_data is upgraded to the current schema version (see schema.js)
  * @param {string} cvId - CV record UUID
  * @returns {Promise<{data, error}>}
  */
@@ -71,7 +74,7 @@ export async function getCVMetadata(cvId) {
       .eq('id', cvId)
       .single();
 
-    return { data, error };
+    return { data: data && migrateCVRecord(data), error };
   } catch (err) {
     return { data: null, error: new Error(`Get CV metadata failed: ${err.message}`) };
   }
@@ -79,6 +82,7 @@ export async function getCVMetadata(cvId) {
 
 /**
  * List all CVs for a user
+ * extracted_data is upgraded to the current schema version (see schema.js)
  * @param {string} userId - User UUID
  * @param {object} options - Pagination and sorting options
  * @returns {Promise<{data, count, error}>}
@@ -101,7 +105,7 @@ export async function listUserCVs(userId, options = {}) {
 
     const { data, count, error } = await query;
 
-    return { data, count, error };
+    return { data: data && data.map(migrateCVRecord), count, error };
   } catch (err) {
     return { data: null, count: 0, error: new Error(`List user CVs failed: ${err.message}`) };
   }
@@ -145,6 +149,46 @@ export async function saveCompanyMatch(matchData) {
   }
 }
 
+/**
+ * Save a ranked company list for a CV
+ * A company already matched to the CV is updated in place (one row per user, CV and
+ * LinkedIn URL), so re-ranking refreshes the score and breakdown and keeps is_saved
+ * @param {string} userId - User UUID
+ * @param {string} cvId - CV the companies were ranked against
+ * @param {Array} rankedCompanies - From rankCompanies
+ * @returns {Promise<{data, error}>}
+ */
+export async function saveCompanyMatches(userId, cvId, rankedCompanies) {
+  const rows = rankedCompanies
+    .filter((company) => company.name && company.linkedin_url)
+    .map((company) => ({
+      user_id: userId,
+      cv_id: cvId,
+      company_name: company.name,
+      linkedin_url: company.linkedin_url,
+      industry: company.industry || null,
+      company_size: company.size || null,
+      location: company.location || null,
+      description: company.description || null,
+      match_score: company.match_score,
+      matching_criteria: company.matching_criteria,
+    }));
+  if (rows.length === 0) {
+    return { data: [], error: null };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('company_matches')
+      .upsert(rows, { onConflict: 'user_id,cv_id,linkedin_url' })
+      .select();
+
+    return { data, error };
+  } catch (err) {
+    return { data: null, error: new Error(`Save company matches failed: ${err.message}`) };
+  }
+}
+
 /**
  * Get company matches with filters
  * @param {string} userId - User UUID
@@ -244,6 +288,48 @@ export async function saveProfileMatch(matchData) {
   }
 }
 
+/**
+ * Save a ranked profile list for a CV
+ * Upserts like saveCompanyMatches
+ * @param {string} userId - User UUID
+ * @param {string} cvId - CV the profiles were ranked against
+ * @param {Array} rankedProfiles - From rankProfiles
+ * @returns {Promise<{data, error}>}
+ */
+export async function saveProfileMatches(userId, cvId, rankedProfiles) {
+  const rows = rankedProfiles
+    .filter((profile) => profile.name && profile.linkedin_url)
+    .map((profile) => ({
+      user_id: userId,
+      cv_id: cvId,
+      profile_name: profile.name,
+      linkedin_url: profile.linkedin_url,
+      current_role: profile.current_role || null,
+      current_company: profile.current_company || null,
+      location: profile.location || null,
+      headline: profile.headline || null,
+      shared_skills: profile.shared_skills,
+      shared_interests: profile.shared_interests,
+      match_score: profile.match_score,
+      conversation_starter: profile.conversation_starter || null,
+      matching_criteria: profile.matching_criteria,
+    }));
+  if (rows.length === 0) {
+    return { data: [], error: null };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('profile_matches')
+      .upsert(rows, { onConflict: 'user_id,cv_id,linkedin_url' })
+      .select();
+
+    return { data, error };
+  } catch (err) {
+    return { data: null, error: new Error(`Save profile matches failed: ${err.message}`) };
+  }
+}
+
 /**
  * Get profile matches with filters
  * @param {string} userId - User UUID
@@ -370,6 +456,54 @@ export async function getSearchSessions(userId, options = {}) {
   }
 }
 
+// ============================================================================
+// USER PROFILE OPERATIONS
+// ============================================================================
+
+/**
+ * Get the user's saved scoring preference (see scoring.js)
+ * @param {string} userId - User UUID
+ * @returns {Promise<{data, error}>} data is null when the user never chose a profile
+ */
+export async function getScoringPreference(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('scoring_profile')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    return { data: data?.scoring_profile || null, error };
+  } catch (err) {
+    return { data: null, error: new Error(`Get scoring preference failed: ${err.message}`) };
+  }
+}
+
+/**
+ * Save the user's scoring preference, creating their profile row if needed
+ * @param {string} userId - User UUID
+ * @param {object} preference - { name, company, profile } from buildScoringPreference
+ * @returns {Promise<{data, error}>}
+ */
+export async function saveScoringPreference(userId, preference) {
+  const { valid, error: validationError } = validateScoringPreference(preference);
+  if (!valid) {
+    return { data: null, error: new Error(validationError) };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .upsert({ user_id: userId, scoring_profile: preference }, { onConflict: 'user_id' })
+      .select('scoring_profile')
+      .single();
+
+    return { data: data?.scoring_profile || null, error };
+  } catch (err) {
+    return { data: null, error: new Error(`Save scoring preference failed: ${err.message}`) };
+  }
+}
+
 // ============================================================================
 // USER DATA DELETION (GDPR/CCPA Compliance)
 // ============================================================================
@@ -404,12 +538,16 @@ export default {
   listUserCVs,
   deleteCVMetadata,
   saveCompanyMatch,
+  saveCompanyMatches,
   getCompanyMatches,
   updateCompanyMatch,
   saveProfileMatch,
+  saveProfileMatches,
   getProfileMatches,
   updateProfileMatch,
   createSearchSession,
   getSearchSessions,
+  getScoringPreference,
+  saveScoringPreference,
   deleteUserData,
 };
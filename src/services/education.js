@@ -0,0 +1,326 @@
+/**
+ * Education Extraction
+ * Splits the education section into entries and reads each one's degree level,
+ * field of study, institution, years and grades (GPA, honours)
+ */
+
+import { DEGREE_LEVELS } from '../utils/constants.js';
+import { parseDateRange } from '../utils/dates.js';
+import { findInstitution, normalizeInstitution } from '../utils/institutions.js';
+import { detectHeading } from './sections.js';
+
+const { DOCTORATE, MASTER, BACHELOR, ASSOCIATE, DIPLOMA, SECONDARY } = DEGREE_LEVELS;
+
+// Spelled-out degrees (case-insensitive); the "of ..." part is kept in the degree name
+const DEGREE_PHRASES = [
+  [
+    DOCTORATE,
+    /\b(?:doctor(?:ate)?(?: of (?:philosophy|education|business administration|science|engineering|medicine))?)\b/i,
+  ],
+  [
+    MASTER,
+    /\bmaster(?:'?s)?(?: degree)?(?: of (?:[a-z]+ )?(?:arts|science|engineering|business administration|laws|education|fine arts|technology|public health|public administration|research|philosophy))?\b/i,
+  ],
+  [
+    BACHELOR,
+    /\bbachelor(?:'?s)?(?: degree)?(?: of (?:[a-z]+ )?(?:arts|science|engineering|business administration|laws|education|fine arts|technology|commerce|music|architecture|medicine))?\b/i,
+  ],
+  [ASSOCIATE, /\bassociate(?:'?s)? (?:degree|of (?:arts|science|applied science))\b/i],
+  [DIPLOMA, /\b(?:post-?graduate |graduate |higher national )?(?:diploma|certificate)\b/i],
+  [
+    SECONDARY,
+    /\b(?:high school(?: diploma)?|secondary school|a[- ]levels?|gcses?|international baccalaureate|abitur)\b/i,
+  ],
+];
+
+// Abbreviations are matched case-sensitively with optional dots ("MSc", "M.Sc.", "MS")
+// so "ma" in "format" or "ms" in "items" is never a degree
+const DEGREE_ABBREVIATIONS = [
+  [DOCTORATE, ['Ph.D', 'D.Phil', 'Ed.D', 'D.B.A', 'Eng.D']],
+  [
+    MASTER,
+    [
+      'M.Sc',
+      'M.S',
+      'M.A',
+      'M.B.A',
+      'M.Eng',
+      'M.Phil',
+      'M.Res',
+      'LL.M',
+      'M.F.A',
+      'M.P.H',
+      'M.P.A',
+      'M.Ed',
+      'M.Tech',
+      'M.Com',
+    ],
+  ],
+  [
+    BACHELOR,
+    ['B.Sc', 'B.S', 'B.A', 'B.Eng', 'B.Tech', 'B.B.A', 'LL.B', 'B.Com', 'B.Ed', 'B.F.A', 'B.Arch'],
+  ],
+];
+
+// Associate abbreviations are also common words ("AS", "AA") - only the dotted form counts
+const ASSOCIATE_ABBREVIATION = /(?<![A-Za-z])A\.[AS]\.(?![A-Za-z])/;
+
+const HONOURS_SUFFIX = /^\s*\(?\s*hons?\.?\s*\)?/i;
+const GPA_REGEX =
+  /\b(?:c?gpa|grade point average)\s*:?\s*(\d(?:\.\d{1,2})?)(?:\s*(?:\/|out of)\s*(\d{1,3}(?:\.\d{1,2})?))?/i;
+// A grade field on its own: "3.8", "3.8/4.0"
+const BARE_GPA_REGEX = /^(\d(?:\.\d{1,2})?)(?:\s*\/\s*(\d{1,3}(?:\.\d{1,2})?))?$/;
+const HONOURS_REGEX =
+  /\b(?:first[- ]class|upper second[- ]class|lower second[- ]class|second[- ]class|third[- ]class|2:[12])(?: honou?rs)?|\b(?:summa|magna)?\s*cum laude\b|\bwith (?:high(?:est)? )?(?:honou?rs|distinction|merit)\b|\b(?:distinction|merit|valedictorian|dean'?s list)\b/i;
+
+// Lowercase words allowed inside an institution name
+const NAME_CONNECTOR = /^(?:of|for|and|at|in|de|del|der|di|la|le|the)$/;
+
+// "2014", "(Sep 2014 - Jun 2016)", "2020 – Present" inside a name line
+const YEARS_REGEX =
+  /\(?\b(?:[A-Za-z]{3,9}\.?\s+)?(?:19|20)\d{2}\b(?:\s*[–—-]\s*(?:(?:[A-Za-z]{3,9}\.?\s+)?(?:19|20)\d{2}|present|current|now))?\)?/gi;
+
+/**
+ * Extract education entries
+ * Entries are laid out either degree-first ("MSc Computer Science" then the
+ * school) or institution-first; the first entry in each paragraph decides
+ * @param {string} text - Education section text
+ * @returns {Array<object>} Entries with degree, degree_level, field_of_study, institution,
+ *   institution_normalized, start_year, end_year, graduation_year, gpa, gpa_scale, honours
+ *   and per-field confidence
+ */
+export function parseEducation(text) {
+  const entries = [];
+
+  splitParagraphs(text).forEach((lines) => {
+    const degreeLines = lines
+      .map((line, index) => (findDegree(line) ? index : -1))
+      .filter((index) => index !== -1);
+
+    if (degreeLines.length === 0) {
+      // A short paragraph naming a school is an entry even without a recognised degree
+      if (lines.length <= 3 && findInstitution(lines[0])) {
+        entries.push(parseEntry(lines));
+      }
+      return;
+    }
+
+    const leading = degreeLines[0];
+    const starts = degreeLines.map((index, i) =>
+      i === 0 ? 0 : Math.max(index - leading, degreeLines[i - 1] + 1)
+    );
+    starts.forEach((start, i) => {
+      entries.push(parseEntry(lines.slice(start, starts[i + 1] ?? lines.length)));
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Find the degree named in a line
+ * @param {string} line
+ * @returns {{level, degree, index, length}|null} degree as written (with "(Hons)")
+ */
+export function findDegree(line) {
+  const source = line || '';
+  const candidates = [];
+
+  DEGREE_PHRASES.forEach(([level, pattern]) => {
+    const match = source.match(pattern);
+    if (match) {
+      candidates.push({ level, index: match.index, text: match[0] });
+    }
+  });
+  DEGREE_ABBREVIATIONS.forEach(([level, abbreviations]) => {
+    const match = source.match(abbreviationPattern(abbreviations));
+    if (match) {
+      candidates.push({ level, index: match.index, text: match[0] });
+    }
+  });
+  const associate = source.match(ASSOCIATE_ABBREVIATION);
+  if (associate) {
+    candidates.push({ level: ASSOCIATE, index: associate.index, text: associate[0] });
+  }
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // The earliest mention names the degree ("MSc ... with a Certificate in ...")
+  const first = candidates.sort((a, b) => a.index - b.index || b.text.length - a.text.length)[0];
+  const honours = source.slice(first.index + first.text.length).match(HONOURS_SUFFIX);
+  const degree = honours ? `${first.text} (Hons)` : first.text;
+
+  return {
+    level: first.level,
+    degree: degree.trim(),
+    index: first.index,
+    length: first.text.length + (honours ? honours[0].length : 0),
+  };
+}
+
+/**
+ * Split a degree name such as LinkedIn's "Bachelor of Science - BS, Computer Science"
+ * or JSON Resume's studyType into the degree and its level
+ * @param {string} value
+ * @returns {{degree: string, level: string|null, field: string|null}}
+ */
+export function parseDegree(value) {
+  const source = (value || '').trim();
+  const found = findDegree(source);
+  if (!found) {
+    return { degree: source, level: null, field: null };
+  }
+  return {
+    degree: found.degree,
+    level: found.level,
+    field: findFieldOfStudy(source, found),
+  };
+}
+
+/**
+ * Read a GPA ("3.8/4.0", "GPA 3.6") or honours ("First Class") from a grade
+ * @param {string} value - Grade as written, e.g. a JSON Resume score
+ * @returns {{gpa: number|null, gpa_scale: number|null, honours: string|null}}
+ */
+export function parseGrade(value) {
+  const source = String(value ?? '').trim();
+  const gpa = source.match(GPA_REGEX) || source.match(BARE_GPA_REGEX);
+  const honours = source.match(HONOURS_REGEX);
+  return {
+    gpa: gpa ? parseFloat(gpa[1]) : null,
+    gpa_scale: gpa?.[2] ? parseFloat(gpa[2]) : null,
+    honours: honours ? honours[0].trim() : null,
+  };
+}
+
+function parseEntry(lines) {
+  const text = lines.join('\n');
+  const degreeLineIndex = lines.findIndex((line) => findDegree(line));
+  const degreeLine = degreeLineIndex === -1 ? '' : lines[degreeLineIndex];
+  const degree = degreeLine ? findDegree(degreeLine) : null;
+  const field = degree ? findFieldOfStudy(degreeLine, degree) : null;
+
+  // Institution: a recognisable name anywhere in the entry, else the first other line
+  // that reads like a name; none at all beats a heading or a line of coursework
+  const known = lines.map((line) => findInstitution(line)).find(Boolean);
+  let institution = known?.name || null;
+  let institutionConfidence = known ? 0.9 : null;
+  if (!institution) {
+    const other = lines.find(
+      (line, index) => index !== degreeLineIndex && isNameLike(stripDetails(line))
+    );
+    institution = other ? stripDetails(other) : null;
+    institutionConfidence = institution ? 0.5 : null;
+  }
+
+  // A lone year is the graduation year; an ongoing degree has no end year yet
+  const range = parseDateRange(text);
+  const endYear = range && !range.isCurrent ? range.end.year : null;
+  const startYear = range && range.start.year !== endYear ? range.start.year : null;
+  const grade = parseGrade(text);
+
+  return {
+    degree: degree ? degree.degree : null,
+    degree_level: degree ? degree.level : null,
+    field_of_study: field,
+    institution,
+    institution_normalized: normalizeInstitution(institution),
+    start_year: startYear,
+    end_year: endYear,
+    graduation_year: endYear,
+    ...grade,
+    confidence: {
+      degree: degree ? 0.9 : null,
+      field_of_study: field ? 0.75 : null,
+      institution: institutionConfidence,
+      graduation_year: endYear ? 0.85 : null,
+    },
+  };
+}
+
+/**
+ * Field of study: "Bachelor of Science in X", "MSc X, Y and Z", "X, BSc"
+ */
+function findFieldOfStudy(line, degree) {
+  if (degree.level === SECONDARY) {
+    return null;
+  }
+
+  const after = line
+    .slice(degree.index + degree.length)
+    .replace(/^[\s,:–—-]*(?:\bin\b|\bof\b)?\s*/i, '')
+    .split(/\s*(?:[|(–—]|\s-\s|\bat\b|\bfrom\b)\s*/)[0];
+
+  // Comma-separated pieces belong to the field until a school, year or grade appears;
+  // a repeated abbreviation ("Bachelor of Science - BS, ...") is skipped
+  const pieces = [];
+  for (const piece of after.split(/\s*,\s*/)) {
+    if (pieces.length === 0 && findDegree(piece)) {
+      continue;
+    }
+    const cleaned = stripDetails(piece);
+    if (!cleaned || cleaned !== piece.trim() || findInstitution(cleaned)) {
+      break;
+    }
+    pieces.push(cleaned);
+  }
+  const field = pieces.join(', ');
+  if (/^[A-Z&]/.test(field)) {
+    return field;
+  }
+
+  // "Computer Science, BSc" puts the field first
+  const before = stripDetails(line.slice(0, degree.index).replace(/[\s,:–—-]+$/, ''));
+  return before && !findInstitution(before) && /^[A-Z]/.test(before) ? before : null;
+}
+
+/**
+ * A short run of capitalized words ("Le Wagon", "General Assembly"), not a section heading
+ */
+function isNameLike(text) {
+  const words = text.split(/\s+/);
+  return (
+    text.length > 2 &&
+    words.length <= 8 &&
+    !detectHeading(text) &&
+    words.every((word) => /^[\p{Lu}\p{N}&]/u.test(word) || NAME_CONNECTOR.test(word))
+  );
+}
+
+/**
+ * Drop dates, grades and separators around a name
+ */
+function stripDetails(text) {
+  return text
+    .replace(GPA_REGEX, '')
+    .replace(HONOURS_REGEX, '')
+    .replace(YEARS_REGEX, '')
+    .replace(/^[\s,;:|•*·–—-]+|[\s,;:|•*·–—-]+$/g, '')
+    .trim();
+}
+
+function splitParagraphs(text) {
+  return (text || '')
+    .split(/\n\s*\n/)
+    .map((paragraph) =>
+      paragraph
+        .split('\n')
+        .map((line) => line.trim().replace(/^[•*▪◦·]\s*/, ''))
+        .filter(Boolean)
+    )
+    .filter((lines) => lines.length > 0);
+}
+
+function abbreviationPattern(abbreviations) {
+  const alternatives = abbreviations.map((abbreviation) => abbreviation.replace(/\./g, '\\.?'));
+  return new RegExp(`(?<![A-Za-z])(?:${alternatives.join('|')})\\.?(?![A-Za-z])`);
+}
+
+export default {
+  parseEducation,
+  findDegree,
+  parseDegree,
+  parseGrade,
+};
@@ -0,0 +1,148 @@
+/**
+ * Parser Extensions Registry
+ * Organization-specific extractors (security clearance, visa status, internal job codes...)
+ * plug into parseCV here instead of forking it. Each extractor gets the CV text, its
+ * sections and the extraction so far, and returns fields that are stored under its own
+ * name in extracted_data.extensions, so plugins can never overwrite core fields or each
+ * other.
+ *
+ * Extractors run after the core extractors, by ascending order (then registration order),
+ * one at a time; later extractors see the fields of earlier ones. An extractor that throws,
+ * returns something other than a plain object, or takes longer than EXTRACTOR_TIMEOUT_MS
+ * is skipped and recorded in extracted_data.extension_errors; the parse still succeeds.
+ *
+ * Extractors run wherever parseCV runs (the parser worker), so register them in
+ * src/extensions/index.js rather than from a page.
+ */
+
+import { getSectionText } from './sections.js';
+
+// Extractor names are their namespace in extracted_data.extensions, e.g. "acme_clearance"
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Order used when an extractor does not set one
+const DEFAULT_ORDER = 100;
+
+// A slow extractor is skipped rather than holding up the parse
+const EXTRACTOR_TIMEOUT_MS = 5000;
+
+const extractors = [];
+
+/**
+ * Register a custom extractor
+ * @param {string} name - Namespace for its fields: lowercase letters, digits and
+ *   underscores, e.g. "acme_clearance"
+ * @param {Function} extract - ({ text, segments, getSection, extractedData }) =>
+ *   object | Promise<object>; segments as from segmentCV, getSection(type) returns the
+ *   text of a CV_SECTIONS section ('' if absent), extractedData is a copy of the
+ *   extraction so far. Return the fields to store (JSON-serializable), or {} when there
+ *   is nothing to add
+ * @param {object} options
+ * @param {number} options.order - Lower runs first (default 100)
+ * @returns {{error}} error when the name is invalid or already registered
+ */
+export function registerExtractor(name, extract, { order = DEFAULT_ORDER } = {}) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    return {
+      error: new Error(
+        `Invalid extractor name "${name}": use lowercase letters, digits and underscores`
+      ),
+    };
+  }
+  if (typeof extract !== 'function') {
+    return { error: new Error(`Extractor "${name}" must be a function`) };
+  }
+  if (extractors.some((extractor) => extractor.name === name)) {
+    return { error: new Error(`Extractor "${name}" is already registered`) };
+  }
+  if (!Number.isFinite(order)) {
+    return { error: new Error(`Extractor "${name}" has an invalid order: ${order}`) };
+  }
+
+  extractors.push({ name, extract, order, index: extractors.length });
+  extractors.sort((a, b) => a.order - b.order || a.index - b.index);
+  return { error: null };
+}
+
+/**
+ * Remove a registered extractor
+ * @param {string} name
+ * @returns {boolean} Whether it was registered
+ */
+export function unregisterExtractor(name) {
+  const index = extractors.findIndex((extractor) => extractor.name === name);
+  if (index === -1) {
+    return false;
+  }
+  extractors.splice(index, 1);
+  return true;
+}
+
+/**
+ * Registered extractors in the order they run
+ * @returns {Array<{name: string, order: number}>}
+ */
+export function listExtractors() {
+  return extractors.map(({ name, order }) => ({ name, order }));
+}
+
+/**
+ * Run every registered extractor over a parsed CV
+ * @param {object} input
+ * @param {string} input.text - Full CV text
+ * @param {object} input.segments - From segmentCV
+ * @param {object} input.extractedData - Core extraction
+ * @returns {Promise<{extensions: object, extension_errors: Array<{name, error}>}>}
+ *   extensions maps each extractor name to its fields; spread both into extracted_data
+ */
+export async function runExtractors({ text, segments, extractedData }) {
+  const extensions = {};
+  const errors = [];
+
+  for (const { name, extract } of extractors) {
+    try {
+      // Copies, so an extractor cannot change what the parser or later extractors see
+      const input = structuredClone({ segments, extractedData: { ...extractedData, extensions } });
+      const getSection = (section) => getSectionText(input.segments, section);
+      const fields = await withTimeout(
+        Promise.resolve().then(() => extract({ text, getSection, ...input }))
+      );
+      if (!isPlainObject(fields)) {
+        throw new Error('must return an object of fields');
+      }
+      // Stored as a copy the extractor can no longer change
+      extensions[name] = structuredClone(fields);
+    } catch (err) {
+      console.warn(`Parser extension "${name}" failed:`, err);
+      errors.push({ name, error: err?.message || String(err) });
+    }
+  }
+
+  return { extensions, extension_errors: errors };
+}
+
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`timed out after ${EXTRACTOR_TIMEOUT_MS / 1000}s`)),
+      EXTRACTOR_TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value))
+  );
+}
+
+export default {
+  registerExtractor,
+  unregisterExtractor,
+  listExtractors,
+  runExtractors,
+};
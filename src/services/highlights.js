@@ -0,0 +1,367 @@
+/**
+ * CV Highlights Extraction
+ * Extracts certifications, spoken languages, projects and publications - the
+ * sections beyond work history that make good conversation hooks
+ */
+
+import { CV_SECTIONS, LANGUAGE_LEVELS } from '../utils/constants.js';
+import { getSectionText } from './sections.js';
+import { findSkills } from '../utils/skills.js';
+
+// Well-known certifications: topic is the skill or domain a company or profile would mention
+const KNOWN_CERTIFICATIONS = [
+  { name: 'AWS Certified Solutions Architect', issuer: 'Amazon Web Services', topic: 'AWS',
+    pattern: /\baws\b.*solutions? architect|solutions? architect.*\baws\b/i },
+  { name: 'AWS Certified Developer', issuer: 'Amazon Web Services', topic: 'AWS',
+    pattern: /\baws certified developer/i },
+  { name: 'AWS Certified DevOps Engineer', issuer: 'Amazon Web Services', topic: 'AWS',
+    pattern: /\baws certified devops/i },
+  { name: 'AWS Certified Cloud Practitioner', issuer: 'Amazon Web Services', topic: 'AWS',
+    pattern: /\baws certified cloud practitioner/i },
+  { name: 'Google Professional Cloud Architect', issuer: 'Google Cloud', topic: 'Google Cloud',
+    pattern: /(google cloud|\bgcp\b).*cloud architect/i },
+  { name: 'Microsoft Certified: Azure Solutions Architect', issuer: 'Microsoft', topic: 'Azure',
+    pattern: /azure solutions architect/i },
+  { name: 'Microsoft Certified: Azure Administrator', issuer: 'Microsoft', topic: 'Azure',
+    pattern: /azure administrator/i },
+  { name: 'Certified Kubernetes Administrator (CKA)', issuer: 'CNCF', topic: 'Kubernetes',
+    pattern: /certified kubernetes administrator|\bcka\b/i },
+  { name: 'Certified Kubernetes Application Developer (CKAD)', issuer: 'CNCF', topic: 'Kubernetes',
+    pattern: /certified kubernetes application developer|\bckad\b/i },
+  { name: 'Project Management Professional (PMP)', issuer: 'PMI', topic: 'Project Management',
+    pattern: /project management professional|\bpmp\b/i },
+  { name: 'PRINCE2', issuer: 'Axelos', topic: 'Project Management', pattern: /\bprince ?2\b/i },
+  { name: 'Certified ScrumMaster (CSM)', issuer: 'Scrum Alliance', topic: 'Scrum',
+    pattern: /certified scrum ?master|\bcsm\b/i },
+  { name: 'Professional Scrum Master (PSM)', issuer: 'Scrum.org', topic: 'Scrum',
+    pattern: /professional scrum master|\bpsm ?i*\b/i },
+  { name: 'Chartered Financial Analyst (CFA)', issuer: 'CFA Institute', topic: 'Finance',
+    pattern: /chartered financial analyst|\bcfa\b/i },
+  { name: 'Certified Public Accountant (CPA)', issuer: 'AICPA', topic: 'Accounting',
+    pattern: /certified public accountant|\bcpa\b/i },
+  { name: 'ACCA', issuer: 'ACCA', topic: 'Accounting', pattern: /\bacca\b/i },
+  { name: 'CISSP', issuer: 'ISC2', topic: 'Security', pattern: /\bcissp\b/i },
+  { name: 'CompTIA Security+', issuer: 'CompTIA', topic: 'Security', pattern: /security\+/i },
+  { name: 'Certified Ethical Hacker (CEH)', issuer: 'EC-Council', topic: 'Security',
+    pattern: /certified ethical hacker|\bceh\b/i },
+  { name: 'ITIL Foundation', issuer: 'Axelos', topic: 'ITIL', pattern: /\bitil\b/i },
+  { name: 'Six Sigma', issuer: null, topic: 'Six Sigma', pattern: /six sigma/i },
+  { name: 'Oracle Certified Professional, Java', issuer: 'Oracle', topic: 'Java',
+    pattern: /oracle certified.*java|\bocpjp?\b/i },
+  { name: 'Google Analytics Certification', issuer: 'Google', topic: 'Google Analytics',
+    pattern: /google analytics (?:certif|individual qualification)|\bgaiq\b/i },
+];
+
+// Spoken languages recognised by name (longer names first so "Mandarin Chinese" wins)
+const KNOWN_LANGUAGES = [
+  'Mandarin Chinese', 'English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese',
+  'Dutch', 'Swedish', 'Norwegian', 'Danish', 'Finnish', 'Icelandic', 'Polish', 'Czech',
+  'Slovak', 'Hungarian', 'Romanian', 'Bulgarian', 'Greek', 'Turkish', 'Russian', 'Ukrainian',
+  'Serbian', 'Croatian', 'Arabic', 'Hebrew', 'Persian', 'Farsi', 'Urdu', 'Hindi', 'Bengali',
+  'Punjabi', 'Tamil', 'Telugu', 'Marathi', 'Gujarati', 'Chinese', 'Mandarin', 'Cantonese',
+  'Japanese', 'Korean', 'Vietnamese', 'Thai', 'Indonesian', 'Malay', 'Tagalog', 'Filipino',
+  'Swahili', 'Afrikaans', 'Catalan', 'Basque', 'Irish', 'Welsh', 'Latin', 'Sign Language',
+];
+
+// Checked in order: "full professional" must be read as fluent before "professional" matches
+const LANGUAGE_LEVEL_PATTERNS = [
+  [LANGUAGE_LEVELS.NATIVE, /native|mother tongue|bilingual|first language/],
+  [LANGUAGE_LEVELS.FLUENT, /\bc[12]\b|fluent|full professional|advanced|proficient\b/],
+  [LANGUAGE_LEVELS.PROFESSIONAL, /\bb2\b|professional|upper[\s-]intermediate|business/],
+  [LANGUAGE_LEVELS.CONVERSATIONAL, /\b[ab][12]\b|intermediate|conversational|limited working|good/],
+  [LANGUAGE_LEVELS.BASIC, /basic|elementary|beginner|\ba1\b/],
+];
+
+const CERTIFICATION_TIERS =
+  /^(associate|professional|specialty|foundation|practitioner|expert|level [ivx\d]+)$/i;
+const BULLET_REGEX = /^[•*▪◦·–—-]\s*/;
+const YEAR_REGEX = /\b(19|20)\d{2}\b/g;
+const URL_REGEX =
+  /\b(?:https?:\/\/\S+|doi:\s*10\.\S+|(?:www\.)?(?:github|gitlab|bitbucket)\.(?:com|org)\/\S+)/i;
+const TITLE_SEPARATORS = /\s+[–—|-]\s+|:\s+/;
+
+/**
+ * Extract certifications from the certifications section, plus well-known
+ * certifications mentioned elsewhere in the CV
+ * @param {string} text - CV text
+ * @param {object} segments - Result of segmentCV
+ * @returns {Array<{name, issuer, year, standard_name, confidence}>} standard_name is the
+ *   recognised certification (null for unknown ones)
+ */
+export function extractCertifications(text, segments) {
+  const certifications = splitItems(getSectionText(segments, CV_SECTIONS.CERTIFICATIONS)).map(
+    (item) => {
+      const known = findKnownCertification(item);
+      const pieces = stripYears(item).split(/\s*[,|(]\s*|\s+[–—]\s+/);
+      // "AWS Certified Solutions Architect – Associate": the tier belongs to the name
+      while (pieces.length > 1 && CERTIFICATION_TIERS.test(pieces[1].replace(/\)$/, ''))) {
+        pieces.splice(0, 2, `${pieces[0]} – ${pieces[1]}`);
+      }
+      const issuer = pieces.slice(1).find((piece) => /[A-Za-z]/.test(piece));
+      return {
+        name: pieces[0].replace(/[\s)]+$/, ''),
+        issuer: known?.issuer || issuer?.replace(/\)$/, '').trim() || null,
+        year: findLatestYear(item),
+        standard_name: known?.name || null,
+        confidence: known ? 0.95 : 0.75,
+      };
+    }
+  );
+
+  // Known certifications stated elsewhere ("PMP-certified project manager")
+  findCertificationsInText(text).forEach((known) => {
+    if (!certifications.some((cert) => cert.standard_name === known.name)) {
+      certifications.push({
+        name: known.name,
+        issuer: known.issuer,
+        year: null,
+        standard_name: known.name,
+        confidence: 0.6,
+      });
+    }
+  });
+
+  return certifications.filter((cert) => cert.name);
+}
+
+/**
+ * Extract spoken languages with their level from the languages section, plus
+ * "fluent in X" style mentions elsewhere
+ * @param {string} text - CV text
+ * @param {object} segments - Result of segmentCV
+ * @returns {Array<{name, level, confidence}>} level from LANGUAGE_LEVELS, or null if not stated
+ */
+export function extractLanguages(text, segments) {
+  const languages = [];
+  const add = (language) => {
+    if (!languages.some((existing) => existing.name === language.name)) {
+      languages.push(language);
+    }
+  };
+
+  splitItems(getSectionText(segments, CV_SECTIONS.LANGUAGES), { splitCommas: true }).forEach(
+    (item) => {
+      const name = findLanguageName(item);
+      if (name) {
+        add({ name, level: normalizeLanguageLevel(item.slice(name.length)), confidence: 0.9 });
+      } else if (/^[A-Z][a-z]+(?: [A-Z][a-z]+)?(?=$|\s*[(:–—-])/.test(item)) {
+        // Unlisted language names are accepted in the section if they look like one
+        const [unknown] = item.match(/^[A-Z][a-z]+(?: [A-Z][a-z]+)?/);
+        add({
+          name: unknown,
+          level: normalizeLanguageLevel(item.slice(unknown.length)),
+          confidence: 0.5,
+        });
+      }
+    }
+  );
+
+  const mentionRegex =
+    /\b(native|fluent|bilingual|conversational|proficient|working knowledge of)\s+(?:in\s+|speaker of\s+)?([A-Z][a-z]+(?:\s+(?:and|&)\s+[A-Z][a-z]+)?)/g;
+  for (const match of text.matchAll(mentionRegex)) {
+    match[2].split(/\s+(?:and|&)\s+/).forEach((candidate) => {
+      const name = findLanguageName(candidate);
+      if (name) {
+        add({ name, level: normalizeLanguageLevel(match[1]), confidence: 0.6 });
+      }
+    });
+  }
+
+  return languages;
+}
+
+/**
+ * Extract projects: a header line (name, link, year) followed by its description
+ * @param {object} segments - Result of segmentCV
+ * @returns {Array<{name, description, url, year, technologies, confidence}>}
+ */
+export function extractProjects(segments) {
+  const projects = [];
+  let current = null;
+
+  getSectionText(segments, CV_SECTIONS.PROJECTS)
+    .split('\n')
+    .map((line) => line.trim())
+    .forEach((line) => {
+      if (!line) {
+        return;
+      }
+      const isBullet = BULLET_REGEX.test(line);
+      const isProse = line.length > 80 || /^[a-z]/.test(line);
+
+      if (current && (isBullet || isProse)) {
+        current.details.push(line.replace(BULLET_REGEX, ''));
+        return;
+      }
+
+      const url = line.match(URL_REGEX)?.[0] || null;
+      const header = stripYears((url ? line.replace(url, '') : line).replace(BULLET_REGEX, ''));
+      const [name, ...rest] = header
+        .split(TITLE_SEPARATORS)
+        .map((piece) => piece.replace(/^[\s,;:(|–—-]+|[\s,;:(|–—-]+$/g, ''));
+      current = {
+        name,
+        url: url ? url.replace(/[).,;]+$/, '') : null,
+        year: findLatestYear(line),
+        details: rest.filter(Boolean),
+      };
+      projects.push(current);
+    });
+
+  return projects
+    .filter((project) => project.name)
+    .map(({ details, ...project }) => {
+      const description = details.join(' ').replace(/\s+/g, ' ').trim();
+      return {
+        ...project,
+        description,
+        technologies: findSkills(`${project.name}\n${description}`).map((skill) => skill.name),
+        confidence: description ? 0.8 : 0.6,
+      };
+    });
+}
+
+/**
+ * Extract publications and talks: title, venue, year and link of each entry
+ * Quoted titles are reliable; otherwise the title is taken to be the first
+ * sentence after the authors
+ * @param {object} segments - Result of segmentCV
+ * @returns {Array<{title, venue, year, url, confidence}>}
+ */
+export function extractPublications(segments) {
+  const section = getSectionText(segments, CV_SECTIONS.PUBLICATIONS);
+  const hasBullets = section.split('\n').some((line) => BULLET_REGEX.test(line.trim()));
+
+  return splitItems(section, { joinContinuations: hasBullets })
+    .map((entry) => {
+      const url = entry.match(URL_REGEX)?.[0] || null;
+      const year = findLatestYear(entry);
+      const citation = (url ? entry.replace(url, '') : entry).trim();
+
+      const quoted = citation.match(/[“"]([^”"]+)[”"]/);
+      if (quoted) {
+        const venue = citation.slice(quoted.index + quoted[0].length);
+        return {
+          title: quoted[1].replace(/[.,]$/, '').trim(),
+          venue: cleanVenue(venue),
+          year,
+          url: url ? url.replace(/[).,;]+$/, '') : null,
+          confidence: 0.85,
+        };
+      }
+
+      // "Doe, J. (2021). Title. Venue." - drop the author list before the year
+      const body = citation.replace(/^[^()]*\((?:19|20)\d{2}[a-z]?\)\.?\s*/, '');
+      const [title, ...rest] = body.split(/\.\s+|\s+[–—|-]\s+/);
+      return {
+        title: title.replace(/[.,]$/, '').trim(),
+        venue: cleanVenue(rest.join(', ')),
+        year,
+        url: url ? url.replace(/[).,;]+$/, '') : null,
+        confidence: 0.6,
+      };
+    })
+    .filter((publication) => publication.title);
+}
+
+/**
+ * Map a stated language level (CEFR code, LinkedIn proficiency or free text)
+ * onto LANGUAGE_LEVELS
+ * @param {string} text - e.g. "C1", "Native or bilingual proficiency", "(conversational)"
+ * @returns {string|null} Level, or null when none is stated
+ */
+export function normalizeLanguageLevel(text) {
+  const lower = (text || '').toLowerCase();
+  const match = LANGUAGE_LEVEL_PATTERNS.find(([, pattern]) => pattern.test(lower));
+  return match ? match[0] : null;
+}
+
+/**
+ * Find well-known certifications mentioned in free text (CV, profile headline, skills)
+ * @param {string} text
+ * @returns {Array<{name, issuer, topic}>}
+ */
+export function findCertificationsInText(text) {
+  return KNOWN_CERTIFICATIONS.filter((known) => known.pattern.test(text || '')).map(
+    ({ name, issuer, topic }) => ({ name, issuer, topic })
+  );
+}
+
+/**
+ * Look up the well-known certification a certification name refers to
+ * @param {string} name - Certification as written
+ * @returns {{name, issuer, topic}|null}
+ */
+export function findKnownCertification(name) {
+  const known = KNOWN_CERTIFICATIONS.find((cert) => cert.pattern.test(name || ''));
+  return known ? { name: known.name, issuer: known.issuer, topic: known.topic } : null;
+}
+
+/**
+ * Split a section into entries: one per bullet or line
+ * joinContinuations appends non-bullet lines to the previous bullet (wrapped text)
+ */
+function splitItems(section, { splitCommas = false, joinContinuations = false } = {}) {
+  const items = [];
+
+  (section || '').split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) {
+      return;
+    }
+    if (joinContinuations && items.length > 0 && !BULLET_REGEX.test(line)) {
+      items[items.length - 1] += ` ${line}`;
+      return;
+    }
+    items.push(line.replace(BULLET_REGEX, ''));
+  });
+
+  if (!splitCommas) {
+    return items;
+  }
+  // "English (native), Spanish (B2) · French" - split outside parentheses only
+  return items.flatMap((item) =>
+    item
+      .split(/[,;|•·](?![^(]*\))/)
+      .map((piece) => piece.trim())
+      .filter(Boolean)
+  );
+}
+
+function findLanguageName(item) {
+  const lower = item.toLowerCase();
+  return (
+    KNOWN_LANGUAGES.find(
+      (language) =>
+        lower.startsWith(language.toLowerCase()) && !/[a-z]/.test(lower.charAt(language.length))
+    ) || null
+  );
+}
+
+function findLatestYear(text) {
+  const years = (text.match(YEAR_REGEX) || []).map(Number);
+  return years.length > 0 ? Math.max(...years) : null;
+}
+
+function stripYears(text) {
+  return text
+    .replace(/\(?\s*\b(?:19|20)\d{2}\b(?:\s*[–—-]\s*(?:\b(?:19|20)\d{2}\b|present))?\s*\)?/gi, '')
+    .trim();
+}
+
+function cleanVenue(text) {
+  const venue = stripYears(text)
+    .replace(/^[\s.,;:–—-]+|[\s.,;:–—-]+$/g, '')
+    .trim();
+  return venue || null;
+}
+
+export default {
+  extractCertifications,
+  extractLanguages,
+  extractProjects,
+  extractPublications,
+  normalizeLanguageLevel,
+  findCertificationsInText,
+  findKnownCertification,
+};
@@ -0,0 +1,343 @@
+/**
+ * JSON Resume Service
+ * Maps between the JSON Resume schema (https://jsonresume.org/schema) and the
+ * extracted_data structure stored in cv_metadata
+ */
+
+import {
+  PROFICIENCY_LEVELS,
+  SKILL_CATEGORIES,
+  EXTRACTED_DATA_VERSION,
+} from '../utils/constants.js';
+import { canonicalizeSkill, getSkill } from '../utils/skills.js';
+import { normalizeLocation, parseLocation } from '../utils/locations.js';
+import { parseDate, monthsBetween, formatYearMonth } from '../utils/dates.js';
+import { enrichSkills } from './proficiency.js';
+import { findKnownCertification, normalizeLanguageLevel } from './highlights.js';
+import { parseDegree, parseGrade } from './education.js';
+import { classifySeniority } from './seniority.js';
+import { normalizeInstitution } from '../utils/institutions.js';
+
+export const JSON_RESUME_SCHEMA_URL =
+  'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// Top-level sections; a document needs at least one to count as a JSON Resume
+const RESUME_SECTIONS = [
+  'basics', 'work', 'volunteer', 'education', 'awards', 'certificates', 'publications',
+  'skills', 'languages', 'interests', 'references', 'projects',
+];
+
+// JSON Resume skill levels are free text; map the common ones onto PROFICIENCY_LEVELS
+const LEVEL_ALIASES = {
+  beginner: PROFICIENCY_LEVELS.BEGINNER,
+  novice: PROFICIENCY_LEVELS.BEGINNER,
+  basic: PROFICIENCY_LEVELS.BEGINNER,
+  intermediate: PROFICIENCY_LEVELS.INTERMEDIATE,
+  proficient: PROFICIENCY_LEVELS.INTERMEDIATE,
+  advanced: PROFICIENCY_LEVELS.ADVANCED,
+  expert: PROFICIENCY_LEVELS.EXPERT,
+  master: PROFICIENCY_LEVELS.EXPERT,
+};
+
+/**
+ * Check whether a parsed JSON document looks like a JSON Resume
+ * @param {*} document - Parsed JSON
+ * @returns {boolean}
+ */
+export function isJSONResume(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return false;
+  }
+  return RESUME_SECTIONS.some((section) => section in document);
+}
+
+/**
+ * Map a JSON Resume document into the extracted_data structure
+ * The original document is kept under json_resume so exports keep its extra keys.
+ * Industries and career goals are left empty for the caller to infer.
+ * @param {object} resume - JSON Resume document
+ * @param {object} options
+ * @param {Date} options.now - Reference date for current roles (default: today)
+ * @returns {{extractedData, error}}
+ */
+export function importJSONResume(resume, { now = new Date() } = {}) {
+  if (!isJSONResume(resume)) {
+    return { extractedData: null, error: new Error('File is not a JSON Resume document') };
+  }
+
+  const basics = resume.basics || {};
+  const experience = (resume.work || []).map((work) => importWork(work, now));
+  const enriched = enrichSkills(importSkills(resume.skills || []), experience, null, { now });
+
+  const extractedData = {
+    schema_version: EXTRACTED_DATA_VERSION,
+    personal: {
+      name: basics.name || null,
+      email: basics.email || null,
+      phone: basics.phone || null,
+      linkedin_url: findLinkedInProfile(basics.profiles)?.url || null,
+      location: importLocation(basics.location),
+    },
+    summary: basics.summary || '',
+    // Stated levels win over inferred proficiency
+    skills: enriched.map(({ level, ...skill }) => ({
+      ...skill,
+      proficiency: level || skill.proficiency,
+    })),
+    experience,
+    education: (resume.education || []).map(importEducation),
+    certifications: (resume.certificates || []).filter((cert) => cert.name).map(importCertificate),
+    languages: (resume.languages || [])
+      .filter((language) => language.language)
+      .map((language) => ({
+        name: language.language,
+        level: normalizeLanguageLevel(language.fluency),
+      })),
+    projects: (resume.projects || []).filter((project) => project.name).map(importProject),
+    publications: (resume.publications || [])
+      .filter((publication) => publication.name)
+      .map((publication) => ({
+        title: publication.name,
+        venue: publication.publisher || null,
+        year: getYear(publication.releaseDate),
+        url: publication.url || null,
+      })),
+    industries: [],
+    career_goals: '',
+    // Inferred from the exact titles and dates, so it keeps its confidence
+    seniority: classifySeniority(experience, { now }),
+    // Structured input: nothing was guessed
+    accuracy_score: 1.0,
+    ocr: null,
+    json_resume: resume,
+  };
+
+  return { extractedData, error: null };
+}
+
+/**
+ * Build a JSON Resume document from extracted_data
+ * Sections are generated from the extracted fields, so corrections and privacy settings
+ * apply; keys of an imported JSON Resume that are not generated are kept as uploaded
+ * @param {object} extractedData - cv_metadata.extracted_data
+ * @returns {object} JSON Resume document
+ */
+export function exportJSONResume(extractedData) {
+  const data = extractedData || {};
+  const personal = getExportablePersonal(data);
+  const { json_resume: original = {} } = data;
+
+  const generated = {
+    basics: {
+      name: personal.name || '',
+      label: data.experience?.[0]?.job_title || '',
+      email: personal.email || '',
+      phone: personal.phone || '',
+      summary: data.summary || '',
+      location: exportLocation(personal.location),
+      profiles: personal.linkedin_url
+        ? [
+            {
+              network: 'LinkedIn',
+              username: personal.linkedin_url.replace(/\/$/, '').split('/').pop(),
+              url: personal.linkedin_url,
+            },
+          ]
+        : [],
+    },
+    work: (data.experience || []).map((exp) => ({
+      name: exp.company || '',
+      position: exp.job_title || '',
+      location: exp.location || undefined,
+      startDate: exp.start_date || undefined,
+      endDate: exp.is_current ? undefined : exp.end_date || undefined,
+      summary: exp.description || '',
+    })),
+    education: (data.education || []).map((edu) => ({
+      institution: edu.institution || '',
+      area: edu.field_of_study || undefined,
+      studyType: edu.degree || '',
+      startDate: edu.start_year ? String(edu.start_year) : undefined,
+      endDate: edu.graduation_year ? String(edu.graduation_year) : undefined,
+      score: formatGrade(edu),
+    })),
+    skills: (data.skills || []).map((skill) => ({
+      name: skill.name,
+      level: skill.proficiency ? capitalize(skill.proficiency) : undefined,
+    })),
+    certificates: (data.certifications || []).map((cert) => ({
+      name: cert.name,
+      issuer: cert.issuer || undefined,
+      date: cert.year ? String(cert.year) : undefined,
+    })),
+    languages: (data.languages || []).map((language) => ({
+      language: language.name,
+      fluency: language.level ? capitalize(language.level) : undefined,
+    })),
+    projects: (data.projects || []).map((project) => ({
+      name: project.name,
+      description: project.description || undefined,
+      url: project.url || undefined,
+      keywords: project.technologies?.length ? project.technologies : undefined,
+      endDate: project.year ? String(project.year) : undefined,
+    })),
+    publications: (data.publications || []).map((publication) => ({
+      name: publication.title,
+      publisher: publication.venue || undefined,
+      releaseDate: publication.year ? String(publication.year) : undefined,
+      url: publication.url || undefined,
+    })),
+  };
+
+  return JSON.parse(
+    JSON.stringify({
+      $schema: JSON_RESUME_SCHEMA_URL,
+      ...original,
+      ...generated,
+      meta: { ...original.meta, lastModified: new Date().toISOString() },
+    })
+  );
+}
+
+function importWork(work, now) {
+  const start = parseDate(toYearMonth(work.startDate));
+  const end = work.endDate ? parseDate(toYearMonth(work.endDate)) : null;
+  const isCurrent = Boolean(start) && !end;
+  const effectiveEnd = isCurrent ? { year: now.getFullYear(), month: now.getMonth() + 1 } : end;
+
+  return {
+    job_title: work.position || 'Position',
+    company: work.name || work.company || null,
+    location: work.location ? normalizeLocation(work.location) : null,
+    start_date: formatYearMonth(start),
+    end_date: isCurrent ? null : formatYearMonth(end),
+    is_current: isCurrent,
+    duration_months: monthsBetween(start, effectiveEnd),
+    description: [work.summary, ...(work.highlights || [])].filter(Boolean).join(' '),
+  };
+}
+
+function importEducation(education) {
+  const degree = parseDegree(education.studyType);
+  const endYear = getYear(education.endDate);
+  return {
+    degree: degree.degree || null,
+    degree_level: degree.level,
+    field_of_study: education.area || degree.field,
+    institution: education.institution || null,
+    institution_normalized: normalizeInstitution(education.institution),
+    start_year: getYear(education.startDate),
+    end_year: endYear,
+    graduation_year: endYear,
+    ...parseGrade(education.score),
+  };
+}
+
+function importCertificate(cert) {
+  return {
+    name: cert.name,
+    issuer: cert.issuer || null,
+    year: getYear(cert.date),
+    standard_name: findKnownCertification(cert.name)?.name || null,
+  };
+}
+
+function importProject(project) {
+  const keywords = (project.keywords || []).map(canonicalizeSkill).filter(Boolean);
+  return {
+    name: project.name,
+    description: [project.description, ...(project.highlights || [])].filter(Boolean).join(' '),
+    url: project.url || null,
+    year: getYear(project.endDate) || getYear(project.startDate),
+    technologies: [...new Set(keywords)],
+  };
+}
+
+/**
+ * Each skill entry's name and keywords become skills; entry names that are
+ * only group labels ("Web Development" with keywords) are kept only if known
+ */
+function importSkills(entries) {
+  const skills = new Map();
+
+  entries.forEach((entry) => {
+    const level = LEVEL_ALIASES[(entry.level || '').trim().toLowerCase()] || null;
+    const keywords = entry.keywords || [];
+    const names = getSkill(entry.name) || keywords.length === 0 ? [entry.name] : [];
+
+    [...names, ...keywords].forEach((raw) => {
+      const name = canonicalizeSkill(raw);
+      if (!name || skills.has(name.toLowerCase())) {
+        return;
+      }
+      const known = getSkill(name);
+      skills.set(name.toLowerCase(), {
+        name,
+        category: known?.category || SKILL_CATEGORIES.TECHNICAL,
+        group: known?.group || null,
+        parent: known?.parent || null,
+        level,
+      });
+    });
+  });
+
+  return [...skills.values()];
+}
+
+function importLocation(location) {
+  if (!location) {
+    return null;
+  }
+  // "City, Region" is enough to resolve; the country code only helps without a region
+  const parts = [location.city, location.region || location.countryCode].filter(Boolean);
+  return parts.length > 0 ? normalizeLocation(parts.join(', ')) : null;
+}
+
+function exportLocation(location) {
+  if (!location) {
+    return {};
+  }
+  const { city, region, country } = parseLocation(location);
+  return { city: city || undefined, region: region || country || undefined };
+}
+
+function formatGrade(education) {
+  if (education.gpa) {
+    return education.gpa_scale ? `${education.gpa}/${education.gpa_scale}` : String(education.gpa);
+  }
+  return education.honours || undefined;
+}
+
+// Fields redacted or hashed in privacy mode are left out
+function getExportablePersonal(data) {
+  const hidden = data.privacy?.fields || [];
+  return Object.fromEntries(
+    Object.entries(data.personal || {}).filter(([field]) => !hidden.includes(field))
+  );
+}
+
+function findLinkedInProfile(profiles) {
+  return (profiles || []).find(
+    (profile) => /linkedin/i.test(profile.network || '') || /linkedin\.com/i.test(profile.url || '')
+  );
+}
+
+// JSON Resume dates are ISO 8601 ("2021-03-01", "2021-03" or "2021")
+function toYearMonth(value) {
+  return typeof value === 'string' ? value.trim().slice(0, 7) : '';
+}
+
+function getYear(value) {
+  return parseDate(toYearMonth(value))?.year || null;
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+export default {
+  isJSONResume,
+  importJSONResume,
+  exportJSONResume,
+  JSON_RESUME_SCHEMA_URL,
+};
@@ -0,0 +1,221 @@
+/**
+ * PDF Layout Reconstruction
+ * Rebuilds reading order from pdf.js text items using their positions, so
+ * two-column CV templates don't interleave the sidebar with the main column
+ */
+
+// Minimum width (pt) of an empty vertical band to count as a column gutter
+const MIN_GUTTER_WIDTH = 12;
+
+// Each side of a gutter must hold at least this share of the text
+const MIN_COLUMN_SHARE = 0.15;
+
+// Items crossing a gutter may be at most this share of all items (full-width headers)
+const MAX_SPANNING_SHARE = 0.1;
+
+// Lines this much larger than the body font size are treated as headings
+const HEADING_SIZE_RATIO = 1.15;
+
+/**
+ * Rebuild page text from pdf.js text items
+ * @param {Array<object>} items - textContent.items from page.getTextContent()
+ * @param {object} options
+ * @param {number} options.pageWidth - Page width in PDF units (viewport.width at scale 1)
+ * @returns {string} Page text in reading order, one visual line per text line
+ */
+export function reconstructLayout(items, { pageWidth = 612 } = {}) {
+  const boxes = (items || [])
+    .filter((item) => typeof item.str === 'string' && item.str.trim().length > 0)
+    .map(toBox);
+
+  if (boxes.length === 0) {
+    return '';
+  }
+
+  const bodySize = median(boxes.map((box) => box.fontSize));
+  const blocks = splitColumns(boxes, pageWidth, 0);
+
+  return blocks
+    .map((block) => renderLines(groupLines(block), bodySize))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Find a vertical gutter separating two columns of text
+ * @param {Array<object>} boxes - Positioned text boxes
+ * @param {number} pageWidth - Page width; gutters hugging the page edges are ignored
+ * @returns {number|null} X position of the gutter centre, or null for a single column
+ */
+export function findGutter(boxes, pageWidth) {
+  if (boxes.length < 4) {
+    return null;
+  }
+
+  // Only look between the outermost text edges, not in the page margins
+  const left = Math.min(...boxes.map((box) => box.x));
+  const right = Math.max(...boxes.map((box) => box.x + box.width));
+  const width = right - left;
+  if (width <= MIN_GUTTER_WIDTH * 2) {
+    return null;
+  }
+
+  // Coverage histogram in 1pt bins; full-width items are allowed to cross the gutter
+  const coverage = new Array(Math.ceil(width) + 1).fill(0);
+  boxes.forEach((box) => {
+    const start = Math.max(Math.floor(box.x - left), 0);
+    const end = Math.min(Math.ceil(box.x + box.width - left), coverage.length - 1);
+    for (let i = start; i <= end; i++) {
+      coverage[i]++;
+    }
+  });
+
+  const maxCrossing = Math.floor(boxes.length * MAX_SPANNING_SHARE);
+  const minColumn = boxes.length * MIN_COLUMN_SHARE;
+  let best = null;
+  let runStart = null;
+
+  for (let i = 0; i <= coverage.length; i++) {
+    const open = i < coverage.length && coverage[i] <= maxCrossing;
+    if (open && runStart === null) {
+      runStart = i;
+    } else if (!open && runStart !== null) {
+      const runWidth = i - runStart;
+      const centre = left + runStart + runWidth / 2;
+      const leftCount = boxes.filter((box) => box.x + box.width <= centre).length;
+      const rightCount = boxes.filter((box) => box.x >= centre).length;
+      const balanced = leftCount >= minColumn && rightCount >= minColumn;
+      const inMiddle = centre > pageWidth * 0.15 && centre < pageWidth * 0.85;
+      const wider = !best || runWidth > best.width;
+      if (runWidth >= MIN_GUTTER_WIDTH && balanced && inMiddle && wider) {
+        best = { x: centre, width: runWidth };
+      }
+      runStart = null;
+    }
+  }
+
+  return best ? best.x : null;
+}
+
+/**
+ * Recursively split a region into column blocks in reading order
+ * Items above the point where both columns have started (name, contact line)
+ * form a header block that is read first
+ */
+function splitColumns(boxes, pageWidth, depth) {
+  const gutter = depth < 2 ? findGutter(boxes, pageWidth) : null;
+  if (gutter === null) {
+    return [boxes];
+  }
+
+  const leftBoxes = [];
+  const rightBoxes = [];
+  const spanning = [];
+  boxes.forEach((box) => {
+    if (box.x + box.width <= gutter) {
+      leftBoxes.push(box);
+    } else if (box.x >= gutter) {
+      rightBoxes.push(box);
+    } else {
+      spanning.push(box);
+    }
+  });
+
+  // Spanning items inside the column area join the column holding most of their width
+  const columnTop = Math.min(
+    Math.max(...leftBoxes.map((box) => box.y)),
+    Math.max(...rightBoxes.map((box) => box.y))
+  );
+  spanning.forEach((box) => (box.x + box.width / 2 < gutter ? leftBoxes : rightBoxes).push(box));
+
+  const isHeader = (box) => box.y > columnTop + box.fontSize;
+  const header = [...leftBoxes, ...rightBoxes].filter(isHeader);
+  const left = leftBoxes.filter((box) => !isHeader(box));
+  const right = rightBoxes.filter((box) => !isHeader(box));
+
+  return [
+    ...(header.length > 0 ? [header] : []),
+    ...splitColumns(left, pageWidth, depth + 1),
+    ...splitColumns(right, pageWidth, depth + 1),
+  ];
+}
+
+/**
+ * Group boxes into visual lines (top to bottom, left to right)
+ */
+function groupLines(boxes) {
+  const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach((box) => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - box.y) <= Math.max(line.fontSize, box.fontSize) * 0.5) {
+      line.boxes.push(box);
+      line.fontSize = Math.max(line.fontSize, box.fontSize);
+    } else {
+      lines.push({ y: box.y, fontSize: box.fontSize, boxes: [box] });
+    }
+  });
+
+  lines.forEach((line) => line.boxes.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+/**
+ * Render lines to text, inserting blank lines at paragraph gaps and around headings
+ */
+function renderLines(lines, bodySize) {
+  const output = [];
+
+  lines.forEach((line, index) => {
+    const text = joinLine(line.boxes);
+    const isHeading = line.fontSize >= bodySize * HEADING_SIZE_RATIO && text.length <= 60;
+    const previous = lines[index - 1];
+    const gap = previous ? previous.y - line.y : 0;
+    const paragraphBreak = previous && gap > Math.max(previous.fontSize, line.fontSize) * 1.8;
+
+    if (index > 0 && (isHeading || paragraphBreak || previous.isHeading)) {
+      output.push('');
+    }
+    line.isHeading = isHeading;
+    output.push(text);
+  });
+
+  return output.join('\n').trim();
+}
+
+function joinLine(boxes) {
+  let text = '';
+  boxes.forEach((box, index) => {
+    const previous = boxes[index - 1];
+    if (previous) {
+      const gap = box.x - (previous.x + previous.width);
+      const needsSpace = gap > box.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(box.text);
+      text += needsSpace ? ' ' : '';
+    }
+    text += box.text;
+  });
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function toBox(item) {
+  const [a, b, c, d, x, y] = item.transform || [1, 0, 0, 1, 0, 0];
+  const fontSize = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 10;
+  return {
+    text: item.str,
+    x,
+    y,
+    width: item.width || item.str.length * fontSize * 0.5,
+    fontSize,
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] || 10;
+}
+
+export default {
+  reconstructLayout,
+  findGutter,
+};
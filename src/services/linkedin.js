@@ -10,11 +10,20 @@
  */
 
 import { API_TIMEOUT_MS } from '../utils/constants.js';
+import { filterSearchTerms, findPIIInRequest, getPersonalIdentifiers } from './privacy.js';
 
 const LINKEDIN_API_KEY = import.meta.env.VITE_LINKEDIN_API_KEY;
 const LINKEDIN_API_ENDPOINT = import.meta.env.VITE_LINKEDIN_API_ENDPOINT;
 const LINKEDIN_PROVIDER = import.meta.env.VITE_LINKEDIN_PROVIDER || 'mock'; // rapidapi, scraperapi, brightdata, mock
 
+const PROVIDER_CONFIG = {
+  provider: LINKEDIN_PROVIDER,
+  apiKey: LINKEDIN_API_KEY,
+  endpoint: LINKEDIN_API_ENDPOINT,
+};
+
+const RAPIDAPI_HOST = 'linkedin-data-scraper.p.rapidapi.com';
+
 // Debug logging (only in development)
 if (import.meta.env.DEV) {
   console.log('[LinkedIn Service] Configuration:', {
@@ -84,6 +93,76 @@ export async function searchProfiles(query, filters = {}) {
   }
 }
 
+/**
+ * Build the search query for a CV: its top skills and industries
+ * Terms containing the candidate's name, contact details or profile handle are left out
+ * @param {object} cvData - extracted_data
+ * @returns {{keywords: Array<string>, industries: Array<string>}}
+ */
+export function buildSearchQuery(cvData) {
+  const identifiers = getPersonalIdentifiers(cvData?.personal);
+  return {
+    keywords: filterSearchTerms(
+      (cvData?.skills || []).slice(0, 5).map((skill) => skill.name),
+      identifiers
+    ),
+    industries: filterSearchTerms(cvData?.industries || [], identifiers),
+  };
+}
+
+/**
+ * Build the outbound company search request for a provider, without sending it
+ * Search terms that look like contact details are dropped (filterSearchTerms), so the
+ * request can be checked with findPIIInRequest
+ * @param {object} query - { keywords, industries }
+ * @param {object} filters - { limit }
+ * @param {object} config - { provider, apiKey, endpoint } (default: environment)
+ * @returns {{url: string, init: object}|null} null when the provider sends no request (mock)
+ */
+export function buildCompanySearchRequest(query, filters = {}, config = PROVIDER_CONFIG) {
+  const searchQuery = getSearchQuery(query, { withIndustries: true });
+  const searchUrl = `https://www.linkedin.com/search/results/companies/?keywords=${encodeURIComponent(searchQuery)}`;
+  const { limit = 20 } = filters;
+
+  switch (config.provider) {
+    case 'rapidapi':
+      return buildRapidAPIRequest('company_search', searchQuery, config);
+    case 'scraperapi':
+      // ScraperAPI uses a proxy approach - fetch the LinkedIn search URL
+      return {
+        url: `https://api.scraperapi.com?api_key=${config.apiKey}&url=${encodeURIComponent(searchUrl)}`,
+        init: { method: 'GET' },
+      };
+    case 'brightdata':
+      return buildBrightDataRequest('linkedin_companies', searchUrl, limit, config);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the outbound profile search request for a provider, without sending it
+ * @param {object} query - { keywords }
+ * @param {object} filters - { limit }
+ * @param {object} config - { provider, apiKey, endpoint } (default: environment)
+ * @returns {{url: string, init: object}|null} null when the provider sends no request
+ *   (mock, ScraperAPI)
+ */
+export function buildProfileSearchRequest(query, filters = {}, config = PROVIDER_CONFIG) {
+  const searchQuery = getSearchQuery(query, { withIndustries: false });
+  const searchUrl = `https://www.linkedin.com/search/results/people/?keywords=${encodeURIComponent(searchQuery)}`;
+  const { limit = 30 } = filters;
+
+  switch (config.provider) {
+    case 'rapidapi':
+      return buildRapidAPIRequest('person_search', searchQuery, config);
+    case 'brightdata':
+      return buildBrightDataRequest('linkedin_people', searchUrl, limit, config);
+    default:
+      return null;
+  }
+}
+
 /**
  * Check remaining API quota
  * @param {string} userId - User UUID
@@ -107,6 +186,55 @@ export async function checkRateLimit(userId) {
 // PROVIDER ADAPTERS
 // ============================================================================
 
+function getSearchQuery(query, { withIndustries }) {
+  const { keywords, industries } = query || {};
+  return filterSearchTerms([...(keywords || []), ...(withIndustries ? industries || [] : [])]).join(
+    ' '
+  );
+}
+
+function buildRapidAPIRequest(path, searchQuery, config) {
+  return {
+    url: `https://${RAPIDAPI_HOST}/${path}?query=${encodeURIComponent(searchQuery)}`,
+    init: {
+      method: 'GET',
+      headers: {
+        'X-RapidAPI-Key': config.apiKey,
+        'X-RapidAPI-Host': RAPIDAPI_HOST,
+      },
+    },
+  };
+}
+
+function buildBrightDataRequest(zone, searchUrl, limit, config) {
+  return {
+    url: config.endpoint,
+    init: {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${config.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ zone, url: searchUrl, limit }),
+    },
+  };
+}
+
+/**
+ * Send a built request; refuses anything carrying personal data as a last line of defence
+ * @param {{url: string, init: object}} request - From a request builder
+ * @returns {Promise<Response>} Rejects before anything is sent when the request carries PII
+ */
+export async function sendSearchRequest(request) {
+  const leaks = findPIIInRequest(request);
+  if (leaks.length > 0) {
+    throw new Error(
+      `Search request blocked: it would send personal data (${[...new Set(leaks.map((leak) => leak.type))].join(', ')})`
+    );
+  }
+  return fetch(request.url, { ...request.init, signal: AbortSignal.timeout(API_TIMEOUT_MS) });
+}
+
 /**
  * RapidAPI LinkedIn Data Scraper Adapter
  * https://rapidapi.com/rockapis-rockapis-default/api/linkedin-data-scraper
@@ -120,26 +248,13 @@ async function searchCompaniesRapidAPI(query, filters = {}) {
     );
   }
 
-  const { keywords, industries } = query;
   const { limit = 20 } = filters;
 
-  const searchQuery = [...(keywords || []), ...(industries || [])].join(' ');
-
-  if (!searchQuery || searchQuery.trim() === '') {
+  if (!getSearchQuery(query, { withIndustries: true })) {
     throw new Error('Search query is empty. Please provide keywords or industries to search for companies.');
   }
 
-  const response = await fetch(
-    `https://linkedin-data-scraper.p.rapidapi.com/company_search?query=${encodeURIComponent(searchQuery)}`,
-    {
-      method: 'GET',
-      headers: {
-        'X-RapidAPI-Key': LINKEDIN_API_KEY,
-        'X-RapidAPI-Host': 'linkedin-data-scraper.p.rapidapi.com',
-      },
-      signal: AbortSignal.timeout(API_TIMEOUT_MS),
-    }
-  );
+  const response = await sendSearchRequest(buildCompanySearchRequest(query, filters));
 
   if (!response.ok) {
     // Try to get more detailed error information
@@ -195,26 +310,13 @@ async function searchProfilesRapidAPI(query, filters = {}) {
     );
   }
 
-  const { keywords } = query;
   const { limit = 30 } = filters;
 
-  const searchQuery = (keywords || []).join(' ');
-
-  if (!searchQuery || searchQuery.trim() === '') {
+  if (!getSearchQuery(query, { withIndustries: false })) {
     throw new Error('Search query is empty. Please provide keywords to search for profiles.');
   }
 
-  const response = await fetch(
-    `https://linkedin-data-scraper.p.rapidapi.com/person_search?query=${encodeURIComponent(searchQuery)}`,
-    {
-      method: 'GET',
-      headers: {
-        'X-RapidAPI-Key': LINKEDIN_API_KEY,
-        'X-RapidAPI-Host': 'linkedin-data-scraper.p.rapidapi.com',
-      },
-      signal: AbortSignal.timeout(API_TIMEOUT_MS),
-    }
-  );
+  const response = await sendSearchRequest(buildProfileSearchRequest(query, filters));
 
   if (!response.ok) {
     // Try to get more detailed error information
@@ -267,19 +369,7 @@ async function searchProfilesRapidAPI(query, filters = {}) {
  * https://www.scraperapi.com/
  */
 async function searchCompaniesScraperAPI(query, filters = {}) {
-  const { keywords, industries } = query;
-  const searchQuery = [...(keywords || []), ...(industries || [])].join(' ');
-
-  // ScraperAPI uses a proxy approach - construct LinkedIn search URL
-  const linkedinSearchUrl = `https://www.linkedin.com/search/results/companies/?keywords=${encodeURIComponent(searchQuery)}`;
-
-  const response = await fetch(
-    `https://api.scraperapi.com?api_key=${LINKEDIN_API_KEY}&url=${encodeURIComponent(linkedinSearchUrl)}`,
-    {
-      method: 'GET',
-      signal: AbortSignal.timeout(API_TIMEOUT_MS),
-    }
-  );
+  const response = await sendSearchRequest(buildCompanySearchRequest(query, filters));
 
   if (!response.ok) {
     throw new Error(`ScraperAPI error: ${response.statusText}`);
@@ -304,24 +394,7 @@ async function searchProfilesScraperAPI(query, filters = {}) {
  * https://brightdata.com/products/web-scraper/linkedin
  */
 async function searchCompaniesBrightData(query, filters = {}) {
-  const { keywords, industries } = query;
-  const { limit = 20 } = filters;
-
-  const searchQuery = [...(keywords || []), ...(industries || [])].join(' ');
-
-  const response = await fetch(LINKEDIN_API_ENDPOINT, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${LINKEDIN_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      zone: 'linkedin_companies',
-      url: `https://www.linkedin.com/search/results/companies/?keywords=${encodeURIComponent(searchQuery)}`,
-      limit,
-    }),
-    signal: AbortSignal.timeout(API_TIMEOUT_MS),
-  });
+  const response = await sendSearchRequest(buildCompanySearchRequest(query, filters));
 
   if (!response.ok) {
     throw new Error(`Bright Data error: ${response.statusText}`);
@@ -342,24 +415,7 @@ async function searchCompaniesBrightData(query, filters = {}) {
 }
 
 async function searchProfilesBrightData(query, filters = {}) {
-  const { keywords } = query;
-  const { limit = 30 } = filters;
-
-  const searchQuery = (keywords || []).join(' ');
-
-  const response = await fetch(LINKEDIN_API_ENDPOINT, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${LINKEDIN_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      zone: 'linkedin_people',
-      url: `https://www.linkedin.com/search/results/people/?keywords=${encodeURIComponent(searchQuery)}`,
-      limit,
-    }),
-    signal: AbortSignal.timeout(API_TIMEOUT_MS),
-  });
+  const response = await sendSearchRequest(buildProfileSearchRequest(query, filters));
 
   if (!response.ok) {
     throw new Error(`Bright Data error: ${response.statusText}`);
@@ -452,5 +508,9 @@ function getMockProfiles(query) {
 export default {
   searchCompanies,
   searchProfiles,
+  buildSearchQuery,
+  buildCompanySearchRequest,
+  buildProfileSearchRequest,
+  sendSearchRequest,
   checkRateLimit,
 };
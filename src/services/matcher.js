@@ -3,20 +3,54 @@
  * Calculates match scores and ranks recommendations
  */
 
+import { isSameLocation } from '../utils/locations.js';
+import { canonicalizeSkill, getSkill, findSkills } from '../utils/skills.js';
+import { getSkillWeight } from './proficiency.js';
+import { findCertificationsInText, findKnownCertification } from './highlights.js';
+import { findInstitution, isSameInstitution, normalizeInstitution } from '../utils/institutions.js';
+import { findIndustryMentions, getIndustry } from '../utils/industries.js';
+import { classifySeniority, classifyProfileSeniority, compareSeniority } from './seniority.js';
+import { scoreResultRelevance } from './relevance.js';
+import { resolveScoringProfile, buildScoreBreakdown, explainScoreBreakdown } from './scoring.js';
+
+// Share of an industry's weight a related (parent or sub-) industry earns
+const RELATED_INDUSTRY_SHARE = 0.75;
+
+// Seniority alignment by levels the profile is above (+) or below (-) the candidate
+const SENIORITY_ALIGNMENT = { 2: 1, 1: 1, 0: 0.75, 3: 0.5, [-1]: 0.5 };
+
 /**
  * Rank companies based on CV profile
  * @param {Array} companies - Companies from LinkedIn search
  * @param {object} cvData - Extracted CV data
+ * @param {string|object} scoringProfile - Scoring profile name or saved preference
+ *   (see scoring.js; default: balanced)
  * @returns {Array} Ranked companies with match scores
  */
-export function rankCompanies(companies, cvData) {
+export function rankCompanies(companies, cvData, scoringProfile) {
   if (!companies || !cvData) {
     return [];
   }
 
-  const rankedCompanies = companies.map((company) => {
-    const matchScore = calculateCompanyMatchScore(company, cvData);
-    const matchingCriteria = getCompanyMatchingCriteria(company, cvData);
+  const scoring = resolveScoringProfile(scoringProfile);
+  // Text relevance is judged against the rest of the result set
+  const relevance = scoreResultRelevance(
+    cvData,
+    companies.map(
+      (company) => `${company.name} ${company.industry || ''} ${company.description || ''}`
+    )
+  );
+  const rankedCompanies = companies.map((company, index) => {
+    const mentions = getSkillMentions(`${company.name}\n${company.description || ''}`);
+    const components = getCompanyComponents(company, cvData, relevance[index], mentions);
+    const matchScore = weighComponents(components, scoring.company);
+    const matchingCriteria = getCompanyMatchingCriteria(
+      company,
+      cvData,
+      components,
+      scoring,
+      mentions
+    );
 
     return {
       ...company,
@@ -30,97 +64,134 @@ export function rankCompanies(companies, cvData) {
 }
 
 /**
- * Calculate company match score
- * Algorithm:
- * - Industry match (40% weight)
- * - Skills match (30% weight)
- * - Location match (20% weight)
- * - Size preference (10% weight)
+ * Score each company component 0.00-1.00, with the evidence behind the score
+ * The match score is their weighted sum; the weights come from the scoring profile
+ * (balanced: industry 35%, skills 20%, text relevance 20%, location 15%, size 10%)
  * @param {object} company
  * @param {object} cvData
- * @returns {number} Score 0.00-1.00
+ * @param {object} relevance - The company's { score, terms } from scoreResultRelevance
+ * @param {Function} mentions - From getSkillMentions for the company's name and description
+ * @returns {object} component -> { score, evidence: Array<string>, reason: string }
  */
-function calculateCompanyMatchScore(company, cvData) {
-  let score = 0.0;
+function getCompanyComponents(company, cvData, relevance, mentions) {
+  const mentionsSkill = (skill) => mentions(skill.name);
+  const matchedSkills = sortBySkillWeight(cvData.skills)
+    .filter(mentionsSkill)
+    .map((skill) => skill.name);
 
-  // Industry match (40%)
-  const cvIndustries = cvData.industries || [];
-  const industryMatch = cvIndustries.some((ind) =>
-    company.industry?.toLowerCase().includes(ind.toLowerCase())
-  );
-  if (industryMatch) {
-    score += 0.4;
-  }
-
-  // Skills match (30%)
-  const cvSkills = (cvData.skills || []).map((s) => s.name.toLowerCase());
-  const companyText = `${company.name} ${company.description}`.toLowerCase();
-  const matchingSkills = cvSkills.filter((skill) => companyText.includes(skill));
-  const skillsScore = Math.min(matchingSkills.length / Math.max(cvSkills.length, 1), 1.0);
-  score += skillsScore * 0.3;
-
-  // Location match (20%) - simplified
-  const cvLocation = cvData.personal?.location;
-  if (cvLocation && company.location?.includes(cvLocation)) {
-    score += 0.2;
+  // Same place, or half credit when the company states one
+  let location = { score: 0, evidence: [], reason: 'No location listed' };
+  if (isSameLocation(cvData.personal?.location, company.location)) {
+    location = {
+      score: 1,
+      evidence: [company.location],
+      reason: `Based in ${company.location}, where you are`,
+    };
   } else if (company.location) {
-    score += 0.1; // Partial credit if location exists
+    location = {
+      score: 0.5,
+      evidence: [company.location],
+      reason: `Based in ${company.location}, away from you`,
+    };
   }
 
-  // Size preference (10%) - prefer mid-size companies
-  if (company.size && (company.size.includes('51-200') || company.size.includes('201-500'))) {
-    score += 0.1;
+  // Prefer mid-size companies
+  const midSize =
+    company.size && (company.size.includes('51-200') || company.size.includes('201-500'));
+  let sizeReason = 'Size not listed';
+  if (midSize) {
+    sizeReason = `Mid-size (${company.size} employees)`;
+  } else if (company.size) {
+    sizeReason = `Not mid-size (${company.size} employees)`;
   }
 
-  return Math.min(score, 1.0);
+  return {
+    // Weighted by how strongly the CV points to the industry
+    industry: describeIndustryMatch(
+      matchIndustries(cvData, company.industry),
+      'Operates in',
+      company.industry ? `Industry (${company.industry}) is not one of yours` : 'No industry listed'
+    ),
+    skills: {
+      // Weighted by proficiency so strong skills outweigh passing mentions
+      score: calculateWeightedSkillScore(cvData.skills, mentionsSkill),
+      evidence: matchedSkills,
+      reason:
+        matchedSkills.length > 0
+          ? `Mentions ${matchedSkills.length} of your skills`
+          : 'Mentions none of your skills',
+    },
+    relevance: describeRelevance(relevance, 'Description'),
+    location,
+    size: {
+      score: midSize ? 1 : 0,
+      evidence: company.size ? [company.size] : [],
+      reason: sizeReason,
+    },
+  };
 }
 
 /**
  * Get company matching criteria explanation
  * @param {object} company
  * @param {object} cvData
- * @returns {object} Matching criteria
+ * @param {object} components - From getCompanyComponents
+ * @param {object} scoring - Resolved scoring profile
+ * @param {Function} mentions - From getSkillMentions for the company's name and description
+ * @returns {object} Matching criteria, with the per-component breakdown
  */
-function getCompanyMatchingCriteria(company, cvData) {
-  const cvSkills = (cvData.skills || []).map((s) => s.name);
-  const cvIndustries = cvData.industries || [];
-  const companyText = `${company.name} ${company.description}`.toLowerCase();
+function getCompanyMatchingCriteria(company, cvData, components, scoring, mentions) {
+  // Certifications whose topic (AWS, Kubernetes, Scrum...) the company mentions
+  const matchedCertifications = (cvData.certifications || [])
+    .filter((cert) => {
+      const topic = findKnownCertification(cert.standard_name || cert.name)?.topic;
+      return topic && mentions(topic);
+    })
+    .map((cert) => cert.name);
 
-  const matchedSkills = cvSkills.filter((skill) =>
-    companyText.includes(skill.toLowerCase())
-  );
-
-  const matchedIndustries = cvIndustries.filter((ind) =>
-    company.industry?.toLowerCase().includes(ind.toLowerCase())
-  );
+  const breakdown = buildScoreBreakdown(components, scoring.company);
 
   return {
-    matched_skills: matchedSkills.slice(0, 5),
-    matched_industries: matchedIndustries,
-    location_match: company.location?.includes(cvData.personal?.location || '') || false,
+    matched_skills: components.skills.evidence.slice(0, 5),
+    matched_industries: components.industry.evidence,
+    matched_certifications: matchedCertifications,
+    location_match: components.location.score === 1,
     size_preference: company.size,
-    explanation: `Matches ${matchedSkills.length} of your key skills and operates in your target industry.`,
+    breakdown,
+    explanation: explainScoreBreakdown(breakdown),
+    scoring_profile: scoring.name,
   };
 }
 
 /**
  * Rank profiles based on CV data
- * Algorithm:
- * - Shared skills (40% weight)
- * - Industry/interests (30% weight)
- * - Seniority alignment (20% weight)
+ * Components (weights from the scoring profile; balanced shown):
+ * - Shared skills (30% weight)
+ * - Industry/interests (25% weight)
+ * - Text relevance of headline and role to the CV (15% weight)
+ * - Seniority alignment (20% weight) - 1-2 levels above the candidate scores highest
  * - Location (10% weight)
  * @param {Array} profiles - Profiles from LinkedIn search
  * @param {object} cvData - Extracted CV data
+ * @param {string|object} scoringProfile - Scoring profile name or saved preference
+ *   (see scoring.js; default: balanced)
  * @returns {Array} Ranked profiles with match scores
  */
-export function rankProfiles(profiles, cvData) {
+export function rankProfiles(profiles, cvData, scoringProfile) {
   if (!profiles || !cvData) {
     return [];
   }
 
-  const rankedProfiles = profiles.map((profile) => {
-    const matchScore = calculateProfileMatchScore(profile, cvData);
+  const scoring = resolveScoringProfile(scoringProfile);
+  // Text relevance is judged against the rest of the result set
+  const relevance = scoreResultRelevance(
+    cvData,
+    profiles.map((profile) => `${profile.headline || ''} ${profile.current_role || ''}`)
+  );
+  const rankedProfiles = profiles.map((profile, index) => {
+    const components = getProfileComponents(profile, cvData, relevance[index]);
+    const matchScore = weighComponents(components, scoring.profile);
+    const breakdown = buildScoreBreakdown(components, scoring.profile);
     const sharedSkills = getSharedSkills(profile, cvData);
     const sharedInterests = getSharedInterests(profile, cvData);
     const conversationStarter = generateConversationStarter(profile, cvData);
@@ -130,7 +201,16 @@ export function rankProfiles(profiles, cvData) {
       match_score: parseFloat(matchScore.toFixed(2)),
       shared_skills: sharedSkills,
       shared_interests: sharedInterests,
+      shared_certifications: getSharedCertifications(profile, cvData),
+      shared_languages: getSharedLanguages(profile, cvData),
+      shared_institutions: getSharedInstitutions(profile, cvData),
+      seniority: classifyProfileSeniority(profile).level,
       conversation_starter: conversationStarter,
+      matching_criteria: {
+        breakdown,
+        explanation: explainScoreBreakdown(breakdown),
+        scoring_profile: scoring.name,
+      },
     };
   });
 
@@ -139,47 +219,127 @@ export function rankProfiles(profiles, cvData) {
 }
 
 /**
- * Calculate profile match score
+ * Score each profile component 0.00-1.00, with the evidence behind the score
  * @param {object} profile
  * @param {object} cvData
- * @returns {number} Score 0.00-1.00
+ * @param {object} relevance - The profile's { score, terms } from scoreResultRelevance
+ * @returns {object} component -> { score, evidence: Array<string>, reason: string }
  */
-function calculateProfileMatchScore(profile, cvData) {
-  let score = 0.0;
-
-  // Shared skills (40%)
-  const cvSkills = (cvData.skills || []).map((s) => s.name.toLowerCase());
-  const profileSkills = (profile.skills || []).map((s) => s.toLowerCase());
-  const sharedCount = cvSkills.filter((skill) => profileSkills.includes(skill)).length;
-  const skillsScore = Math.min(sharedCount / Math.max(cvSkills.length, 1), 1.0);
-  score += skillsScore * 0.4;
-
-  // Industry/interests (30%)
-  const cvIndustries = (cvData.industries || []).map((i) => i.toLowerCase());
-  const profileText = `${profile.headline} ${profile.current_company}`.toLowerCase();
-  const industryMatch = cvIndustries.some((ind) => profileText.includes(ind));
-  if (industryMatch) {
-    score += 0.3;
+function getProfileComponents(profile, cvData, relevance) {
+  const profileSkills = (profile.skills || []).map((s) => canonicalizeSkill(s).toLowerCase());
+  const shares = (skill) => profileSkills.includes(skill.name.toLowerCase());
+  const sharedSkills = sortBySkillWeight(cvData.skills)
+    .filter(shares)
+    .map((skill) => skill.name);
+
+  let location = { score: 0, evidence: [], reason: 'No location listed' };
+  if (isSameLocation(cvData.personal?.location, profile.location)) {
+    location = {
+      score: 1,
+      evidence: [profile.location],
+      reason: `Also based in ${profile.location}`,
+    };
+  } else if (profile.location) {
+    location = {
+      score: 0,
+      evidence: [profile.location],
+      reason: `Based in ${profile.location}, away from you`,
+    };
   }
 
-  // Seniority alignment (20%) - simplified
-  const cvExperience = cvData.experience?.length || 0;
-  const isSeniorRole = /senior|lead|manager|director/i.test(profile.current_role || '');
-  if (cvExperience >= 5 && isSeniorRole) {
-    score += 0.2;
-  } else if (cvExperience < 5 && !isSeniorRole) {
-    score += 0.2;
-  } else {
-    score += 0.1;
+  return {
+    skills: {
+      // Weighted by proficiency
+      score: calculateWeightedSkillScore(cvData.skills, shares),
+      evidence: sharedSkills,
+      reason:
+        sharedSkills.length > 0
+          ? `Shares ${sharedSkills.length} of your skills`
+          : 'No shared skills',
+    },
+    industry: describeIndustryMatch(
+      matchIndustries(cvData, `${profile.headline} ${profile.current_company}`),
+      'Works in',
+      'No shared industry'
+    ),
+    relevance: describeRelevance(relevance, 'Headline'),
+    seniority: getSeniorityComponent(profile, cvData),
+    location,
+  };
+}
+
+// Weighted sum of component scores, capped at 1
+function weighComponents(components, weights) {
+  const score = Object.entries(weights).reduce(
+    (sum, [component, weight]) => sum + (components[component]?.score || 0) * weight,
+    0
+  );
+  return Math.min(score, 1.0);
+}
+
+/**
+ * Industry component from a matchIndustries result
+ * @param {{score, matched, related}} match
+ * @param {string} verb - e.g. 'Operates in'
+ * @param {string} noMatchReason
+ * @returns {{score, evidence, reason}}
+ */
+function describeIndustryMatch({ score, matched, related }, verb, noMatchReason) {
+  const direct = matched.filter((name) => !related.includes(name));
+  let reason = noMatchReason;
+  if (direct.length > 0) {
+    reason = `${verb} your ${direct.join(', ')} industry`;
+  } else if (related.length > 0) {
+    reason = `${verb} an industry related to your ${related[0]} background`;
   }
+  return { score, evidence: matched, reason };
+}
+
+/**
+ * Relevance component from a scoreResultRelevance entry
+ * @param {{score, terms}} relevance
+ * @param {string} subject - What was matched, e.g. 'Description'
+ * @returns {{score, evidence, reason}}
+ */
+function describeRelevance({ score, terms }, subject) {
+  return {
+    score,
+    evidence: terms,
+    reason:
+      terms.length > 0
+        ? `${subject} matches your CV on ${terms.slice(0, 3).join(', ')}`
+        : `${subject} shares no terms with your CV`,
+  };
+}
 
-  // Location (10%)
-  const cvLocation = cvData.personal?.location;
-  if (cvLocation && profile.location?.includes(cvLocation)) {
-    score += 0.1;
+/**
+ * How well a profile's seniority suits the candidate for networking
+ * People one or two levels above know the next step best; peers come next
+ * @param {object} profile
+ * @param {object} cvData
+ * @returns {{score, evidence, reason}} score 0.5 when either level is unknown
+ */
+function getSeniorityComponent(profile, cvData) {
+  const level = classifyProfileSeniority(profile).level;
+  const gap = compareSeniority(getCVSeniority(cvData), level);
+  if (gap === null) {
+    return { score: 0.5, evidence: [], reason: 'Seniority unknown, counted as neutral' };
   }
 
-  return Math.min(score, 1.0);
+  const steps = Math.abs(gap);
+  return {
+    score: SENIORITY_ALIGNMENT[gap] ?? 0.25,
+    evidence: [level],
+    reason:
+      gap === 0
+        ? `At your ${level} level`
+        : `At ${level} level, ${steps} level${steps > 1 ? 's' : ''} ${gap > 0 ? 'above' : 'below'} yours`,
+  };
+}
+
+// CVs parsed before seniority was stored are classified on the fly
+function getCVSeniority(cvData) {
+  return cvData.seniority?.level || classifySeniority(cvData.experience).level;
 }
 
 /**
@@ -189,9 +349,39 @@ function calculateProfileMatchScore(profile, cvData) {
  * @returns {Array<string>} Shared skills
  */
 function getSharedSkills(profile, cvData) {
-  const cvSkills = (cvData.skills || []).map((s) => s.name.toLowerCase());
-  const profileSkills = (profile.skills || []).map((s) => s.toLowerCase());
-  return cvSkills.filter((skill) => profileSkills.includes(skill)).slice(0, 5);
+  const profileSkills = (profile.skills || []).map((s) => canonicalizeSkill(s).toLowerCase());
+  return sortBySkillWeight(cvData.skills)
+    .filter((skill) => profileSkills.includes(skill.name.toLowerCase()))
+    .map((skill) => skill.name)
+    .slice(0, 5);
+}
+
+/**
+ * Share of the CV's proficiency-weighted skill mass that matches
+ * @param {Array<object>} skills - CV skills
+ * @param {Function} isMatch - Predicate per skill
+ * @returns {number} Score 0.00-1.00
+ */
+function calculateWeightedSkillScore(skills, isMatch) {
+  const cvSkills = skills || [];
+  const totalWeight = cvSkills.reduce((sum, skill) => sum + getSkillWeight(skill), 0);
+  if (totalWeight === 0) {
+    return 0;
+  }
+
+  const matchedWeight = cvSkills
+    .filter(isMatch)
+    .reduce((sum, skill) => sum + getSkillWeight(skill), 0);
+  return Math.min(matchedWeight / totalWeight, 1.0);
+}
+
+/**
+ * Order CV skills strongest first
+ * @param {Array<object>} skills - CV skills
+ * @returns {Array<object>} Sorted copy
+ */
+function sortBySkillWeight(skills) {
+  return [...(skills || [])].sort((a, b) => getSkillWeight(b) - getSkillWeight(a));
 }
 
 /**
@@ -201,13 +391,148 @@ function getSharedSkills(profile, cvData) {
  * @returns {Array<string>} Shared interests
  */
 function getSharedInterests(profile, cvData) {
-  const cvIndustries = cvData.industries || [];
-  const profileText = `${profile.headline} ${profile.current_company}`.toLowerCase();
-  return cvIndustries.filter((ind) => profileText.includes(ind.toLowerCase()));
+  return matchIndustries(cvData, `${profile.headline} ${profile.current_company}`).matched;
+}
+
+/**
+ * Match the CV's weighted industries against the industries a text names
+ * A sub-industry and its parent (Fintech and Finance) count as a partial match
+ * @param {object} cvData
+ * @param {string} text - e.g. a company's industry, a profile headline
+ * @returns {{score: number, matched: Array<string>, related: Array<string>}} score is the
+ *   weight (0.00-1.00) of the best match; matched lists the CV industries that match,
+ *   strongest first, related those of them that only match through a parent or sub-industry
+ */
+function matchIndustries(cvData, text) {
+  const targets = findIndustryMentions(text);
+  const textLower = (text || '').toLowerCase();
+  const named = (name) => targets.includes(name) || textLower.includes(name.toLowerCase());
+  let score = 0;
+  const matched = [];
+  const relatedOnly = [];
+
+  getIndustryWeights(cvData).forEach(({ name, weight }) => {
+    const parent = getIndustry(name)?.parent;
+    const related =
+      (parent && named(parent)) || targets.some((target) => getIndustry(target)?.parent === name);
+    let match = 0;
+    if (named(name)) {
+      match = weight;
+    } else if (related) {
+      match = weight * RELATED_INDUSTRY_SHARE;
+      relatedOnly.push(name);
+    }
+    if (match > 0) {
+      matched.push(name);
+      score = Math.max(score, match);
+    }
+  });
+
+  return { score, matched, related: relatedOnly };
+}
+
+// CVs parsed before industries were weighted count each industry fully
+function getIndustryWeights(cvData) {
+  return cvData.industry_weights || (cvData.industries || []).map((name) => ({ name, weight: 1 }));
+}
+
+/**
+ * Get well-known certifications held by both the CV owner and the profile
+ * Profiles rarely list certifications separately, so headline and skills are scanned too
+ * @param {object} profile
+ * @param {object} cvData
+ * @returns {Array<string>} Certification names
+ */
+function getSharedCertifications(profile, cvData) {
+  const profileText = [
+    profile.headline,
+    ...(profile.skills || []),
+    ...(profile.certifications || []).map((cert) => cert.name || cert),
+  ].join('\n');
+  const profileCertifications = findCertificationsInText(profileText).map((cert) => cert.name);
+
+  return (cvData.certifications || [])
+    .filter((cert) => cert.standard_name && profileCertifications.includes(cert.standard_name))
+    .map((cert) => cert.standard_name);
+}
+
+/**
+ * Get spoken languages both speak
+ * English is the working language of the app, so sharing it is no common ground
+ * @param {object} profile
+ * @param {object} cvData
+ * @returns {Array<string>} Language names
+ */
+function getSharedLanguages(profile, cvData) {
+  const profileLanguages = (profile.languages || []).map((language) =>
+    (language.name || language).toLowerCase()
+  );
+  return (cvData.languages || [])
+    .map((language) => language.name)
+    .filter((name) => name !== 'English' && profileLanguages.includes(name.toLowerCase()));
+}
+
+/**
+ * Get schools both attended, compared by normalized institution name
+ * Profiles list schools in education (strings or { school }), or only in the headline
+ * @param {object} profile
+ * @param {object} cvData
+ * @returns {Array<string>} Canonical institution names
+ */
+function getSharedInstitutions(profile, cvData) {
+  const profileInstitutions = [
+    ...(profile.education || []).map((edu) => edu.school || edu.institution || edu),
+    findInstitution(profile.headline)?.name,
+  ].filter((name) => typeof name === 'string' && name);
+
+  const shared = (cvData.education || [])
+    .map((edu) => edu.institution_normalized || normalizeInstitution(edu.institution))
+    .filter((name) => name && profileInstitutions.some((other) => isSameInstitution(name, other)));
+  return [...new Set(shared)];
+}
+
+/**
+ * Which skills a text mentions, matched the way CV text is (utils/skills.js findSkills):
+ * on token boundaries, and "C", "R" or "Go" only in a tech context, so a bakery's
+ * description mentions none of them. Names outside the taxonomy match as whole words
+ * @param {string} text - e.g. a company's name and description
+ * @returns {Function} (name) => boolean
+ */
+function getSkillMentions(text) {
+  const found = new Set(findSkills(text).map((skill) => skill.name));
+  return (name) => {
+    const known = getSkill(name);
+    if (known) {
+      return found.has(known.name);
+    }
+    const escaped = (name || '').replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    return (
+      Boolean(escaped) &&
+      new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(text || '')
+    );
+  };
+}
+
+/**
+ * Something the CV owner built or wrote with a skill, to back up a shared skill
+ * @param {string} skill - Skill name
+ * @param {object} cvData
+ * @returns {string|null} e.g. 'I recently used it to build Open Ledger'
+ */
+function describeSkillHook(skill, cvData) {
+  const project = (cvData.projects || []).find((p) => (p.technologies || []).includes(skill));
+  if (project) {
+    return `I recently used it to build ${project.name}`;
+  }
+  const publication = (cvData.publications || []).find((p) => getSkillMentions(p.title)(skill));
+  return publication ? `I recently wrote "${publication.title}"` : null;
 }
 
 /**
  * Generate a personalized conversation starter
+ * Shared certifications come first (the most specific common ground), then a
+ * shared school, shared skills - backed by a CV project or publication when
+ * there is one - industries and spoken languages
  * @param {object} profile
  * @param {object} cvData
  * @returns {string} Conversation starter
@@ -215,13 +540,25 @@ function getSharedInterests(profile, cvData) {
 export function generateConversationStarter(profile, cvData) {
   const sharedSkills = getSharedSkills(profile, cvData);
   const sharedInterests = getSharedInterests(profile, cvData);
+  const sharedCertifications = getSharedCertifications(profile, cvData);
+  const sharedLanguages = getSharedLanguages(profile, cvData);
+  const sharedInstitutions = getSharedInstitutions(profile, cvData);
+  const skillHook = sharedSkills.length > 0 ? describeSkillHook(sharedSkills[0], cvData) : null;
 
-  if (sharedSkills.length > 0 && sharedInterests.length > 0) {
+  if (sharedCertifications.length > 0) {
+    return `Hi ${profile.name?.split(' ')[0]}, I noticed we both hold the ${sharedCertifications[0]} certification. I'd love to hear how you put it to use in your role at ${profile.current_company}.`;
+  } else if (sharedInstitutions.length > 0) {
+    return `Hi ${profile.name?.split(' ')[0]}, I noticed we're both ${sharedInstitutions[0]} alumni. I'd love to hear how you got from there to your role at ${profile.current_company}.`;
+  } else if (skillHook) {
+    return `Hi ${profile.name?.split(' ')[0]}, I saw that we both work with ${sharedSkills[0]} - ${skillHook}. I'd love to compare notes on how you use it at ${profile.current_company}.`;
+  } else if (sharedSkills.length > 0 && sharedInterests.length > 0) {
     return `Hi ${profile.name?.split(' ')[0]}, I noticed we both have experience with ${sharedSkills[0]} and share an interest in ${sharedInterests[0]}. I'm currently exploring opportunities in this space and would love to hear about your journey to ${profile.current_role} at ${profile.current_company}.`;
   } else if (sharedSkills.length > 0) {
     return `Hi ${profile.name?.split(' ')[0]}, I saw that we both work with ${sharedSkills[0]}. I'd love to learn more about how you use it in your role at ${profile.current_company}.`;
   } else if (sharedInterests.length > 0) {
     return `Hi ${profile.name?.split(' ')[0]}, I'm interested in ${sharedInterests[0]} and noticed you're working in this field. Would you be open to a brief chat about your experience at ${profile.current_company}?`;
+  } else if (sharedLanguages.length > 0) {
+    return `Hi ${profile.name?.split(' ')[0]}, I noticed you also speak ${sharedLanguages[0]}. I'd love to connect and hear about your work at ${profile.current_company}.`;
   } else {
     return `Hi ${profile.name?.split(' ')[0]}, I came across your profile and am impressed by your work at ${profile.current_company}. I'd love to connect and learn more about your career path.`;
   }
@@ -0,0 +1,198 @@
+/**
+ * OCR Service
+ * Recognises text on rendered PDF pages with Tesseract.js for scanned CVs.
+ * The engine, its WebAssembly core and the English language data are bundled
+ * by Vite, so nothing is fetched from a CDN at runtime. Under Node (tests, the
+ * benchmark) Tesseract's Node worker reads the same data from node_modules.
+ * Pages are rendered to an OffscreenCanvas when there is no DOM (the parser worker).
+ */
+
+// Import engine assets as URLs - Vite copies them into the build. Tesseract loads
+// "<langPath>/eng.traineddata.gz", so the build keeps that file name (vite.config.js)
+import tesseractWorker from 'tesseract.js/dist/worker.min.js?url';
+import tesseractCore from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+import englishData from '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url';
+
+const LANGUAGE = 'eng';
+
+// LSTM-only language data, the same model the bundled asset holds
+const NODE_LANGUAGE_DIR = '4.0.0_best_int';
+
+// Loaded by Node only, so Vite must not bundle them into the app
+const NODE_BUILTINS = ['node:module', 'node:path'];
+
+// Pages with fewer extracted characters than this are treated as image-only
+export const MIN_PAGE_TEXT_LENGTH = 20;
+
+// OCR results below this confidence (0.00-1.00) should be reviewed by the user
+export const LOW_OCR_CONFIDENCE = 0.6;
+
+// Render scale for OCR; ~150 DPI is a good trade-off between accuracy and speed
+const RENDER_SCALE = 2;
+
+let workerPromise = null;
+
+/**
+ * Check whether a page's extracted text is too short to be a real text layer
+ * @param {string} pageText - Text extracted from the page's text layer
+ * @returns {boolean}
+ */
+export function isImageOnlyPage(pageText) {
+  return (pageText || '').replace(/\s+/g, '').length < MIN_PAGE_TEXT_LENGTH;
+}
+
+/**
+ * Render a PDF.js page to a canvas and run OCR on it
+ * @param {object} page - PDF.js page proxy
+ * @returns {Promise<{text, confidence, error}>} Confidence is 0.00-1.00
+ */
+export async function recognizePage(page) {
+  try {
+    const viewport = page.getViewport({ scale: RENDER_SCALE });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+    return await recognizeImage(canvas);
+  } catch (err) {
+    return { text: '', confidence: 0, error: new Error(`OCR failed: ${err.message}`) };
+  }
+}
+
+/**
+ * Run OCR on an image
+ * @param {HTMLCanvasElement|OffscreenCanvas|Blob|Uint8Array|string} image - Anything
+ *   Tesseract.js accepts (under Node: an image file's bytes or path)
+ * @returns {Promise<{text, confidence, error}>} Confidence is 0.00-1.00
+ */
+export async function recognizeImage(image) {
+  try {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image);
+
+    return {
+      text: data.text || '',
+      confidence: Math.round(data.confidence) / 100,
+      error: null,
+    };
+  } catch (err) {
+    return { text: '', confidence: 0, error: new Error(`OCR failed: ${err.message}`) };
+  }
+}
+
+/**
+ * PDF.js getDocument options needed to render pages without a DOM
+ * Inside a Web Worker there is no document for canvases or @font-face, so
+ * canvases are OffscreenCanvas and glyphs are drawn as paths
+ * @returns {object} Options to spread into getDocument (empty on the main thread)
+ */
+export function getRenderOptions() {
+  if (typeof document !== 'undefined') {
+    return {};
+  }
+  return { CanvasFactory: OffscreenCanvasFactory, disableFontFace: true };
+}
+
+/**
+ * Release the OCR worker (frees the WebAssembly heap and language data)
+ * @returns {Promise<void>}
+ */
+export async function terminateOCR() {
+  if (!workerPromise) {
+    return;
+  }
+  const pending = workerPromise;
+  workerPromise = null;
+  try {
+    const worker = await pending;
+    await worker.terminate();
+  } catch {
+    // Worker failed to start; nothing to release
+  }
+}
+
+/**
+ * Lazily create a single Tesseract worker from the bundled assets
+ * The library itself is only loaded once a scanned page is found
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const { createWorker, OEM } = await import('tesseract.js');
+      const options = isNode()
+        ? { langPath: await getNodeLanguagePath() }
+        : {
+            workerPath: tesseractWorker,
+            corePath: tesseractCore,
+            langPath: getBundledLanguagePath(),
+            workerBlobURL: false,
+          };
+
+      return createWorker(LANGUAGE, OEM.LSTM_ONLY, { ...options, gzip: true, cacheMethod: 'none' });
+    })();
+
+    // Allow a retry if the engine failed to start
+    workerPromise.catch(() => {
+      workerPromise = null;
+    });
+  }
+  return workerPromise;
+}
+
+// Directory of the bundled eng.traineddata.gz, absolute so Tesseract's own worker resolves it
+function getBundledLanguagePath() {
+  const url = new URL(englishData, globalThis.location?.href);
+  return url.href.slice(0, url.href.lastIndexOf('/'));
+}
+
+async function getNodeLanguagePath() {
+  const [{ createRequire }, { dirname, join }] = await Promise.all(
+    NODE_BUILTINS.map((name) => import(/* @vite-ignore */ name))
+  );
+  const packageJSON = createRequire(import.meta.url).resolve('@tesseract.js-data/eng/package.json');
+  return join(dirname(packageJSON), NODE_LANGUAGE_DIR);
+}
+
+function isNode() {
+  return typeof process !== 'undefined' && Boolean(process.versions?.node);
+}
+
+function createCanvas(width, height) {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Canvas factory PDF.js uses for its scratch canvases (same interface as its DOMCanvasFactory)
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d', { willReadFrequently: true }) };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+export default {
+  isImageOnlyPage,
+  recognizePage,
+  recognizeImage,
+  terminateOCR,
+  getRenderOptions,
+  MIN_PAGE_TEXT_LENGTH,
+  LOW_OCR_CONFIDENCE,
+};
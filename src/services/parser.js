@@ -1,58 +1,89 @@
 /**
  * CV Parser Service
- * Extracts structured data from CV files using PDF.js and Mammoth.js
+ * Extracts structured data from CV files using PDF.js, Mammoth.js and JSZip
  */
 
-import * as pdfjsLib from 'pdfjs-dist';
-// Import worker as URL - Vite will handle bundling correctly
-import pdfjsWorker from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
 import mammoth from 'mammoth';
-import { ALLOWED_FILE_TYPES, SKILL_CATEGORIES } from '../utils/constants.js';
-
-// Configure PDF.js worker - use local worker file instead of CDN
-// This avoids network issues and version mismatches
-pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker;
-
-// Common technical skills dictionary (sample - extend as needed)
-const TECHNICAL_SKILLS = [
-  'javascript', 'python', 'java', 'c++', 'react', 'vue', 'angular', 'node.js',
-  'typescript', 'go', 'rust', 'sql', 'postgresql', 'mongodb', 'redis',
-  'docker', 'kubernetes', 'aws', 'azure', 'gcp', 'git', 'ci/cd',
-  'machine learning', 'ai', 'data science', 'tensorflow', 'pytorch',
-];
+import JSZip from 'jszip';
+import {
+  ALLOWED_FILE_TYPES,
+  CV_SECTIONS,
+  PARSING_STAGES,
+  EXTRACTED_DATA_VERSION,
+} from '../utils/constants.js';
+import { segmentCV, getSectionText, hasSection } from './sections.js';
+import { parseDateRange } from '../utils/dates.js';
+import { findLocation, parseLocation } from '../utils/locations.js';
+import { findSkills } from '../utils/skills.js';
+import { enrichSkills } from './proficiency.js';
+import {
+  extractCertifications,
+  extractLanguages,
+  extractProjects,
+  extractPublications,
+} from './highlights.js';
+import { reconstructLayout } from './layout.js';
+import { calculateOverallConfidence } from './confidence.js';
+import { parseEducation } from './education.js';
+import { inferIndustries } from '../utils/industries.js';
+import { classifySeniority } from './seniority.js';
+import { getCVFileType } from '../utils/validation.js';
+import { importJSONResume } from './jsonresume.js';
+import { readLinkedInArchive, importLinkedInArchive } from './archive.js';
+import { rtfToText, odtXmlToText, htmlToText, markdownToText } from '../utils/markup.js';
+import { isImageOnlyPage, recognizePage, terminateOCR, getRenderOptions } from './ocr.js';
+import { loadPDFJS } from './pdf.js';
+import { runExtractors } from './extensions.js';
+// Registers the organization's own extractors
+import '../extensions/index.js';
+
+// Text extractor for each supported file type; each takes (file, onProgress) and
+// returns {text, error} (PDF adds ocr)
+const TEXT_EXTRACTORS = {
+  [ALLOWED_FILE_TYPES.PDF]: extractTextFromPDF,
+  [ALLOWED_FILE_TYPES.DOCX]: extractTextFromDOCX,
+  [ALLOWED_FILE_TYPES.ODT]: extractTextFromODT,
+  [ALLOWED_FILE_TYPES.RTF]: (file) => extractTextWith(file, rtfToText, 'RTF'),
+  [ALLOWED_FILE_TYPES.HTML]: (file) => extractTextWith(file, htmlToText, 'HTML'),
+  [ALLOWED_FILE_TYPES.MD]: (file) => extractTextWith(file, markdownToText, 'Markdown'),
+  [ALLOWED_FILE_TYPES.TXT]: (file) => extractTextWith(file, (text) => text, 'Text'),
+};
 
-// Common soft skills dictionary (sample)
-const SOFT_SKILLS = [
-  'leadership', 'communication', 'teamwork', 'problem-solving',
-  'critical thinking', 'time management', 'collaboration', 'adaptability',
-  'creativity', 'emotional intelligence', 'negotiation', 'public speaking',
-];
+// Share of overall progress reached once text extraction is done; analysis takes the rest
+const EXTRACTION_PROGRESS = 0.8;
+
+// Industry confidence by pieces of evidence behind the strongest industry (0-3+)
+const INDUSTRY_CONFIDENCE = [null, 0.5, 0.65, 0.8];
 
 /**
  * Parse a CV file and extract structured information
- * @param {File} file - CV file (PDF, DOCX, or TXT)
+ * @param {File} file - CV file (PDF, DOCX, ODT, RTF, HTML, Markdown, TXT, JSON Resume,
+ *   or LinkedIn data export ZIP)
+ * @param {object} options
+ * @param {Function} options.onProgress - Called with {stage, progress, page, pages}:
+ *   stage from PARSING_STAGES, progress 0.00-1.00, page/pages while reading PDF pages
  * @returns {Promise<{extractedData, accuracyScore, error}>}
  */
-export async function parseCV(file) {
+export async function parseCV(file, { onProgress } = {}) {
   try {
-    let text = '';
+    const fileType = getCVFileType(file);
+    reportProgress(onProgress, PARSING_STAGES.READING, 0);
+
+    // Structured sources are mapped directly instead of parsing text
+    if (fileType === ALLOWED_FILE_TYPES.JSON || fileType === ALLOWED_FILE_TYPES.ZIP) {
+      const result =
+        fileType === ALLOWED_FILE_TYPES.JSON
+          ? await parseJSONResume(file)
+          : await parseLinkedInArchive(file);
+      if (!result.error) {
+        reportProgress(onProgress, PARSING_STAGES.COMPLETE, 1);
+      }
+      return result;
+    }
 
     // Extract text based on file type
-    if (file.type === ALLOWED_FILE_TYPES.PDF) {
-      const result = await extractTextFromPDF(file);
-      if (result.error) {
-        return { extractedData: null, accuracyScore: 0, error: result.error };
-      }
-      text = result.text;
-    } else if (file.type === ALLOWED_FILE_TYPES.DOCX) {
-      const result = await extractTextFromDOCX(file);
-      if (result.error) {
-        return { extractedData: null, accuracyScore: 0, error: result.error };
-      }
-      text = result.text;
-    } else if (file.type === ALLOWED_FILE_TYPES.TXT) {
-      text = await file.text();
-    } else {
+    const extractText = TEXT_EXTRACTORS[fileType];
+    if (!extractText) {
       return {
         extractedData: null,
         accuracyScore: 0,
@@ -60,18 +91,65 @@ export async function parseCV(file) {
       };
     }
 
-    // Extract structured data from text
+    reportProgress(onProgress, PARSING_STAGES.EXTRACTING, 0.05);
+    const result = await extractText(file, onProgress);
+    if (result.error) {
+      return { extractedData: null, accuracyScore: 0, error: result.error };
+    }
+    const text = result.text;
+    const ocr = result.ocr || null;
+
+    // A scan that OCR could not read must not pass as an empty but successful parse
+    if (!text.trim()) {
+      return {
+        extractedData: null,
+        accuracyScore: 0,
+        error: new Error('No readable text found in CV'),
+      };
+    }
+
+    reportProgress(onProgress, PARSING_STAGES.ANALYZING, EXTRACTION_PROGRESS);
+
+    // Split into headed sections and route each block to its own extractor
+    const segments = segmentCV(text);
+
+    const experience = extractExperience(getSectionOrFallback(segments, CV_SECTIONS.EXPERIENCE));
+    const summary = findSummary(segments);
+    const skills = enrichSkills(extractSkills(text, segments), experience, segments);
+    const industries = findIndustries({ text: getIndustryText(segments), experience, skills });
+    const careerGoals = findCareerGoals(segments);
+
     const extractedData = {
-      personal: extractContactInfo(text),
-      summary: extractSummary(text),
-      skills: extractSkills(text),
-      experience: extractExperience(text),
-      education: extractEducation(text),
-      industries: extractIndustries(text),
-      career_goals: extractCareerGoals(text),
-      accuracy_score: calculateAccuracyScore(text),
+      schema_version: EXTRACTED_DATA_VERSION,
+      personal: extractContactInfo(text, segments),
+      summary: summary.value,
+      skills,
+      experience,
+      education: extractEducation(getSectionOrFallback(segments, CV_SECTIONS.EDUCATION)),
+      certifications: extractCertifications(text, segments),
+      languages: extractLanguages(text, segments),
+      projects: extractProjects(segments),
+      publications: extractPublications(segments),
+      industries: industries.value,
+      industry_weights: industries.weights,
+      career_goals: careerGoals.value,
+      seniority: classifySeniority(experience),
+      confidence: {
+        summary: summary.confidence,
+        career_goals: careerGoals.confidence,
+        industries: industries.confidence,
+      },
+      ocr,
     };
 
+    // Overall score is built from the field confidences the extractors reported
+    extractedData.confidence.overall = calculateOverallConfidence(extractedData);
+    extractedData.accuracy_score = extractedData.confidence.overall;
+
+    // Custom extractors add namespaced fields last; their failures do not fail the parse
+    Object.assign(extractedData, await runExtractors({ text, segments, extractedData }));
+    reportProgress(onProgress, PARSING_STAGES.COMPLETE, 1);
+
     return {
       extractedData,
       accuracyScore: extractedData.accuracy_score,
@@ -86,28 +164,164 @@ export async function parseCV(file) {
   }
 }
 
+/**
+ * Report parsing progress to the caller, if it asked for it
+ */
+function reportProgress(onProgress, stage, progress, details = {}) {
+  if (onProgress) {
+    onProgress({ stage, progress: Math.round(progress * 100) / 100, ...details });
+  }
+}
+
+/**
+ * Import a JSON Resume file, skipping heuristic parsing
+ * Only fields JSON Resume has no equivalent for (industries, career goals)
+ * are inferred from its text
+ * @param {File} file - resume.json file
+ * @returns {Promise<{extractedData, accuracyScore, error}>}
+ */
+async function parseJSONResume(file) {
+  let resume;
+  try {
+    resume = JSON.parse(await file.text());
+  } catch (err) {
+    return {
+      extractedData: null,
+      accuracyScore: 0,
+      error: new Error(`JSON Resume import failed: ${err.message}`),
+    };
+  }
+
+  const { extractedData, error } = importJSONResume(resume);
+  if (error) {
+    return { extractedData: null, accuracyScore: 0, error };
+  }
+
+  return completeStructuredImport(extractedData);
+}
+
+/**
+ * Import a LinkedIn "Get a copy of your data" ZIP export
+ * Positions, education, skills and profile come straight from its CSV files
+ * @param {File} file - LinkedIn data export ZIP
+ * @returns {Promise<{extractedData, accuracyScore, error}>}
+ */
+export async function parseLinkedInArchive(file) {
+  try {
+    const { files, error } = await readLinkedInArchive(await file.arrayBuffer());
+    if (error) {
+      return { extractedData: null, accuracyScore: 0, error };
+    }
+    return completeStructuredImport(importLinkedInArchive(files));
+  } catch (err) {
+    return {
+      extractedData: null,
+      accuracyScore: 0,
+      error: new Error(`LinkedIn archive import failed: ${err.message}`),
+    };
+  }
+}
+
+/**
+ * Infer the fields structured sources have no equivalent for (industries,
+ * career goals) from their summary, positions and skills; an industry the
+ * source states (LinkedIn profile) counts as strong evidence. Custom extractors
+ * get the same summary and position text
+ */
+async function completeStructuredImport(extractedData) {
+  const text = [
+    extractedData.summary,
+    ...extractedData.experience.map((exp) => `${exp.job_title || ''}\n${exp.description}`),
+  ].join('\n');
+
+  const industries = findIndustries({
+    text,
+    experience: extractedData.experience,
+    skills: extractedData.skills,
+    stated: extractedData.industries,
+  });
+  extractedData.industries = industries.value;
+  extractedData.industry_weights = industries.weights;
+  extractedData.career_goals = extractCareerGoals(extractedData.summary);
+  Object.assign(
+    extractedData,
+    await runExtractors({ text, segments: segmentCV(text), extractedData })
+  );
+
+  return { extractedData, accuracyScore: extractedData.accuracy_score, error: null };
+}
+
 /**
  * Extract text from PDF file
+ * Image-only pages (scans) are rendered and run through offline OCR
  * @param {File} file - PDF file
- * @returns {Promise<{text, error}>}
+ * @param {Function} onProgress - Progress callback (see parseCV), called per page
+ * @returns {Promise<{text, ocr, error}>} ocr is null when every page had a text layer,
+ *   otherwise {pages, confidence} with the OCR'd page numbers and mean confidence (0.00-1.00)
  */
-async function extractTextFromPDF(file) {
+async function extractTextFromPDF(file, onProgress) {
   try {
     const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    const pdfjsLib = await loadPDFJS();
+    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer, ...getRenderOptions() }).promise;
+    const ocrPages = [];
     let fullText = '';
+    const pages = pdf.numPages;
+    const pageProgress = (pageNum) => 0.05 + ((EXTRACTION_PROGRESS - 0.05) * (pageNum - 1)) / pages;
 
-    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+    for (let pageNum = 1; pageNum <= pages; pageNum++) {
+      reportProgress(onProgress, PARSING_STAGES.EXTRACTING, pageProgress(pageNum), {
+        page: pageNum,
+        pages,
+      });
       const page = await pdf.getPage(pageNum);
       const textContent = await page.getTextContent();
-      const pageText = textContent.items.map((item) => item.str).join(' ');
+      // Rebuild reading order from item positions (handles two-column templates)
+      const { width: pageWidth } = page.getViewport({ scale: 1 });
+      let pageText = reconstructLayout(textContent.items, { pageWidth });
+
+      if (isImageOnlyPage(pageText)) {
+        reportProgress(onProgress, PARSING_STAGES.OCR, pageProgress(pageNum), {
+          page: pageNum,
+          pages,
+        });
+        const result = await recognizePage(page);
+        if (result.error) {
+          return { text: '', ocr: null, error: result.error };
+        }
+        ocrPages.push({ page: pageNum, confidence: result.confidence, length: result.text.length });
+        pageText = result.text;
+      }
+
       fullText += pageText + '\n';
     }
 
-    return { text: fullText, error: null };
+    return { text: fullText, ocr: summarizeOCR(ocrPages), error: null };
   } catch (err) {
-    return { text: '', error: new Error(`PDF extraction failed: ${err.message}`) };
+    return { text: '', ocr: null, error: new Error(`PDF extraction failed: ${err.message}`) };
+  } finally {
+    await terminateOCR();
+  }
+}
+
+/**
+ * Summarize OCR'd pages; confidence is weighted by the amount of text on each page
+ */
+function summarizeOCR(pages) {
+  if (pages.length === 0) {
+    return null;
   }
+
+  const totalLength = pages.reduce((sum, page) => sum + page.length, 0);
+  const confidence =
+    totalLength > 0
+      ? pages.reduce((sum, page) => sum + page.confidence * page.length, 0) / totalLength
+      : 0;
+
+  return {
+    pages: pages.map((page) => page.page),
+    confidence: Math.round(confidence * 100) / 100,
+  };
 }
 
 /**
@@ -118,19 +332,69 @@ async function extractTextFromPDF(file) {
 async function extractTextFromDOCX(file) {
   try {
     const arrayBuffer = await file.arrayBuffer();
-    const result = await mammoth.extractRawText({ arrayBuffer });
+    // Mammoth's browser build reads arrayBuffer, its Node build (benchmark) reads buffer
+    const result = await mammoth.extractRawText({ arrayBuffer, buffer: arrayBuffer });
     return { text: result.value, error: null };
   } catch (err) {
     return { text: '', error: new Error(`DOCX extraction failed: ${err.message}`) };
   }
 }
 
+/**
+ * Extract text from ODT file (OpenDocument, e.g. Google Docs or LibreOffice export)
+ * @param {File} file - ODT file
+ * @returns {Promise<{text, error}>}
+ */
+async function extractTextFromODT(file) {
+  try {
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const content = zip.file('content.xml');
+    if (!content) {
+      return { text: '', error: new Error('ODT extraction failed: content.xml not found') };
+    }
+    return { text: odtXmlToText(await content.async('string')), error: null };
+  } catch (err) {
+    return { text: '', error: new Error(`ODT extraction failed: ${err.message}`) };
+  }
+}
+
+/**
+ * Extract text from a text-based file (RTF, HTML, Markdown, TXT)
+ * @param {File} file - CV file
+ * @param {Function} convert - Converts the file source to plain text
+ * @param {string} format - Format name for error messages
+ * @returns {Promise<{text, error}>}
+ */
+async function extractTextWith(file, convert, format) {
+  try {
+    return { text: convert(await file.text()), error: null };
+  } catch (err) {
+    return { text: '', error: new Error(`${format} extraction failed: ${err.message}`) };
+  }
+}
+
+/**
+ * Get a section's text, falling back to the unheaded part of the CV
+ * Without headings the header block is the whole document, so CVs that use
+ * no recognizable headings are still scanned in full
+ * @param {object} segments - Result of segmentCV
+ * @param {string} type - Section type from CV_SECTIONS
+ * @returns {string} Text block for the extractor
+ */
+function getSectionOrFallback(segments, type) {
+  if (hasSection(segments, type)) {
+    return getSectionText(segments, type);
+  }
+  return segments.sections.length === 0 ? segments.header : '';
+}
+
 /**
  * Extract contact information
  * @param {string} text - CV text
- * @returns {object} Contact information
+ * @param {object} segments - Result of segmentCV (computed if omitted)
+ * @returns {object} Contact information, with per-field confidence (null when absent)
  */
-export function extractContactInfo(text) {
+export function extractContactInfo(text, segments = segmentCV(text)) {
   const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
   const phoneRegex = /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/;
   const linkedinRegex = /linkedin\.com\/in\/[A-Za-z0-9-]+/i;
@@ -139,198 +403,390 @@ export function extractContactInfo(text) {
   const phoneMatch = text.match(phoneRegex);
   const linkedinMatch = text.match(linkedinRegex);
 
-  // Try to extract name (first line or first few words)
-  const lines = text.split('\n').filter((line) => line.trim().length > 0);
+  // Try to extract name (first line of the header block)
+  const lines = (segments.header || text).split('\n').filter((line) => line.trim().length > 0);
   const name = lines[0]?.trim() || 'Unknown';
 
+  // Location lives in the header/contact block; skip the name line so "Paris Smith" is no city
+  const contactBlock = [lines.slice(1).join('\n'), getSectionText(segments, CV_SECTIONS.CONTACT)];
+  const location = findLocation(contactBlock.join('\n'));
+
+  // Several different addresses make it unclear which one is the candidate's
+  const emails = new Set(
+    (text.match(new RegExp(emailRegex, 'g')) || []).map((e) => e.toLowerCase())
+  );
+  // Phone-like numbers outside the header/contact block may be dates or IDs
+  const phoneInContact = Boolean(phoneMatch && contactBlock.join('\n').includes(phoneMatch[0]));
+
   return {
     name,
     email: emailMatch ? emailMatch[0] : null,
     phone: phoneMatch ? phoneMatch[0] : null,
     linkedin_url: linkedinMatch ? `https://${linkedinMatch[0]}` : null,
-    location: null, // Could enhance with location extraction
+    location,
+    confidence: {
+      name: scoreName(lines[0]),
+      email: emailMatch ? (emails.size > 1 ? 0.75 : 0.95) : null,
+      phone: phoneMatch ? (phoneInContact ? 0.85 : 0.5) : null,
+      linkedin_url: linkedinMatch ? 0.95 : null,
+      // A resolved city is more specific than a lone country or state
+      location: location ? (parseLocation(location).city ? 0.85 : 0.6) : null,
+    },
   };
 }
 
+/**
+ * Confidence that the first header line is the candidate's name
+ */
+function scoreName(line) {
+  const value = (line || '').trim();
+  if (!value) {
+    return 0;
+  }
+  if (/[@\d|:]|https?:/.test(value)) {
+    return 0.2;
+  }
+  const words = value.split(/\s+/);
+  const capitalized = words.every((word) => /^\p{Lu}[\p{L}'.-]*,?$/u.test(word));
+  if (capitalized && words.length >= 2 && words.length <= 4) {
+    return 0.9;
+  }
+  return words.length <= 4 ? 0.6 : 0.3;
+}
+
 /**
  * Extract professional summary
  * @param {string} text - CV text
+ * @param {object} segments - Result of segmentCV (computed if omitted)
  * @returns {string} Summary
  */
-export function extractSummary(text) {
-  // Look for summary/objective section
-  const summaryKeywords = ['summary', 'objective', 'profile', 'about'];
-  const lines = text.split('\n');
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].toLowerCase();
-    if (summaryKeywords.some((keyword) => line.includes(keyword))) {
-      // Return next 2-3 lines as summary
-      return lines
-        .slice(i + 1, i + 4)
-        .join(' ')
-        .trim();
-    }
+export function extractSummary(text, segments = segmentCV(text)) {
+  return findSummary(segments).value;
+}
+
+/**
+ * Find the summary with its confidence: a headed section is reliable, header prose a guess
+ */
+function findSummary(segments) {
+  const summary = getSectionText(segments, CV_SECTIONS.SUMMARY);
+  if (summary) {
+    return { value: summary.split('\n').join(' ').replace(/\s+/g, ' ').trim(), confidence: 0.9 };
   }
 
-  // Fallback: return first paragraph
-  return lines.slice(1, 4).join(' ').trim();
+  // Fallback: first prose paragraph of the header, skipping name and contact lines
+  const contactRegex = /@|https?:\/\/|linkedin\.com|\+?\d[\d\s().-]{7,}/i;
+  const prose = (segments.header || '')
+    .split('\n')
+    .slice(1)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !contactRegex.test(line) && line.split(' ').length >= 6);
+
+  const value = prose.slice(0, 3).join(' ').trim();
+  return { value, confidence: value ? 0.5 : null };
 }
 
 /**
- * Extract skills from text
+ * Extract skills from text using the skill taxonomy (see utils/skills.js)
+ * Skills listed in a skills section or mentioned repeatedly get a higher confidence
+ * than a single passing mention
  * @param {string} text - CV text
- * @returns {Array<{name, category}>} Skills
+ * @param {object} segments - Result of segmentCV (computed if omitted)
+ * @returns {Array<{name, category, group, parent, confidence}>} Skills
  */
-export function extractSkills(text) {
-  const textLower = text.toLowerCase();
-  const foundSkills = [];
-
-  // Extract technical skills
-  TECHNICAL_SKILLS.forEach((skill) => {
-    if (textLower.includes(skill.toLowerCase())) {
-      foundSkills.push({ name: skill, category: SKILL_CATEGORIES.TECHNICAL });
-    }
-  });
+export function extractSkills(text, segments = segmentCV(text)) {
+  const listed = new Set(
+    findSkills(getSectionText(segments, CV_SECTIONS.SKILLS)).map((skill) => skill.name)
+  );
 
-  // Extract soft skills
-  SOFT_SKILLS.forEach((skill) => {
-    if (textLower.includes(skill.toLowerCase())) {
-      foundSkills.push({ name: skill, category: SKILL_CATEGORIES.SOFT });
+  return findSkills(text).map(({ name, category, group, parent, mentions }) => {
+    let confidence = mentions > 1 ? 0.85 : 0.65;
+    if (listed.has(name)) {
+      confidence = 0.95;
     }
+    return { name, category, group, parent, confidence };
   });
-
-  return foundSkills;
 }
 
 /**
  * Extract work experience
- * @param {string} text - CV text
- * @returns {Array<object>} Experience entries
+ * Supported entry layouts (header lines around a date range line):
+ * - "Title at Company" / "Title @ Company"
+ * - "Company — Title" / "Title | Company"
+ * - Title line followed by a company line
+ * - "Company, City" or a location after the date range
+ * @param {string} text - Experience section text
+ * @returns {Array<object>} Experience entries, with per-field confidence
  */
 export function extractExperience(text) {
-  // Simplified extraction - look for year patterns and job titles
   const experiences = [];
-  const lines = text.split('\n');
-  const yearRegex = /\b(19|20)\d{2}\b/g;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const years = line.match(yearRegex);
-
-    if (years && years.length >= 1) {
-      // Likely an experience entry
-      experiences.push({
-        job_title: line.split(/\d{4}/)[0].trim() || 'Position',
-        company: 'Company', // Would need more sophisticated extraction
-        location: null,
-        start_date: years[0],
-        end_date: years[years.length - 1],
-        duration_months: calculateMonths(years[0], years[years.length - 1]),
-        description: lines[i + 1]?.trim() || '',
-      });
+  const lines = text.split('\n').map((line) => line.trim());
+
+  // Each line carrying a date range ("Mar 2021 – Present") anchors an entry
+  const anchors = [];
+  lines.forEach((line, index) => {
+    const range = parseDateRange(line, { allowSingle: false });
+    if (range) {
+      anchors.push({ index, range });
     }
-  }
+  });
+
+  // Header lines sit directly above the anchor; everything below is description
+  const headerStarts = anchors.map((anchor, k) => {
+    const floor = k > 0 ? anchors[k - 1].index + 1 : 0;
+    let start = anchor.index;
+    while (start - 1 >= floor && start > anchor.index - 2 && isHeaderLine(lines[start - 1])) {
+      start--;
+    }
+    return start;
+  });
+
+  anchors.forEach(({ index, range }, k) => {
+    const line = lines[index];
+    const before = trimSeparators(line.slice(0, range.index));
+    const after = trimSeparators(line.slice(range.index + range.raw.length));
+    const header = parseExperienceHeader([...lines.slice(headerStarts[k], index), before]);
+
+    const descriptionEnd = k + 1 < anchors.length ? headerStarts[k + 1] : lines.length;
+    const description = lines
+      .slice(index + 1, descriptionEnd)
+      .map((l) => l.replace(/^[•*▪◦·-]\s*/, ''))
+      .filter(Boolean)
+      .join(' ');
+
+    const location = header.location || (after && looksLikeLocation(after) ? after : null);
+
+    experiences.push({
+      job_title: header.title || 'Position',
+      company: header.company,
+      location,
+      start_date: range.startDate,
+      end_date: range.endDate,
+      is_current: range.isCurrent,
+      duration_months: range.durationMonths,
+      description,
+      confidence: scoreExperienceEntry(header, location, range, description),
+    });
+  });
 
   return experiences.slice(0, 5); // Return top 5
 }
 
+// Words that mark a phrase as a job title rather than an employer
+const TITLE_KEYWORDS = [
+  'engineer', 'developer', 'manager', 'director', 'analyst', 'designer', 'consultant',
+  'architect', 'scientist', 'lead', 'head', 'intern', 'specialist', 'officer', 'associate',
+  'administrator', 'coordinator', 'president', 'founder', 'owner', 'partner', 'researcher',
+  'assistant', 'executive', 'programmer', 'technician', 'advisor', 'accountant', 'teacher',
+  'lecturer', 'professor', 'nurse', 'representative', 'strategist', 'product owner', 'cto',
+  'ceo', 'cfo', 'coo', 'vp', 'sre', 'devops',
+];
+
+// Legal-form suffixes that follow a comma in company names ("Acme, Inc.")
+const COMPANY_SUFFIXES =
+  /^(inc|llc|ltd|limited|corp|corporation|co|plc|gmbh|ag|sa|bv|nv|pty|llp)\.?$/i;
+
 /**
- * Extract education
- * @param {string} text - CV text
- * @returns {Array<object>} Education entries
+ * Confidence per experience field, based on how each was found
+ * - Title: keyword-bearing titles are reliable; the "Position" placeholder is not a title
+ * - Company: "Title at Company" is explicit; split fragments are inferred
+ * - Dates: month precision on both ends beats year-only ranges
  */
-export function extractEducation(text) {
-  const education = [];
-  const degreeKeywords = ['bachelor', 'master', 'phd', 'mba', 'b.s.', 'm.s.', 'b.a.', 'm.a.'];
-  const lines = text.split('\n');
-
-  for (let i = 0; i < lines.length; i++) {
-    const lineLower = lines[i].toLowerCase();
-    const hasDegree = degreeKeywords.some((keyword) => lineLower.includes(keyword));
-
-    if (hasDegree) {
-      const yearMatch = lines[i].match(/\b(19|20)\d{2}\b/);
-      education.push({
-        degree: lines[i].trim(),
-        institution: lines[i + 1]?.trim() || 'University',
-        graduation_year: yearMatch ? parseInt(yearMatch[0]) : null,
-      });
+function scoreExperienceEntry(header, location, range, description) {
+  const monthPrecision = range.start.month && (range.isCurrent || range.end.month);
+  let title = 0.1;
+  if (header.title) {
+    title = isJobTitle(header.title) ? 0.9 : 0.55;
+  }
+  let company = 0;
+  if (header.company) {
+    company = header.companyExplicit ? 0.9 : 0.7;
+  }
+
+  return {
+    job_title: title,
+    company,
+    location: location ? (findLocation(location) ? 0.85 : 0.6) : null,
+    dates: monthPrecision ? 0.95 : 0.75,
+    description: description ? 0.8 : null,
+  };
+}
+
+/**
+ * Split entry header fragments into title, company and location
+ * @param {Array<string>} fragments - Header lines above the date and text before the date
+ * @returns {{title, company, location, companyExplicit}} companyExplicit is true when
+ *   the company came from "Title at Company" rather than a guess between fragments
+ */
+function parseExperienceHeader(fragments) {
+  const result = { title: null, company: null, location: null, companyExplicit: false };
+  const pieces = [];
+
+  fragments.filter(Boolean).forEach((fragment) => {
+    // "Title at Company" / "Title @ Company"
+    const atMatch = fragment.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+    if (atMatch && isJobTitle(atMatch[1])) {
+      result.title = result.title || atMatch[1].trim();
+      pieces.push({ text: atMatch[2].trim(), role: 'company', explicit: true });
+      return;
+    }
+
+    // "Company — Title", "Title | Company", "Title - Company"
+    const parts = fragment.split(/\s+[\u2013\u2014|-]\s+|\s*[|\u2014]\s*/).filter(Boolean);
+    parts.forEach((part) => pieces.push({ text: part.trim(), role: null }));
+  });
+
+  pieces.forEach((piece) => {
+    const role = piece.role || (isJobTitle(piece.text) ? 'title' : 'company');
+    if (role === 'title' && !result.title) {
+      result.title = piece.text;
+    } else if (role === 'company' && !result.company) {
+      const { name, location } = splitCompanyLocation(piece.text);
+      result.company = name;
+      result.companyExplicit = Boolean(piece.explicit);
+      result.location = result.location || location;
+    } else if (!result.location && looksLikeLocation(piece.text)) {
+      result.location = piece.text;
     }
+  });
+
+  // A lone fragment without title keywords is more likely a title than an employer
+  if (!result.title && result.company && pieces.length === 1) {
+    result.title = result.company;
+    result.company = null;
   }
 
-  return education.slice(0, 3);
+  return result;
 }
 
 /**
- * Extract industries from text
- * @param {string} text - CV text
- * @returns {Array<string>} Industries
+ * Split "Company, City, ST" into employer name and location
+ * @param {string} text
+ * @returns {{name: string, location: string|null}}
  */
-export function extractIndustries(text) {
-  const commonIndustries = [
-    'Technology', 'Finance', 'Healthcare', 'Education', 'Retail',
-    'Manufacturing', 'Consulting', 'SaaS', 'Fintech', 'E-commerce',
-  ];
-
-  const textLower = text.toLowerCase();
-  return commonIndustries.filter((industry) =>
-    textLower.includes(industry.toLowerCase())
+function splitCompanyLocation(text) {
+  const parts = text.split(',').map((part) => part.trim());
+  let nameEnd = 1;
+  while (nameEnd < parts.length && COMPANY_SUFFIXES.test(parts[nameEnd])) {
+    nameEnd++;
+  }
+
+  const location = parts.slice(nameEnd).join(', ');
+  return {
+    name: parts.slice(0, nameEnd).join(', '),
+    location: location && looksLikeLocation(location) ? location : null,
+  };
+}
+
+function isJobTitle(text) {
+  const lower = text.toLowerCase();
+  return TITLE_KEYWORDS.some((keyword) => new RegExp(`\\b${keyword}\\b`).test(lower));
+}
+
+function looksLikeLocation(text) {
+  return /^(remote|hybrid|[A-Z][A-Za-z.\- ]+(,\s*[A-Z][A-Za-z.\- ]+)*)$/.test(text.trim());
+}
+
+function isHeaderLine(line) {
+  return (
+    line.length > 0 &&
+    line.length <= 80 &&
+    !/^[•*▪◦·-]/.test(line) &&
+    !(/[.;]$/.test(line) && line.split(/\s+/).length > 5) &&
+    !parseDateRange(line, { allowSingle: false })
   );
 }
 
+function trimSeparators(text) {
+  return text.replace(/^[\s,|•()\u2013\u2014-]+|[\s,|•()\u2013\u2014-]+$/g, '').trim();
+}
+
 /**
- * Extract career goals
+ * Extract education
+ * @param {string} text - Education section text (or the whole CV)
+ * @returns {Array<object>} Education entries (see parseEducation), with per-field confidence
+ */
+export function extractEducation(text) {
+  return parseEducation(text).slice(0, 5);
+}
+
+/**
+ * Extract industries from text
  * @param {string} text - CV text
- * @returns {string} Career goals
+ * @param {object} sources - Experience entries and skills to infer from as well
+ * @returns {Array<string>} Industries, strongest first
  */
-export function extractCareerGoals(text) {
-  const goalKeywords = ['seeking', 'looking for', 'interested in', 'goal', 'objective'];
-  const lines = text.split('\n');
+export function extractIndustries(text, { experience = [], skills = [] } = {}) {
+  return findIndustries({ text, experience, skills }).value;
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const lineLower = lines[i].toLowerCase();
-    if (goalKeywords.some((keyword) => lineLower.includes(keyword))) {
-      return lines[i].trim();
-    }
-  }
+/**
+ * Infer weighted industries (see inferIndustries) with their confidence:
+ * the more independent evidence behind the strongest industry, the surer
+ */
+function findIndustries(sources) {
+  const weights = inferIndustries(sources);
+  const evidence = weights[0]?.evidence.length || 0;
+  return {
+    value: weights.map((industry) => industry.name),
+    weights,
+    confidence: weights.length > 0 ? INDUSTRY_CONFIDENCE[Math.min(evidence, 3)] : null,
+  };
+}
 
-  return 'Seeking new opportunities';
+/**
+ * Text industries are inferred from: what the candidate did, not what they studied
+ */
+function getIndustryText(segments) {
+  if (segments.sections.length === 0) {
+    return segments.header;
+  }
+  return [
+    segments.header,
+    ...[CV_SECTIONS.SUMMARY, CV_SECTIONS.EXPERIENCE, CV_SECTIONS.PROJECTS].map((type) =>
+      getSectionText(segments, type)
+    ),
+  ].join('\n');
 }
 
 /**
- * Calculate accuracy score based on extracted data completeness
+ * Extract career goals
  * @param {string} text - CV text
- * @returns {number} Accuracy score 0.00-1.00
+ * @param {object} segments - Result of segmentCV (computed if omitted)
+ * @returns {string} Career goals
  */
-function calculateAccuracyScore(text) {
-  let score = 0.0;
-  const checks = [
-    text.includes('@'), // Has email
-    /\d{3}[-.\s]?\d{3}[-.\s]?\d{4}/.test(text), // Has phone
-    /linkedin\.com/i.test(text), // Has LinkedIn
-    /(19|20)\d{2}/.test(text), // Has years/experience
-    /bachelor|master|phd/i.test(text), // Has education
-  ];
-
-  score = checks.filter(Boolean).length / checks.length;
-  return Math.min(score + 0.2, 1.0); // Baseline + bonus
+export function extractCareerGoals(text, segments = segmentCV(text)) {
+  return findCareerGoals(segments).value;
 }
 
 /**
- * Calculate months between two years
- * @param {string} startYear
- * @param {string} endYear
- * @returns {number} Months
+ * Find career goals with their confidence: an objective section is stated,
+ * a goal-like summary line is likely, and the default is a placeholder
  */
-function calculateMonths(startYear, endYear) {
-  const start = parseInt(startYear);
-  const end = parseInt(endYear);
-  return (end - start) * 12;
+function findCareerGoals(segments) {
+  const objective = getSectionText(segments, CV_SECTIONS.OBJECTIVE);
+  if (objective) {
+    return { value: objective.split('\n').join(' ').replace(/\s+/g, ' ').trim(), confidence: 0.9 };
+  }
+
+  // Goals are usually stated in the summary or header, not inside job descriptions
+  const goalKeywords = ['seeking', 'looking for', 'interested in', 'goal', 'objective'];
+  const candidates = [getSectionText(segments, CV_SECTIONS.SUMMARY), segments.header]
+    .join('\n')
+    .split('\n');
+
+  for (const line of candidates) {
+    const lineLower = line.toLowerCase();
+    if (goalKeywords.some((keyword) => lineLower.includes(keyword))) {
+      return { value: line.trim(), confidence: 0.6 };
+    }
+  }
+
+  return { value: 'Seeking new opportunities', confidence: 0.1 };
 }
 
 export default {
   parseCV,
+  parseLinkedInArchive,
   extractSkills,
   extractExperience,
   extractEducation,
@@ -0,0 +1,27 @@
+/**
+ * CV Parser Worker
+ * Runs parseCV off the main thread so PDF extraction, OCR and the extractors
+ * never block the page.
+ *
+ * Receives: { file, skills } with skills from getRegisteredSkills() on the main thread;
+ * the worker has its own copy of the skill taxonomy, so they are registered here first
+ * Posts: { type: 'progress', progress } while parsing (see parseCV's onProgress),
+ * then { type: 'result', extractedData, accuracyScore, error } with error as a message
+ */
+
+import { parseCV } from './parser.js';
+import { registerSkills } from '../utils/skills.js';
+
+self.addEventListener('message', async (event) => {
+  registerSkills(event.data.skills);
+  const { extractedData, accuracyScore, error } = await parseCV(event.data.file, {
+    onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+  });
+
+  self.postMessage({
+    type: 'result',
+    extractedData,
+    accuracyScore,
+    error: error ? error.message : null,
+  });
+});
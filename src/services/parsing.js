@@ -0,0 +1,85 @@
+/**
+ * CV Parsing Runner
+ * Runs parseCV in a dedicated Web Worker with progress reporting, cancellation
+ * and a timeout. Terminating the worker is the only way to stop a PDF.js or
+ * OCR job midway, so each parse gets its own worker.
+ */
+
+import { MESSAGES, PARSING_TIMEOUT_MS } from '../utils/constants.js';
+import { getRegisteredSkills } from '../utils/skills.js';
+
+/**
+ * Parse a CV in a Web Worker
+ * Falls back to parsing on the main thread where workers are unavailable
+ * @param {File} file - CV file
+ * @param {object} options
+ * @param {Function} options.onProgress - Called with {stage, progress, page, pages}
+ * @param {AbortSignal} options.signal - Aborting cancels parsing
+ * @param {number} options.timeoutMs - Parsing is stopped after this long
+ * @returns {Promise<{extractedData, accuracyScore, error}>} error.name is 'AbortError'
+ *   when cancelled and 'TimeoutError' when timed out
+ */
+export async function parseCVInWorker(
+  file,
+  { onProgress, signal, timeoutMs = PARSING_TIMEOUT_MS } = {}
+) {
+  if (signal?.aborted) {
+    return failure(MESSAGES.PARSING_CANCELLED, 'AbortError');
+  }
+
+  if (typeof Worker === 'undefined') {
+    const { parseCV } = await import('./parser.js');
+    return parseCV(file, { onProgress });
+  }
+
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL('./parser.worker.js', import.meta.url), {
+      type: 'module',
+    });
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      resolve(result);
+    };
+    const onAbort = () => finish(failure(MESSAGES.PARSING_CANCELLED, 'AbortError'));
+    const timer = setTimeout(
+      () => finish(failure(MESSAGES.PARSING_TIMEOUT, 'TimeoutError')),
+      timeoutMs
+    );
+
+    worker.addEventListener('message', (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        onProgress?.(message.progress);
+        return;
+      }
+      finish({
+        extractedData: message.extractedData,
+        accuracyScore: message.accuracyScore,
+        error: message.error ? new Error(message.error) : null,
+      });
+    });
+
+    // The worker script failed to load or threw outside parseCV
+    worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      finish(failure(`Parsing failed: ${event.message || 'parser worker crashed'}`));
+    });
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    // Skills registered on this thread are not in the worker's taxonomy otherwise
+    worker.postMessage({ file, skills: getRegisteredSkills() });
+  });
+}
+
+function failure(message, name = 'Error') {
+  const error = new Error(message);
+  error.name = name;
+  return { extractedData: null, accuracyScore: 0, error };
+}
+
+export default {
+  parseCVInWorker,
+};
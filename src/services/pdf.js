@@ -0,0 +1,44 @@
+/**
+ * PDF.js Loader
+ * In the app PDF.js runs in its own worker, bundled by Vite. Under Node (the parser
+ * benchmark) the legacy build is used instead: it carries the polyfills Node lacks and
+ * parses on the main thread, so no browser is needed.
+ */
+
+// Loaded by Node only, so Vite must not bundle it into the app
+const NODE_BUILD = 'pdfjs-dist/legacy/build/pdf.mjs';
+
+let pdfjsPromise = null;
+
+/**
+ * Load PDF.js for the current environment (once)
+ * @returns {Promise<object>} The pdfjs-dist module
+ */
+export function loadPDFJS() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = isNode() ? import(/* @vite-ignore */ NODE_BUILD) : loadBrowserBuild();
+    // Allow a retry if loading failed
+    pdfjsPromise.catch(() => {
+      pdfjsPromise = null;
+    });
+  }
+  return pdfjsPromise;
+}
+
+async function loadBrowserBuild() {
+  const [pdfjsLib, { default: workerSrc }] = await Promise.all([
+    import('pdfjs-dist'),
+    // Local worker file instead of CDN: avoids network issues and version mismatches
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+  ]);
+  pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+  return pdfjsLib;
+}
+
+function isNode() {
+  return typeof process !== 'undefined' && Boolean(process.versions?.node);
+}
+
+export default {
+  loadPDFJS,
+};
@@ -0,0 +1,291 @@
+/**
+ * Privacy Service
+ * Keeps personal identifiers out of what leaves the browser:
+ * - protectExtractedData: redacts or hashes contact details in extracted_data before it
+ *   is persisted (mode from VITE_PRIVACY_MODE, see PRIVACY_MODES)
+ * - filterSearchTerms / findPIIInRequest: search terms that look like contact details are
+ *   dropped, and outbound provider requests can be checked for leaks
+ */
+
+import { PRIVACY_MODES } from '../utils/constants.js';
+
+export const PRIVACY_MODE = import.meta.env.VITE_PRIVACY_MODE || PRIVACY_MODES.OFF;
+
+// extracted_data.personal fields that identify the candidate; location is kept (city-level,
+// used for matching)
+const PERSONAL_FIELDS = ['name', 'email', 'phone', 'linkedin_url'];
+
+// JSON Resume basics that identify the candidate
+const RESUME_IDENTIFIERS = ['name', 'email', 'phone', 'url', 'image', 'profiles'];
+
+// Query parameters that carry provider credentials rather than search input
+const CREDENTIAL_PARAMS = ['api_key', 'apikey', 'key', 'token'];
+
+const PII_PATTERNS = [
+  ['email', /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g],
+  ['phone', /\+?\(?\d{1,4}\)?(?:[\s.-]?\(?\d{1,5}\)?){2,6}/g],
+  [
+    'street_address',
+    /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][\w'-]*\s+){1,3}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Way|Court|Ct|Place|Pl|Terrace|Square|Sq)\b\.?/g,
+  ],
+  [
+    'profile_url',
+    /(?<![\w.-])(?:https?:\/\/)?(?:[\w-]+\.)?(?:linkedin\.com\/in|github\.com|gitlab\.com|twitter\.com|x\.com)\/[\w-]+(?:\/[\w.-]*)*/gi,
+  ],
+];
+
+// Replacement text per PII type
+const REDACTION_LABELS = {
+  email: '[email]',
+  phone: '[phone]',
+  street_address: '[address]',
+  profile_url: '[profile]',
+  identifier: '[redacted]',
+};
+
+/**
+ * Find personal data in a piece of text
+ * @param {string} text
+ * @param {Array<string>} identifiers - The candidate's own values (see getPersonalIdentifiers)
+ * @returns {Array<{type: string, value: string}>} type is email, phone, street_address,
+ *   profile_url or identifier
+ */
+export function findPII(text, identifiers = []) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return [];
+  }
+  const found = [];
+  PII_PATTERNS.forEach(([type, pattern]) => {
+    (text.match(pattern) || [])
+      .filter((value) => type !== 'phone' || isPhoneNumber(value))
+      .forEach((value) => found.push({ type, value }));
+  });
+  identifiers.forEach((identifier) => {
+    (text.match(buildIdentifierPattern(identifier)) || []).forEach((value) =>
+      found.push({ type: 'identifier', value })
+    );
+  });
+  return found;
+}
+
+/**
+ * Replace personal data in a piece of text with a label such as "[email]"
+ * @param {string} text
+ * @param {Array<string>} identifiers - The candidate's own values
+ * @returns {string}
+ */
+export function redactText(text, identifiers = []) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  const redacted = PII_PATTERNS.reduce(
+    (result, [type, pattern]) =>
+      result.replace(pattern, (value) =>
+        type !== 'phone' || isPhoneNumber(value) ? REDACTION_LABELS[type] : value
+      ),
+    text
+  );
+  return identifiers.reduce(
+    (result, identifier) =>
+      result.replace(buildIdentifierPattern(identifier), REDACTION_LABELS.identifier),
+    redacted
+  );
+}
+
+/**
+ * The candidate's own identifying values, to find them wherever they are repeated
+ * @param {object} personal - extracted_data.personal
+ * @returns {Array<string>} Name, email, phone and LinkedIn handle that were found
+ */
+export function getPersonalIdentifiers(personal) {
+  if (!personal) {
+    return [];
+  }
+  const handle = (personal.linkedin_url || '').match(/\/in\/([\w-]+)/)?.[1];
+  return [personal.name, personal.email, personal.phone, handle].filter(
+    (value) =>
+      typeof value === 'string' &&
+      value.trim().length >= 3 &&
+      value !== 'Unknown' &&
+      !value.startsWith('sha256:')
+  );
+}
+
+/**
+ * Drop search terms that contain personal data; used for every provider query
+ * @param {Array<string>} terms - Keywords or industries
+ * @param {Array<string>} identifiers - The candidate's own values
+ * @returns {Array<string>}
+ */
+export function filterSearchTerms(terms, identifiers = []) {
+  return (terms || []).filter(
+    (term) => typeof term === 'string' && findPII(term, identifiers).length === 0
+  );
+}
+
+/**
+ * Check an outbound provider request for personal data
+ * The URL (search parameters decoded, credentials left out) and body are checked;
+ * headers only carry credentials
+ * @param {{url: string, init: object}|null} request - From a linkedin.js request builder
+ * @param {Array<string>} identifiers - The candidate's own values
+ * @returns {Array<{type: string, value: string}>} Empty when the request is clean
+ */
+export function findPIIInRequest(request, identifiers = []) {
+  if (!request) {
+    return [];
+  }
+  const body = typeof request.init?.body === 'string' ? request.init.body : '';
+  return findPII(`${getRequestURLText(request.url)}\n${decode(body)}`, identifiers);
+}
+
+/**
+ * Redact or hash the personal identifiers in extracted_data before it is persisted
+ * Contact details are removed (redact) or replaced by a SHA-256 hash salted with `salt`
+ * (hash), so the same value can still be recognised without being stored. Emails, phone
+ * numbers, profile URLs and the candidate's identifiers are redacted from all text, and
+ * from the original JSON Resume document
+ * @param {object} extractedData - extracted_data from the parser
+ * @param {object} options
+ * @param {string} options.mode - One of PRIVACY_MODES (default: VITE_PRIVACY_MODE, off)
+ * @param {string} options.salt - Hash salt, e.g. the user id
+ * @returns {Promise<{extractedData, error}>} extractedData.privacy records the mode and the
+ *   protected fields
+ */
+export async function protectExtractedData(extractedData, { mode = PRIVACY_MODE, salt = '' } = {}) {
+  if (!Object.values(PRIVACY_MODES).includes(mode)) {
+    return { extractedData: null, error: new Error(`Unknown privacy mode: ${mode}`) };
+  }
+  // Already protected data is stored as it is
+  if (!extractedData || mode === PRIVACY_MODES.OFF || extractedData.privacy) {
+    return { extractedData, error: null };
+  }
+
+  try {
+    const personal = extractedData.personal || {};
+    const identifiers = getPersonalIdentifiers(personal);
+    const fields = PERSONAL_FIELDS.filter((field) => personal[field]);
+    const values = await Promise.all(
+      fields.map((field) =>
+        mode === PRIVACY_MODES.HASH
+          ? hashIdentifier(normalizeIdentifier(field, personal[field]), salt)
+          : null
+      )
+    );
+
+    const { json_resume: resume, ...data } = extractedData;
+    const redacted = redactValues(data, identifiers);
+    fields.forEach((field, index) => {
+      redacted.personal[field] = values[index];
+    });
+    if (resume) {
+      redacted.json_resume = redactValues(removeResumeIdentifiers(resume), identifiers);
+    }
+    redacted.privacy = { mode, fields };
+
+    return { extractedData: redacted, error: null };
+  } catch (err) {
+    return { extractedData: null, error: new Error(`Redacting CV data failed: ${err.message}`) };
+  }
+}
+
+// 9-15 digits, and not a run of years ("2015 - 2019 2021")
+function isPhoneNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 9 || digits.length > 15) {
+    return false;
+  }
+  return !value
+    .split(/\D+/)
+    .filter(Boolean)
+    .every((group) => /^(?:19|20)\d\d$/.test(group));
+}
+
+// Whole-word, case-insensitive, any whitespace between words
+function buildIdentifierPattern(identifier) {
+  const escaped = identifier
+    .trim()
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function redactValues(value, identifiers) {
+  if (typeof value === 'string') {
+    return redactText(value, identifiers);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValues(item, identifiers));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redactValues(item, identifiers)])
+    );
+  }
+  return value;
+}
+
+// Referees are other people's personal data; the address is more than matching needs
+function removeResumeIdentifiers(resume) {
+  const rest = { ...resume };
+  delete rest.references;
+  const basics = Object.fromEntries(
+    Object.entries(resume.basics || {}).filter(([key]) => !RESUME_IDENTIFIERS.includes(key))
+  );
+  if (basics.location) {
+    basics.location = { ...basics.location, address: undefined, postalCode: undefined };
+  }
+  return resume.basics ? { ...rest, basics } : rest;
+}
+
+// Same person, same hash: "J.Doe@Example.com " and "j.doe@example.com" are one value
+function normalizeIdentifier(field, value) {
+  const text = String(value).trim().toLowerCase();
+  if (field === 'phone') {
+    return text.replace(/[^\d+]/g, '');
+  }
+  if (field === 'linkedin_url') {
+    return text.replace(/^https?:\/\/(?:www\.)?/, '').replace(/\/+$/, '');
+  }
+  return text.replace(/\s+/g, ' ');
+}
+
+async function hashIdentifier(value, salt) {
+  const bytes = new TextEncoder().encode(`${salt}:${value}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hex = [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0'));
+  return `sha256:${hex.join('')}`;
+}
+
+function getRequestURLText(url) {
+  try {
+    const parsed = new URL(url);
+    CREDENTIAL_PARAMS.forEach((param) => parsed.searchParams.delete(param));
+    return decode(parsed.toString());
+  } catch {
+    return decode(url || '');
+  }
+}
+
+// Provider URLs nest a search URL inside a query parameter, so decode twice
+function decode(text) {
+  let decoded = text;
+  for (let pass = 0; pass < 2; pass += 1) {
+    try {
+      decoded = decodeURIComponent(decoded.replace(/\+/g, ' '));
+    } catch {
+      return decoded;
+    }
+  }
+  return decoded;
+}
+
+export default {
+  findPII,
+  redactText,
+  getPersonalIdentifiers,
+  filterSearchTerms,
+  findPIIInRequest,
+  protectExtractedData,
+  PRIVACY_MODE,
+};
@@ -0,0 +1,170 @@
+/**
+ * Skill Proficiency Service
+ * Attaches evidence (sections and experience entries mentioning a skill),
+ * years of use and an inferred proficiency level to extracted skills
+ */
+
+import { PROFICIENCY_LEVELS, PROFICIENCY_WEIGHTS, CV_SECTIONS } from '../utils/constants.js';
+import { findSkills } from '../utils/skills.js';
+import { parseDate } from '../utils/dates.js';
+
+/**
+ * Enrich skills with evidence, years of use and proficiency
+ * Without segments the skills come from a list (JSON Resume, LinkedIn export, a
+ * correction) and all count as listed, as if named in a Skills section
+ * @param {Array<object>} skills - Skills from extractSkills
+ * @param {Array<object>} experience - Entries from extractExperience
+ * @param {object} segments - Result of segmentCV
+ * @param {object} options
+ * @param {Date} options.now - Reference date for current roles (default: today)
+ * @returns {Array<object>} Skills with mentions, evidence, years_of_use and proficiency
+ */
+export function enrichSkills(skills, experience = [], segments = null, { now = new Date() } = {}) {
+  const sectionMentions = collectSectionMentions(segments);
+  const experienceMentions = (experience || []).map((entry) =>
+    findSkills(`${entry.job_title || ''}\n${entry.description || ''}`)
+  );
+
+  return (skills || []).map((skill) => {
+    const sections = sectionMentions
+      .filter(({ found }) => found.has(skill.name))
+      .map(({ section }) => section);
+
+    const entryIndexes = [];
+    experienceMentions.forEach((found, index) => {
+      if (found.some((s) => s.name === skill.name)) {
+        entryIndexes.push(index);
+      }
+    });
+
+    const sectionTotal = sectionMentions.reduce(
+      (total, { found }) => total + (found.get(skill.name) || 0),
+      0
+    );
+    const mentions = Math.max(sectionTotal, 1);
+
+    const yearsOfUse = calculateYearsOfUse(
+      entryIndexes.map((index) => experience[index]),
+      now
+    );
+
+    return {
+      ...skill,
+      mentions,
+      evidence: {
+        sections: [...new Set(sections)],
+        experience: entryIndexes.map((index) => ({
+          index,
+          job_title: experience[index].job_title,
+          company: experience[index].company,
+        })),
+      },
+      years_of_use: yearsOfUse,
+      proficiency: inferProficiency({
+        yearsOfUse,
+        experienceCount: entryIndexes.length,
+        mentions,
+        listed: !segments || sections.includes(CV_SECTIONS.SKILLS),
+      }),
+    };
+  });
+}
+
+/**
+ * Infer a proficiency level from usage signals
+ * @param {object} signals
+ * @param {number} signals.yearsOfUse - Years across experience entries using the skill
+ * @param {number} signals.experienceCount - Number of experience entries mentioning it
+ * @param {number} signals.mentions - Total mentions across the CV
+ * @param {boolean} signals.listed - Named in a Skills section; a skill the candidate
+ *   chose to list is at least intermediate, even when no job description mentions it
+ * @returns {string} Level from PROFICIENCY_LEVELS
+ */
+export function inferProficiency({
+  yearsOfUse = 0,
+  experienceCount = 0,
+  mentions = 0,
+  listed = false,
+}) {
+  if (yearsOfUse >= 6 || (yearsOfUse >= 4 && experienceCount >= 3)) {
+    return PROFICIENCY_LEVELS.EXPERT;
+  }
+  if (yearsOfUse >= 3) {
+    return PROFICIENCY_LEVELS.ADVANCED;
+  }
+  if (yearsOfUse >= 1 || experienceCount >= 1 || mentions >= 3 || listed) {
+    return PROFICIENCY_LEVELS.INTERMEDIATE;
+  }
+  return PROFICIENCY_LEVELS.BEGINNER;
+}
+
+/**
+ * Matching weight of a skill, so strong skills count more than passing mentions
+ * Skills without a proficiency (older extractions) get the intermediate weight
+ * @param {object} skill - Extracted skill
+ * @returns {number} Weight 0.00-1.00
+ */
+export function getSkillWeight(skill) {
+  return (
+    PROFICIENCY_WEIGHTS[skill?.proficiency] ?? PROFICIENCY_WEIGHTS[PROFICIENCY_LEVELS.INTERMEDIATE]
+  );
+}
+
+/**
+ * Years covered by a set of experience entries, counting overlapping months once
+ * @param {Array<object>} entries - Experience entries
+ * @param {Date} now - Reference date for current roles
+ * @returns {number} Years, one decimal place
+ */
+export function calculateYearsOfUse(entries, now = new Date()) {
+  const months = new Set();
+
+  (entries || []).forEach((entry) => {
+    const span = getMonthSpan(entry, now);
+    if (!span) {
+      return;
+    }
+    for (let month = span.start; month <= span.end; month++) {
+      months.add(month);
+    }
+  });
+
+  return Math.round((months.size / 12) * 10) / 10;
+}
+
+function getMonthSpan(entry, now) {
+  const start = parseDate(entry?.start_date);
+  if (!start) {
+    return null;
+  }
+
+  const nowIndex = now.getFullYear() * 12 + now.getMonth() + 1;
+  const end = entry.is_current ? null : parseDate(entry.end_date || entry.start_date);
+  const startIndex = start.year * 12 + (start.month || 1);
+  const endIndex = end ? Math.min(end.year * 12 + (end.month || 12), nowIndex) : nowIndex;
+
+  return endIndex >= startIndex ? { start: startIndex, end: endIndex } : null;
+}
+
+function collectSectionMentions(segments) {
+  if (!segments) {
+    return [];
+  }
+
+  const blocks = [
+    { section: 'header', text: segments.header },
+    ...segments.sections.map((section) => ({ section: section.type, text: section.text })),
+  ];
+
+  return blocks.map(({ section, text }) => ({
+    section,
+    found: new Map(findSkills(text).map((s) => [s.name, s.mentions])),
+  }));
+}
+
+export default {
+  enrichSkills,
+  inferProficiency,
+  getSkillWeight,
+  calculateYearsOfUse,
+};
@@ -0,0 +1,162 @@
+/**
+ * Relevance Service
+ * Offline BM25 text relevance between a CV and search results. The CV's summary and
+ * experience become a weighted query; the result set (company descriptions,
+ * profile headlines) is indexed locally in an inverted index, so term rarity is judged
+ * against the other results rather than a fixed dictionary. Nothing leaves the browser.
+ */
+
+// BM25 term-frequency saturation and document-length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Raw BM25 score that maps to 0.50. Scores use an absolute scale rather than the best
+// result's, so one shared word stays low even when every other result shares nothing
+const RELEVANCE_HALF_SCORE = 4;
+
+// Matched terms kept as evidence per document
+const MAX_EVIDENCE_TERMS = 5;
+
+const STOP_WORDS = new Set(
+  (
+    'a about above after all also am an and any are as at be been being both but by can ' +
+    'could did do does doing during each few for from further had has have having he her ' +
+    'here hers him his how i if in into is it its itself just me more most my no nor not ' +
+    'of off on once only or other our ours out over own same she should so some such than ' +
+    'that the their theirs them then there these they this those through to too under ' +
+    'until up very was we were what when where which while who whom why will with would ' +
+    'you your yours etc including within across via per using used new work working ' +
+    'worked company team role years year experience'
+  ).split(' ')
+);
+
+/**
+ * Split text into index terms
+ * Lowercased; keeps tech names whole (c++, c#, node.js), drops stop words and single
+ * characters, and folds plain plurals ("services" -> "service")
+ * @param {string} text
+ * @returns {Array<string>} Terms, in order, with repeats
+ */
+export function tokenize(text) {
+  return splitWords(text).map(([term]) => term);
+}
+
+// [term, word as written] pairs; the word is what evidence shows ("kubernetes", not "kubernete")
+function splitWords(text) {
+  return ((text || '').match(/[\p{L}\p{N}][\p{L}\p{N}+#.]*/gu) || [])
+    .map((word) => word.replace(/\.+$/, ''))
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word.toLowerCase()))
+    .map((word) => {
+      const token = word.toLowerCase();
+      const plural = /^[\p{L}]{4,}s$/u.test(token) && !token.endsWith('ss');
+      return [plural ? token.slice(0, -1) : token, word];
+    });
+}
+
+/**
+ * Build the weighted query for a CV
+ * Summary and experience text count each mention; repeats are damped logarithmically so
+ * one long job description cannot dominate. The skills list is left out: the matcher's
+ * skills component already scores it, and counting it here as well scored a shared
+ * skill twice
+ * @param {object} cvData - Extracted CV data
+ * @returns {Map<string, number>} term -> query weight
+ */
+export function buildRelevanceQuery(cvData) {
+  const counts = new Map();
+  const add = (text, weight) => {
+    tokenize(text).forEach((term) => counts.set(term, (counts.get(term) || 0) + weight));
+  };
+
+  add(cvData?.summary, 1);
+  (cvData?.experience || []).forEach((exp) => {
+    add(exp.job_title, 1);
+    add(exp.description, 1);
+  });
+
+  return new Map([...counts].map(([term, count]) => [term, Math.log1p(count)]));
+}
+
+/**
+ * Index a result set
+ * @param {Array<string>} documents - One text per result, e.g. a company description
+ * @returns {{postings: Map<string, Map<number, number>>, words: Map<string, string>,
+ *   lengths: Array<number>, averageLength: number}} postings maps term -> document index ->
+ *   term frequency; words maps each term to how it was first written
+ */
+export function createRelevanceIndex(documents) {
+  const postings = new Map();
+  const words = new Map();
+  const lengths = documents.map((document, index) => {
+    const terms = splitWords(document);
+    terms.forEach(([term, word]) => {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+        words.set(term, word);
+      }
+      const frequencies = postings.get(term);
+      frequencies.set(index, (frequencies.get(index) || 0) + 1);
+    });
+    return terms.length;
+  });
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+
+  return { postings, words, lengths, averageLength };
+}
+
+/**
+ * BM25-score every indexed document against a query
+ * The raw score is squashed into 0.00-1.00 as raw / (raw + RELEVANCE_HALF_SCORE): a single
+ * shared word scores around 0.25, several rare shared terms 0.65 and up
+ * @param {object} index - From createRelevanceIndex
+ * @param {Map<string, number>} query - From buildRelevanceQuery
+ * @returns {Array<{score: number, terms: Array<string>}>} Per document, in index order;
+ *   terms are the matched words that contributed most, as the document wrote them
+ */
+export function scoreRelevance(index, query) {
+  const { postings, words, lengths, averageLength } = index;
+  const count = lengths.length;
+  const contributions = lengths.map(() => new Map());
+
+  query.forEach((queryWeight, term) => {
+    const frequencies = postings.get(term);
+    if (!frequencies) {
+      return;
+    }
+    const idf = Math.log(1 + (count - frequencies.size + 0.5) / (frequencies.size + 0.5));
+    frequencies.forEach((frequency, document) => {
+      const lengthNorm = 1 - BM25_B + (BM25_B * lengths[document]) / (averageLength || 1);
+      const termScore = (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      contributions[document].set(term, idf * termScore * queryWeight);
+    });
+  });
+
+  return contributions.map((terms) => {
+    const raw = [...terms.values()].reduce((sum, v) => sum + v, 0);
+    return {
+      score: raw / (raw + RELEVANCE_HALF_SCORE),
+      terms: [...terms]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_EVIDENCE_TERMS)
+        .map(([term]) => words.get(term)),
+    };
+  });
+}
+
+/**
+ * Score a result set against a CV in one step
+ * @param {object} cvData - Extracted CV data
+ * @param {Array<string>} documents - One text per result
+ * @returns {Array<{score: number, terms: Array<string>}>} As from scoreRelevance
+ */
+export function scoreResultRelevance(cvData, documents) {
+  return scoreRelevance(createRelevanceIndex(documents), buildRelevanceQuery(cvData));
+}
+
+export default {
+  tokenize,
+  buildRelevanceQuery,
+  createRelevanceIndex,
+  scoreRelevance,
+  scoreResultRelevance,
+};
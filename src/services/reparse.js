@@ -0,0 +1,146 @@
+/**
+ * Re-parse Service
+ * Runs the current parser over a CV's stored file and compares the result with the
+ * saved extraction, so the user can see what a newer parser changes before keeping it.
+ * Both sides are compared with the user's corrections applied; corrections are kept.
+ */
+
+import { downloadCV } from './storage.js';
+import { parseCVInWorker } from './parsing.js';
+import { protectExtractedData } from './privacy.js';
+import { applyCorrections, getCVData } from './corrections.js';
+import { getSchemaVersion } from './schema.js';
+
+// Single-value fields compared between extractions
+const VALUE_FIELDS = [
+  ['personal.name', 'Name', (data) => data.personal?.name],
+  ['personal.email', 'Email', (data) => data.personal?.email],
+  ['personal.phone', 'Phone', (data) => data.personal?.phone],
+  ['personal.linkedin_url', 'LinkedIn', (data) => data.personal?.linkedin_url],
+  ['personal.location', 'Location', (data) => data.personal?.location],
+  ['summary', 'Summary', (data) => data.summary],
+  ['career_goals', 'Career goals', (data) => data.career_goals],
+  ['seniority', 'Seniority', (data) => data.seniority?.level],
+  ['schema_version', 'Schema version', (data) => `v${getSchemaVersion(data)}`],
+];
+
+// List fields compared entry by entry, each entry reduced to one line
+const LIST_FIELDS = [
+  ['skills', 'Skill', (skill) => skill.name],
+  [
+    'experience',
+    'Experience',
+    (exp) =>
+      `${exp.job_title}${exp.company ? ` at ${exp.company}` : ''} (${exp.start_date || '?'} - ${
+        exp.is_current ? 'Present' : exp.end_date || '?'
+      })`,
+  ],
+  [
+    'education',
+    'Education',
+    (edu) =>
+      [edu.degree, edu.field_of_study, edu.institution, edu.graduation_year]
+        .filter(Boolean)
+        .join(', '),
+  ],
+  ['certifications', 'Certification', (cert) => cert.name],
+  [
+    'languages',
+    'Language',
+    (language) => `${language.name}${language.level ? ` (${language.level})` : ''}`,
+  ],
+  ['projects', 'Project', (project) => project.name],
+  ['publications', 'Publication', (publication) => publication.title],
+  ['industries', 'Industry', (industry) => industry],
+];
+
+/**
+ * Download a CV's stored file and parse it again with the current parser
+ * Nothing is saved: the caller stores extractedData if the user keeps it
+ * @param {object} cv - cv_metadata row
+ * @param {object} options
+ * @param {Function} options.onProgress - Parsing progress (see parseCVInWorker)
+ * @param {AbortSignal} options.signal - Aborting cancels parsing
+ * @param {string} options.salt - Hash salt for privacy mode, e.g. the user id
+ * @returns {Promise<{extractedData, changes, error}>} changes as from diffExtractedData
+ */
+export async function reparseCV(cv, { onProgress, signal, salt = '' } = {}) {
+  const { blob, error: downloadError } = await downloadCV(cv.storage_path);
+  if (downloadError) {
+    return { extractedData: null, changes: [], error: downloadError };
+  }
+
+  const file = new File([blob], cv.original_filename, { type: cv.file_type || blob.type });
+  const { extractedData: parsed, error: parseError } = await parseCVInWorker(file, {
+    onProgress,
+    signal,
+  });
+  if (parseError) {
+    return { extractedData: null, changes: [], error: parseError };
+  }
+
+  const { extractedData, error: privacyError } = await protectExtractedData(parsed, { salt });
+  if (privacyError) {
+    return { extractedData: null, changes: [], error: privacyError };
+  }
+
+  const changes = diffExtractedData(
+    getCVData(cv),
+    applyCorrections(extractedData, cv.user_corrections || null)
+  );
+  return { extractedData, changes, error: null };
+}
+
+/**
+ * Compare two extractions field by field
+ * List entries are compared as one-line summaries, so an entry that changed shows as
+ * removed and added; custom extractor fields are compared per extractor
+ * @param {object} before - Saved extraction
+ * @param {object} after - New extraction
+ * @returns {Array<{field: string, label: string, before: string|null, after: string|null}>}
+ *   before is null for added entries, after is null for removed ones
+ */
+export function diffExtractedData(before, after) {
+  const previous = before || {};
+  const next = after || {};
+  const changes = [];
+
+  VALUE_FIELDS.forEach(([field, label, read]) => {
+    const from = read(previous) ?? null;
+    const to = read(next) ?? null;
+    if ((from || null) !== (to || null)) {
+      changes.push({ field, label, before: from, after: to });
+    }
+  });
+
+  LIST_FIELDS.forEach(([field, label, summarize]) => {
+    const from = (previous[field] || []).map(summarize);
+    const to = (next[field] || []).map(summarize);
+    from
+      .filter((entry) => !to.includes(entry))
+      .forEach((entry) => changes.push({ field, label, before: entry, after: null }));
+    to.filter((entry) => !from.includes(entry)).forEach((entry) =>
+      changes.push({ field, label, before: null, after: entry })
+    );
+  });
+
+  // Custom extractor fields, compared per extractor
+  const extensions = new Set([
+    ...Object.keys(previous.extensions || {}),
+    ...Object.keys(next.extensions || {}),
+  ]);
+  extensions.forEach((name) => {
+    const from = previous.extensions?.[name] ? JSON.stringify(previous.extensions[name]) : null;
+    const to = next.extensions?.[name] ? JSON.stringify(next.extensions[name]) : null;
+    if (from !== to) {
+      changes.push({ field: `extensions.${name}`, label: name, before: from, after: to });
+    }
+  });
+
+  return changes;
+}
+
+export default {
+  reparseCV,
+  diffExtractedData,
+};
@@ -0,0 +1,160 @@
+/**
+ * Extracted Data Schema Service
+ * Every extraction is stamped with schema_version (EXTRACTED_DATA_VERSION). Records
+ * written by an older parser are upgraded step by step when they are read, so pages
+ * always see the current structure; re-parsing the stored file is what refreshes the
+ * extraction itself.
+ *
+ * Versions:
+ * 1 - unversioned records from before the structure was versioned: no confidences,
+ *     highlights, seniority or industry weights, education as { degree, institution,
+ *     graduation_year }
+ * 2 - no custom extractor fields (extensions, extension_errors)
+ * 3 - current structure (see data-model.md)
+ */
+
+import { EXTRACTED_DATA_VERSION } from '../utils/constants.js';
+import { getSkill } from '../utils/skills.js';
+import { normalizeInstitution } from '../utils/institutions.js';
+import { parseDegree, parseEducation } from './education.js';
+import { classifySeniority } from './seniority.js';
+
+// Upgrades from each version to the next; keep in version order
+const MIGRATIONS = [
+  { from: 1, to: 2, migrate: migrateUnversioned },
+  { from: 2, to: 3, migrate: addExtensions },
+];
+
+/**
+ * Schema version of an extraction
+ * @param {object} extractedData
+ * @returns {number} 1 for records from before versioning
+ */
+export function getSchemaVersion(extractedData) {
+  return extractedData?.schema_version || 1;
+}
+
+/**
+ * Upgrade an extraction to EXTRACTED_DATA_VERSION
+ * Records from a newer version (written by a newer app) are returned as they are
+ * @param {object} extractedData - cv_metadata.extracted_data
+ * @returns {{extractedData, migrated: boolean, error}}
+ */
+export function migrateExtractedData(extractedData) {
+  if (!extractedData || getSchemaVersion(extractedData) >= EXTRACTED_DATA_VERSION) {
+    return { extractedData, migrated: false, error: null };
+  }
+
+  let data = extractedData;
+  try {
+    for (const { from, to, migrate } of MIGRATIONS) {
+      if (getSchemaVersion(data) === from) {
+        data = { ...migrate(data), schema_version: to };
+      }
+    }
+  } catch (err) {
+    return {
+      extractedData,
+      migrated: false,
+      error: new Error(
+        `Upgrading CV data from version ${getSchemaVersion(data)} failed: ${err.message}`
+      ),
+    };
+  }
+  return { extractedData: data, migrated: true, error: null };
+}
+
+/**
+ * Upgrade the extraction of a cv_metadata row; a record that cannot be upgraded is
+ * returned unchanged rather than failing the read
+ * @param {object} cv - cv_metadata row
+ * @returns {object} Row with extracted_data at the current version
+ */
+export function migrateCVRecord(cv) {
+  if (!cv?.extracted_data) {
+    return cv;
+  }
+  const { extractedData, migrated } = migrateExtractedData(cv.extracted_data);
+  return migrated ? { ...cv, extracted_data: extractedData } : cv;
+}
+
+/**
+ * 1 -> 2: fill in what later parsers added, from what the record already has
+ * Nothing is re-extracted: industries keep their values (weight 1 each), and fields
+ * that need the CV text (summary, highlights, confidences) stay empty until re-parsed
+ */
+function migrateUnversioned(data) {
+  const experience = (data.experience || []).map((entry) => ({
+    ...entry,
+    is_current: entry.is_current ?? false,
+  }));
+
+  return {
+    ...data,
+    personal: { location: null, ...data.personal },
+    summary: data.summary || '',
+    skills: (data.skills || []).map((skill) => {
+      const known = getSkill(skill.name);
+      return {
+        group: known?.group || null,
+        parent: known?.parent || null,
+        ...skill,
+      };
+    }),
+    experience,
+    education: (data.education || []).map(migrateEducation),
+    certifications: data.certifications || [],
+    languages: data.languages || [],
+    projects: data.projects || [],
+    publications: data.publications || [],
+    industries: data.industries || [],
+    industry_weights:
+      data.industry_weights ||
+      (data.industries || []).map((name) => ({ name, weight: 1, evidence: [] })),
+    career_goals: data.career_goals || '',
+    seniority: data.seniority || classifySeniority(experience),
+    ocr: data.ocr || null,
+  };
+}
+
+/**
+ * 2 -> 3: custom extractors had not run; re-parsing adds their fields
+ */
+function addExtensions(data) {
+  return {
+    ...data,
+    extensions: data.extensions || {},
+    extension_errors: data.extension_errors || [],
+  };
+}
+
+// The degree line and institution line were stored as found, so they parse as an entry
+function migrateEducation(education) {
+  if (education.degree_level !== undefined) {
+    return education;
+  }
+  const [parsed] = parseEducation(
+    [education.degree, education.institution].filter(Boolean).join('\n')
+  );
+  const degree = parseDegree(education.degree);
+  const graduationYear = education.graduation_year ?? parsed?.graduation_year ?? null;
+  return {
+    degree: parsed?.degree || degree.degree || null,
+    degree_level: parsed?.degree_level || degree.level,
+    field_of_study: parsed?.field_of_study || degree.field,
+    institution: education.institution || parsed?.institution || null,
+    institution_normalized: normalizeInstitution(education.institution || parsed?.institution),
+    start_year: parsed?.start_year ?? null,
+    end_year: graduationYear,
+    graduation_year: graduationYear,
+    gpa: parsed?.gpa ?? null,
+    gpa_scale: parsed?.gpa_scale ?? null,
+    honours: parsed?.honours ?? null,
+  };
+}
+
+export default {
+  getSchemaVersion,
+  migrateExtractedData,
+  migrateCVRecord,
+};
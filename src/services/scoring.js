@@ -0,0 +1,197 @@
+/**
+ * Scoring Profiles
+ * Named sets of per-component weights for the matcher. A user picks a profile and may
+ * tune its weights; the choice is saved per user (user_profiles.scoring_profile) as a
+ * scoring preference: { name, company, profile } where company/profile hold only the
+ * weights the user changed.
+ */
+
+// Components each match score is made of, each scored 0.00-1.00 by the matcher
+export const SCORING_COMPONENTS = {
+  company: ['industry', 'skills', 'relevance', 'location', 'size'],
+  profile: ['skills', 'industry', 'relevance', 'seniority', 'location'],
+};
+
+export const SCORING_COMPONENT_LABELS = {
+  industry: 'Industry',
+  skills: 'Skills',
+  relevance: 'Text relevance',
+  location: 'Location',
+  size: 'Company size',
+  seniority: 'Seniority',
+};
+
+export const SCORING_PROFILES = {
+  balanced: {
+    label: 'Balanced',
+    description: 'Industry and skills first, then location',
+    company: { industry: 0.35, skills: 0.2, relevance: 0.2, location: 0.15, size: 0.1 },
+    profile: { skills: 0.3, industry: 0.25, relevance: 0.15, seniority: 0.2, location: 0.1 },
+  },
+  relocating: {
+    label: 'Relocating',
+    description: 'Companies and people where you are moving to',
+    company: { industry: 0.15, skills: 0.15, relevance: 0.1, location: 0.5, size: 0.1 },
+    profile: { skills: 0.15, industry: 0.1, relevance: 0.1, seniority: 0.15, location: 0.5 },
+  },
+  career_switch: {
+    label: 'Career switch',
+    description: 'Skills that carry over, whatever the industry',
+    company: { industry: 0.1, skills: 0.4, relevance: 0.2, location: 0.2, size: 0.1 },
+    profile: { skills: 0.4, industry: 0.1, relevance: 0.2, seniority: 0.2, location: 0.1 },
+  },
+};
+
+export const DEFAULT_SCORING_PROFILE = 'balanced';
+
+/**
+ * Resolve a scoring preference to the weights the matcher uses
+ * Tuned weights are merged over the named profile and normalized to sum to 1; unknown
+ * names fall back to the default profile and unknown components are ignored
+ * @param {string|object|null} preference - Profile name, or { name, company, profile }
+ * @returns {{name: string, label: string, tuned: boolean, company: object, profile: object}}
+ */
+export function resolveScoringProfile(preference) {
+  const { name, company, profile } =
+    typeof preference === 'string' ? { name: preference } : preference || {};
+  const key = SCORING_PROFILES[name] ? name : DEFAULT_SCORING_PROFILE;
+  const base = SCORING_PROFILES[key];
+  const weights = {
+    company: mergeWeights(base.company, company, SCORING_COMPONENTS.company),
+    profile: mergeWeights(base.profile, profile, SCORING_COMPONENTS.profile),
+  };
+  const tuned = ['company', 'profile'].some((kind) =>
+    SCORING_COMPONENTS[kind].some((component) => weights[kind][component] !== base[kind][component])
+  );
+
+  return { name: key, label: base.label, tuned, ...weights };
+}
+
+/**
+ * Validate a scoring preference before it is saved
+ * @param {object} preference - { name, company, profile }
+ * @returns {{valid: boolean, error: string|null}}
+ */
+export function validateScoringPreference(preference) {
+  if (!preference || !SCORING_PROFILES[preference.name]) {
+    return { valid: false, error: `Unknown scoring profile: ${preference?.name}` };
+  }
+  for (const kind of ['company', 'profile']) {
+    const weights = preference[kind] || {};
+    const invalid = Object.entries(weights).find(
+      ([component, weight]) =>
+        !SCORING_COMPONENTS[kind].includes(component) ||
+        typeof weight !== 'number' ||
+        weight < 0 ||
+        weight > 1
+    );
+    if (invalid) {
+      return { valid: false, error: `Invalid ${kind} weight for ${invalid[0]}: ${invalid[1]}` };
+    }
+    const total = SCORING_COMPONENTS[kind].reduce(
+      (sum, component) =>
+        sum + (weights[component] ?? SCORING_PROFILES[preference.name][kind][component]),
+      0
+    );
+    if (total <= 0) {
+      return { valid: false, error: `At least one ${kind} weight must be above 0` };
+    }
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Build the preference to save from a profile name and the weights shown to the user
+ * Only weights that differ from the named profile are kept
+ * @param {string} name - Key of SCORING_PROFILES
+ * @param {object} weights - { company, profile } as edited
+ * @returns {object} { name, company, profile }
+ */
+export function buildScoringPreference(name, weights = {}) {
+  const base = SCORING_PROFILES[name] || SCORING_PROFILES[DEFAULT_SCORING_PROFILE];
+  const changed = (kind) =>
+    Object.fromEntries(
+      Object.entries(weights[kind] || {}).filter(
+        ([component, weight]) =>
+          SCORING_COMPONENTS[kind].includes(component) && weight !== base[kind][component]
+      )
+    );
+  return { name, company: changed('company'), profile: changed('profile') };
+}
+
+/**
+ * Break a match score down by component
+ * Each component's contribution is its score times its weight; together they add up to
+ * the match score
+ * @param {object} components - component -> { score, evidence, reason } from the matcher
+ * @param {object} weights - Resolved component weights (resolveScoringProfile)
+ * @returns {Array<{component, label, weight, score, contribution, evidence, reason}>} In
+ *   SCORING_COMPONENTS order
+ */
+export function buildScoreBreakdown(components, weights) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return Object.entries(weights).map(([component, weight]) => {
+    const { score = 0, evidence = [], reason = '' } = components[component] || {};
+    return {
+      component,
+      label: SCORING_COMPONENT_LABELS[component] || component,
+      weight,
+      score: round(score),
+      contribution: round(score * weight),
+      evidence,
+      reason,
+    };
+  });
+}
+
+/**
+ * One-sentence explanation naming only the components that added to the score,
+ * biggest contribution first. Reasons start with a common word so they can be joined
+ * @param {Array} breakdown - From buildScoreBreakdown
+ * @returns {string}
+ */
+export function explainScoreBreakdown(breakdown) {
+  const reasons = breakdown
+    .filter((entry) => entry.contribution > 0 && entry.reason)
+    .sort((a, b) => b.contribution - a.contribution)
+    .map((entry) => entry.reason);
+  if (reasons.length === 0) {
+    return 'Nothing in your CV matched.';
+  }
+  // Reasons are written to stand alone, so only the first keeps its capital
+  const rest = reasons
+    .slice(1)
+    .map((reason) => `${reason.charAt(0).toLowerCase()}${reason.slice(1)}`);
+  return `${[reasons[0], ...rest].join('; ')}.`;
+}
+
+function mergeWeights(base, overrides, components) {
+  const merged = Object.fromEntries(
+    components.map((component) => {
+      const weight = overrides?.[component];
+      return [component, typeof weight === 'number' && weight >= 0 ? weight : base[component]];
+    })
+  );
+  const total = Object.values(merged).reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    return { ...base };
+  }
+  return Object.fromEntries(
+    components.map((component) => [
+      component,
+      Math.round((merged[component] / total) * 1000) / 1000,
+    ])
+  );
+}
+
+export default {
+  resolveScoringProfile,
+  validateScoringPreference,
+  buildScoringPreference,
+  buildScoreBreakdown,
+  explainScoreBreakdown,
+  SCORING_PROFILES,
+  SCORING_COMPONENTS,
+  SCORING_COMPONENT_LABELS,
+  DEFAULT_SCORING_PROFILE,
+};
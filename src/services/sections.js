@@ -0,0 +1,182 @@
+/**
+ * CV Section Segmentation
+ * Splits raw CV text into headed sections (Summary, Experience, Education, ...)
+ * so each block can be handed to its own extractor
+ */
+
+import { CV_SECTIONS } from '../utils/constants.js';
+
+// Heading aliases per section type (matched against the whole normalized line)
+const SECTION_HEADINGS = {
+  [CV_SECTIONS.SUMMARY]: [
+    'summary', 'professional summary', 'career summary', 'executive summary', 'profile',
+    'professional profile', 'personal profile', 'about', 'about me', 'overview',
+    'career overview', 'introduction', 'personal statement',
+  ],
+  [CV_SECTIONS.OBJECTIVE]: ['objective', 'career objective', 'career goals', 'goals'],
+  [CV_SECTIONS.EXPERIENCE]: [
+    'experience', 'work experience', 'professional experience', 'employment',
+    'employment history', 'work history', 'career history', 'relevant experience',
+    'professional background', 'positions held',
+  ],
+  [CV_SECTIONS.EDUCATION]: [
+    'education', 'academic background', 'academic history', 'qualifications',
+    'academic qualifications', 'education and training', 'studies',
+  ],
+  [CV_SECTIONS.SKILLS]: [
+    'skills', 'technical skills', 'core skills', 'key skills', 'core competencies',
+    'competencies', 'expertise', 'areas of expertise', 'technologies', 'tech stack',
+    'tools and technologies', 'skills and tools', 'soft skills',
+  ],
+  [CV_SECTIONS.PROJECTS]: ['projects', 'personal projects', 'side projects', 'key projects'],
+  [CV_SECTIONS.CERTIFICATIONS]: [
+    'certifications', 'certificates', 'licenses', 'licenses and certifications',
+    'certifications and licenses', 'accreditations',
+  ],
+  [CV_SECTIONS.LANGUAGES]: ['languages', 'language skills', 'spoken languages'],
+  [CV_SECTIONS.PUBLICATIONS]: ['publications', 'papers', 'research', 'talks and publications'],
+  [CV_SECTIONS.AWARDS]: ['awards', 'honors', 'honours', 'achievements', 'awards and honors'],
+  [CV_SECTIONS.VOLUNTEERING]: ['volunteering', 'volunteer experience', 'community involvement'],
+  [CV_SECTIONS.INTERESTS]: ['interests', 'hobbies', 'hobbies and interests', 'activities'],
+  [CV_SECTIONS.REFERENCES]: ['references', 'referees'],
+  [CV_SECTIONS.CONTACT]: ['contact', 'contact details', 'contact information', 'personal details'],
+};
+
+// Reverse lookup: normalized alias -> section type
+const HEADING_LOOKUP = new Map(
+  Object.entries(SECTION_HEADINGS).flatMap(([type, aliases]) =>
+    aliases.map((alias) => [alias, type])
+  )
+);
+
+// Headings are short; anything longer is prose that happens to contain a keyword
+const MAX_HEADING_LENGTH = 40;
+
+/**
+ * Split CV text into a header block and typed sections
+ * @param {string} text - CV text
+ * @returns {{header: string, sections: Array<{type, heading, startLine, endLine, text}>}}
+ */
+export function segmentCV(text) {
+  const lines = (text || '').split('\n');
+  const sections = [];
+  let current = null;
+  const headerLines = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const heading = detectHeading(lines[i]);
+
+    if (heading) {
+      if (current) {
+        current.endLine = i - 1;
+        sections.push(finalizeSection(current));
+      }
+      current = {
+        type: heading.type,
+        heading: heading.label,
+        startLine: i,
+        endLine: lines.length - 1,
+        lines: heading.inline ? [heading.inline] : [],
+      };
+    } else if (current) {
+      current.lines.push(lines[i]);
+    } else {
+      headerLines.push(lines[i]);
+    }
+  }
+
+  if (current) {
+    sections.push(finalizeSection(current));
+  }
+
+  return {
+    header: headerLines.join('\n').trim(),
+    sections,
+  };
+}
+
+/**
+ * Detect whether a line is a section heading
+ * Supports inline content such as "Skills: JavaScript, Python"
+ * @param {string} line - Single line of CV text
+ * @returns {{type, label, inline}|null} Heading info or null
+ */
+export function detectHeading(line) {
+  const trimmed = (line || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const inlineMatch = trimmed.match(/^([^:|]{2,40})\s*[:|]\s*(.+)$/);
+  if (inlineMatch) {
+    const type = HEADING_LOOKUP.get(normalizeHeading(inlineMatch[1]));
+    if (type) {
+      return { type, label: inlineMatch[1].trim(), inline: inlineMatch[2].trim() };
+    }
+  }
+
+  if (trimmed.length > MAX_HEADING_LENGTH) {
+    return null;
+  }
+
+  const type = HEADING_LOOKUP.get(normalizeHeading(trimmed));
+  return type ? { type, label: trimmed.replace(/[:\s]+$/, ''), inline: null } : null;
+}
+
+/**
+ * Get the combined text of every section of a given type
+ * @param {object} segments - Result of segmentCV
+ * @param {string} type - Section type from CV_SECTIONS
+ * @returns {string} Section text ('' if the CV has no such section)
+ */
+export function getSectionText(segments, type) {
+  return (segments?.sections || [])
+    .filter((section) => section.type === type)
+    .map((section) => section.text)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Check whether the CV has a section of a given type
+ * @param {object} segments - Result of segmentCV
+ * @param {string} type - Section type from CV_SECTIONS
+ * @returns {boolean}
+ */
+export function hasSection(segments, type) {
+  return (segments?.sections || []).some((section) => section.type === type);
+}
+
+/**
+ * Normalize a candidate heading for alias lookup
+ * Strips bullets, numbering, decoration and letter-spacing ("E X P E R I E N C E")
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeHeading(value) {
+  let normalized = value.trim();
+
+  // Collapse letter-spaced headings
+  if (/^([A-Za-z] ){3,}[A-Za-z]$/.test(normalized)) {
+    normalized = normalized.replace(/ /g, '');
+  }
+
+  return normalized
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/^[\s\d.)\-–—•*#=_|]+/, '')
+    .replace(/[\s:.\-–—•*#=_|]+$/, '')
+    .replace(/\s+/g, ' ');
+}
+
+function finalizeSection(section) {
+  const { lines, ...rest } = section;
+  return { ...rest, text: lines.join('\n').trim() };
+}
+
+export default {
+  segmentCV,
+  detectHeading,
+  getSectionText,
+  hasSection,
+};
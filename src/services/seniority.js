@@ -0,0 +1,199 @@
+/**
+ * Seniority Service
+ * Classifies a candidate (from CV experience) or a LinkedIn profile into one of
+ * SENIORITY_LEVELS using title keywords, total tenure and people-management signals,
+ * so both sides of a match are placed on the same scale
+ */
+
+import { SENIORITY_LEVELS } from '../utils/constants.js';
+import { calculateYearsOfUse } from './proficiency.js';
+
+const { ENTRY, MID, SENIOR, LEAD, EXECUTIVE } = SENIORITY_LEVELS;
+
+// Lowest to highest; the index is the level's rank
+export const SENIORITY_ORDER = [ENTRY, MID, SENIOR, LEAD, EXECUTIVE];
+
+// Checked highest first: "Senior Director" is a lead, "Lead Intern" is still a lead
+const TITLE_PATTERNS = [
+  [
+    EXECUTIVE,
+    /\b(?:chief \w+(?: \w+)? officer|c[etfoimrp]o|cxo|(?:senior |executive )?vice president|s?e?vp|president|(?:co-?)?founder|managing director|general manager|partner at)\b/i,
+  ],
+  [
+    LEAD,
+    /\b(?:lead|principal|staff|head of|director|(?:engineering|team|development|delivery|people|department|group|practice) manager|manager of|team leader)\b/i,
+  ],
+  [SENIOR, /\b(?:senior|sr\.?|expert|architect)\b/i],
+  [
+    ENTRY,
+    /\b(?:intern(?:ship)?|junior|jr\.?|graduate|trainee|apprentice|entry[- ]level|working student|student|assistant)\b/i,
+  ],
+];
+
+// People management: "managed a team of 6", "3 direct reports", "led 12 engineers"
+const MANAGEMENT_PATTERNS = [
+  /\b(?:managed|managing|led|leading|headed|heading|supervised|supervising|grew)\s+(?:a\s+|an\s+|the\s+|my\s+)?(?:[\w-]+\s+){0,2}(?:team|teams|engineers|developers|designers|analysts|people|staff|reports|consultants)\b/i,
+  /\bteam of \d+/i,
+  /\b\d+\s+direct reports?\b|\bdirect reports\b/i,
+  /\b(?:hired|hiring|performance reviews?|line manag\w+)\b/i,
+];
+
+// Total experience (years) at which tenure alone implies each level
+const TENURE_THRESHOLDS = [
+  [SENIOR, 5],
+  [MID, 2],
+  [ENTRY, 0],
+];
+
+/**
+ * Seniority level implied by a job title alone
+ * @param {string} title - e.g. "Senior Software Engineer", "VP Engineering"
+ * @returns {string|null} Level from SENIORITY_LEVELS, or null when the title has no signal
+ *   (e.g. "Software Engineer")
+ */
+export function classifyTitle(title) {
+  const match = TITLE_PATTERNS.find(([, pattern]) => pattern.test(title || ''));
+  return match ? match[0] : null;
+}
+
+/**
+ * Classify a candidate from their CV experience
+ * Title keywords of the most recent role come first; tenure raises a title without a
+ * level ("Software Engineer" after 7 years is senior), and managing people raises
+ * 5+ years of experience to lead
+ * @param {Array<object>} experience - extracted_data.experience
+ * @param {object} options
+ * @param {Date} options.now - Reference date for current roles (default: today)
+ * @returns {{level: string, years_experience: number, title_level: string|null,
+ *   manages_people: boolean, confidence: number}}
+ */
+export function classifySeniority(experience, { now = new Date() } = {}) {
+  const entries = experience || [];
+  const latest = getLatestRole(entries);
+  const years = calculateYearsOfUse(entries, now) || sumDurationYears(entries);
+  const managesPeople = entries.some((entry) =>
+    hasManagementSignals(`${entry.job_title || ''}\n${entry.description || ''}`)
+  );
+
+  return combineSignals({
+    titleLevel: classifyTitle(latest?.job_title),
+    years,
+    managesPeople,
+    hasHistory: entries.length > 0,
+  });
+}
+
+/**
+ * Classify a LinkedIn profile (current role, headline and, when the provider returns
+ * it, experience history)
+ * @param {object} profile - Profile from LinkedIn search
+ * @param {object} options
+ * @param {Date} options.now - Reference date for current roles (default: today)
+ * @returns {{level: string|null, years_experience: number|null, title_level: string|null,
+ *   manages_people: boolean, confidence: number|null}} level is null when the profile
+ *   gives nothing to go on
+ */
+export function classifyProfileSeniority(profile, { now = new Date() } = {}) {
+  const experience = profile?.experience || [];
+  const titleLevel = classifyTitle(profile?.current_role) || classifyTitle(profile?.headline);
+  const managesPeople = hasManagementSignals(
+    [profile?.current_role, profile?.headline, ...experience.map((e) => e.description)]
+      .filter(Boolean)
+      .join('\n')
+  );
+
+  if (experience.length === 0) {
+    if (!titleLevel) {
+      return {
+        level: managesPeople ? LEAD : null,
+        years_experience: null,
+        title_level: null,
+        manages_people: managesPeople,
+        confidence: managesPeople ? 0.5 : null,
+      };
+    }
+    return {
+      level: titleLevel,
+      years_experience: null,
+      title_level: titleLevel,
+      manages_people: managesPeople,
+      confidence: 0.7,
+    };
+  }
+
+  const years = calculateYearsOfUse(experience, now) || sumDurationYears(experience);
+  return combineSignals({ titleLevel, years, managesPeople, hasHistory: true });
+}
+
+/**
+ * Distance between two levels, positive when `other` is above `level`
+ * @param {string} level
+ * @param {string} other
+ * @returns {number|null} null when either level is unknown
+ */
+export function compareSeniority(level, other) {
+  const from = SENIORITY_ORDER.indexOf(level);
+  const to = SENIORITY_ORDER.indexOf(other);
+  return from === -1 || to === -1 ? null : to - from;
+}
+
+function combineSignals({ titleLevel, years, managesPeople, hasHistory }) {
+  const tenureLevel = TENURE_THRESHOLDS.find(([, minimum]) => years >= minimum)[0];
+  let level = titleLevel || tenureLevel;
+
+  // A title without a level (or "mid") is read from tenure; entry-level titles stand
+  if (!titleLevel || titleLevel === MID) {
+    level = maxLevel(level, tenureLevel);
+  }
+  if (managesPeople && years >= 5) {
+    level = maxLevel(level, LEAD);
+  }
+
+  // Title and tenure agreeing (within one level) is the strongest evidence
+  let confidence = 0.4;
+  if (titleLevel) {
+    confidence = Math.abs(compareSeniority(titleLevel, tenureLevel)) <= 1 ? 0.85 : 0.7;
+  } else if (hasHistory) {
+    confidence = 0.6;
+  }
+
+  return {
+    level,
+    years_experience: years,
+    title_level: titleLevel,
+    manages_people: managesPeople,
+    confidence,
+  };
+}
+
+function hasManagementSignals(text) {
+  return MANAGEMENT_PATTERNS.some((pattern) => pattern.test(text || ''));
+}
+
+function getLatestRole(entries) {
+  const current = entries.find((entry) => entry.is_current);
+  if (current) {
+    return current;
+  }
+  return [...entries].sort((a, b) =>
+    String(b.end_date || b.start_date || '').localeCompare(a.end_date || a.start_date || '')
+  )[0];
+}
+
+// Entries without dates may still carry a duration
+function sumDurationYears(entries) {
+  const months = entries.reduce((total, entry) => total + (entry.duration_months || 0), 0);
+  return Math.round((months / 12) * 10) / 10;
+}
+
+function maxLevel(a, b) {
+  return SENIORITY_ORDER.indexOf(a) >= SENIORITY_ORDER.indexOf(b) ? a : b;
+}
+
+export default {
+  classifyTitle,
+  classifySeniority,
+  classifyProfileSeniority,
+  compareSeniority,
+  SENIORITY_ORDER,
+};
@@ -4,7 +4,7 @@
  */
 
 import { supabase } from './supabase.js';
-import { validateCVFile } from '../utils/validation.js';
+import { validateCVFile, getCVFileType } from '../utils/validation.js';
 
 const STORAGE_BUCKET = 'cvs';
 
@@ -27,9 +27,11 @@ export async function uploadCV(file, userId) {
     const sanitizedFilename = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
     const storagePath = `${userId}/${timestamp}_${sanitizedFilename}`;
 
-    // Upload file to Supabase Storage
+    // Upload file to Supabase Storage, under its canonical MIME type so the bucket's
+    // allowed MIME types see one type per format (not "text/rtf", "text/x-markdown"...)
     const { data, error } = await supabase.storage.from(STORAGE_BUCKET).upload(storagePath, file, {
       cacheControl: '3600',
+      contentType: getCVFileType(file),
       upsert: false, // Don't overwrite existing files
     });
 
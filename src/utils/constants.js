@@ -11,9 +11,52 @@ export const ALLOWED_FILE_TYPES = {
   PDF: 'application/pdf',
   DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
   TXT: 'text/plain',
+  RTF: 'application/rtf',
+  ODT: 'application/vnd.oasis.opendocument.text',
+  HTML: 'text/html',
+  MD: 'text/markdown',
+  JSON: 'application/json',
+  ZIP: 'application/zip', // LinkedIn data export
 };
 
-export const ALLOWED_FILE_EXTENSIONS = ['.pdf', '.docx', '.txt'];
+export const ALLOWED_FILE_EXTENSIONS = [
+  '.pdf',
+  '.docx',
+  '.txt',
+  '.rtf',
+  '.odt',
+  '.html',
+  '.htm',
+  '.md',
+  '.markdown',
+  '.json',
+  '.zip',
+];
+
+// Other MIME types browsers and operating systems report for the same formats
+export const FILE_TYPE_ALIASES = {
+  'text/rtf': ALLOWED_FILE_TYPES.RTF,
+  'application/x-rtf': ALLOWED_FILE_TYPES.RTF,
+  'application/xhtml+xml': ALLOWED_FILE_TYPES.HTML,
+  'text/x-markdown': ALLOWED_FILE_TYPES.MD,
+  'application/x-zip-compressed': ALLOWED_FILE_TYPES.ZIP,
+  'application/x-zip': ALLOWED_FILE_TYPES.ZIP,
+};
+
+// File type by extension, used when the browser reports no type or a generic one
+export const FILE_EXTENSION_TYPES = {
+  '.pdf': ALLOWED_FILE_TYPES.PDF,
+  '.docx': ALLOWED_FILE_TYPES.DOCX,
+  '.txt': ALLOWED_FILE_TYPES.TXT,
+  '.rtf': ALLOWED_FILE_TYPES.RTF,
+  '.odt': ALLOWED_FILE_TYPES.ODT,
+  '.html': ALLOWED_FILE_TYPES.HTML,
+  '.htm': ALLOWED_FILE_TYPES.HTML,
+  '.md': ALLOWED_FILE_TYPES.MD,
+  '.markdown': ALLOWED_FILE_TYPES.MD,
+  '.json': ALLOWED_FILE_TYPES.JSON,
+  '.zip': ALLOWED_FILE_TYPES.ZIP,
+};
 
 // Parsing Status
 export const PARSING_STATUS = {
@@ -23,6 +66,21 @@ export const PARSING_STATUS = {
   FAILED: 'failed',
 };
 
+// Parsing Stages (reported as progress while a CV is parsed)
+export const PARSING_STAGES = {
+  READING: 'reading',
+  EXTRACTING: 'extracting',
+  OCR: 'ocr',
+  ANALYZING: 'analyzing',
+  COMPLETE: 'complete',
+};
+
+// Version of the extracted_data structure; bump it with a migration in services/schema.js
+export const EXTRACTED_DATA_VERSION = 3;
+
+// Parsing is abandoned after this long so a huge or malformed file can't hang the page
+export const PARSING_TIMEOUT_MS = 2 * 60 * 1000; // 2 minutes (OCR of scanned pages is slow)
+
 // Search Types
 export const SEARCH_TYPES = {
   COMPANY: 'company',
@@ -63,6 +121,59 @@ export const SKILL_CATEGORIES = {
   SOFT: 'soft',
 };
 
+// Degree Levels (education entries; highest first)
+export const DEGREE_LEVELS = {
+  DOCTORATE: 'doctorate',
+  MASTER: 'master',
+  BACHELOR: 'bachelor',
+  ASSOCIATE: 'associate',
+  DIPLOMA: 'diploma', // Certificates and (postgraduate) diplomas
+  SECONDARY: 'secondary',
+};
+
+// Spoken Language Levels (CEFR and LinkedIn proficiencies are mapped onto these)
+export const LANGUAGE_LEVELS = {
+  NATIVE: 'native',
+  FLUENT: 'fluent',
+  PROFESSIONAL: 'professional',
+  CONVERSATIONAL: 'conversational',
+  BASIC: 'basic',
+};
+
+// Skill Proficiency Levels (inferred from years of use and evidence)
+export const PROFICIENCY_LEVELS = {
+  BEGINNER: 'beginner',
+  INTERMEDIATE: 'intermediate',
+  ADVANCED: 'advanced',
+  EXPERT: 'expert',
+};
+
+// Matching weight per proficiency level
+export const PROFICIENCY_WEIGHTS = {
+  beginner: 0.3,
+  intermediate: 0.6,
+  advanced: 0.85,
+  expert: 1.0,
+};
+
+// CV Section Types (see services/sections.js)
+export const CV_SECTIONS = {
+  SUMMARY: 'summary',
+  OBJECTIVE: 'objective',
+  EXPERIENCE: 'experience',
+  EDUCATION: 'education',
+  SKILLS: 'skills',
+  PROJECTS: 'projects',
+  CERTIFICATIONS: 'certifications',
+  LANGUAGES: 'languages',
+  PUBLICATIONS: 'publications',
+  AWARDS: 'awards',
+  VOLUNTEERING: 'volunteering',
+  INTERESTS: 'interests',
+  REFERENCES: 'references',
+  CONTACT: 'contact',
+};
+
 // Seniority Levels
 export const SENIORITY_LEVELS = {
   ENTRY: 'entry',
@@ -84,7 +195,8 @@ export const COMPANY_SIZES = [
   '10000+',
 ];
 
-// Common Industries (sample list, extend as needed)
+// Top-level industries; sub-industries (SaaS, Fintech...) and inference vocabulary live in
+// utils/industries.js
 export const INDUSTRIES = [
   'Technology',
   'Finance',
@@ -107,14 +219,24 @@ export const INDUSTRIES = [
 export const LINKEDIN_API_RATE_LIMIT = 100; // requests per day for free tier
 export const API_TIMEOUT_MS = 10000; // 10 seconds
 
+// How personal identifiers in extracted_data are persisted (VITE_PRIVACY_MODE)
+export const PRIVACY_MODES = {
+  OFF: 'off', // stored as parsed
+  REDACT: 'redact', // removed
+  HASH: 'hash', // replaced by a salted SHA-256 hash
+};
+
 // UI Messages
 export const MESSAGES = {
   UPLOAD_SUCCESS: 'CV uploaded successfully! Analysis in progress...',
   UPLOAD_ERROR: 'Failed to upload CV. Please try again.',
   PARSING_SUCCESS: 'CV analyzed successfully!',
   PARSING_ERROR: 'Failed to analyze CV. Please try a different file.',
+  PARSING_CANCELLED: 'CV analysis cancelled.',
+  PARSING_TIMEOUT: `CV analysis took longer than ${PARSING_TIMEOUT_MS / 60000} minutes and was stopped. Please try a smaller or text-based file.`,
   FILE_TOO_LARGE: `File size exceeds ${MAX_CV_SIZE_MB}MB limit. Please compress or split your file.`,
-  INVALID_FILE_TYPE: 'Unsupported file type. Please upload a PDF, DOCX, or TXT file.',
+  INVALID_FILE_TYPE:
+    'Unsupported file type. Please upload a PDF, DOCX, ODT, RTF, HTML, Markdown, TXT, JSON Resume, or LinkedIn data export (ZIP) file.',
   AUTH_ERROR: 'Authentication failed. Please check your credentials.',
   NETWORK_ERROR: 'Network error. Please check your connection and try again.',
   RATE_LIMIT_EXCEEDED: 'Daily search limit reached. Upgrade to premium for unlimited searches.',
@@ -155,7 +277,12 @@ export default {
   MAX_CV_SIZE_MB,
   ALLOWED_FILE_TYPES,
   ALLOWED_FILE_EXTENSIONS,
+  FILE_TYPE_ALIASES,
+  FILE_EXTENSION_TYPES,
   PARSING_STATUS,
+  PARSING_STAGES,
+  EXTRACTED_DATA_VERSION,
+  PARSING_TIMEOUT_MS,
   SEARCH_TYPES,
   SUBSCRIPTION_TIERS,
   FREE_TIER_DAILY_SEARCHES,
@@ -165,11 +292,17 @@ export default {
   MAX_PAGE_SIZE,
   LINKEDIN_PATTERNS,
   SKILL_CATEGORIES,
+  DEGREE_LEVELS,
+  LANGUAGE_LEVELS,
+  PROFICIENCY_LEVELS,
+  PROFICIENCY_WEIGHTS,
+  CV_SECTIONS,
   SENIORITY_LEVELS,
   COMPANY_SIZES,
   INDUSTRIES,
   LINKEDIN_API_RATE_LIMIT,
   API_TIMEOUT_MS,
+  PRIVACY_MODES,
   MESSAGES,
   STORAGE_KEYS,
   DEBOUNCE_DELAYS,
@@ -0,0 +1,85 @@
+/**
+ * CSV Utilities
+ * RFC 4180 parsing (quoted fields, escaped quotes, line breaks inside quotes)
+ * for the CSV files in LinkedIn data exports
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV source
+ * @returns {Array<Array<string>>} Rows; blank lines are skipped
+ */
+export function parseCSV(text) {
+  const source = (text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into objects keyed by header
+ * Some exports put notes above the header row, so the header is the first row
+ * containing the given column
+ * @param {string} text - CSV source
+ * @param {string} headerColumn - A column name that identifies the header row
+ * @returns {Array<object>} Records with trimmed values
+ */
+export function parseCSVRecords(text, headerColumn) {
+  const rows = parseCSV(text);
+  const headerIndex = rows.findIndex((cells) =>
+    cells.some((cell) => cell.trim().toLowerCase() === headerColumn.toLowerCase())
+  );
+  if (headerIndex === -1) {
+    return [];
+  }
+
+  const header = rows[headerIndex].map((cell) => cell.trim());
+  return rows
+    .slice(headerIndex + 1)
+    .map((cells) =>
+      Object.fromEntries(header.map((column, index) => [column, (cells[index] || '').trim()]))
+    );
+}
+
+export default {
+  parseCSV,
+  parseCSVRecords,
+};
@@ -0,0 +1,240 @@
+/**
+ * Date Range Utilities
+ * Month-precision parsing of CV date ranges ("Mar 2021 – Present", "03/2019 - 2020-11",
+ * "Jan '19 – 06/21")
+ */
+
+const MONTHS = {
+  jan: 1,
+  january: 1,
+  feb: 2,
+  february: 2,
+  mar: 3,
+  march: 3,
+  apr: 4,
+  april: 4,
+  may: 5,
+  jun: 6,
+  june: 6,
+  jul: 7,
+  july: 7,
+  aug: 8,
+  august: 8,
+  sep: 9,
+  sept: 9,
+  september: 9,
+  oct: 10,
+  october: 10,
+  nov: 11,
+  november: 11,
+  dec: 12,
+  december: 12,
+};
+
+const MONTH_PATTERN =
+  'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+// A single date: "March 2021", "Mar. 2021", "Mar '21", "03/2021", "3.2021", "2021-03", "2021"
+const DATE_PATTERN = `(?:(?:${MONTH_PATTERN})\\.?,?\\s+(?:19|20)\\d{2}|(?:${MONTH_PATTERN})\\.?\\s*['\u2019]\\d{2}(?!\\d)|\\d{1,2}[/.-](?:19|20)\\d{2}|(?:19|20)\\d{2}[/.-]\\d{1,2}(?!\\d)|(?:19|20)\\d{2})`;
+
+// Either end of a range may also be "03/21": alone it reads as a day or a fraction
+const RANGE_DATE_PATTERN = `(?:${DATE_PATTERN}|(?<![\\d/])\\d{1,2}/\\d{2}(?![\\d/]))`;
+
+// Open-ended range terminators
+const PRESENT_PATTERN = 'present|current(?:ly)?|now|today|date|ongoing';
+
+// Hyphen, en dash, em dash, figure dash, horizontal bar, minus sign, tilde, or words
+const SEPARATOR_PATTERN = '\\s*(?:-{1,2}|[\\u2010-\\u2015\\u2212~]|to|until|till|through)\\s*';
+
+const RANGE_REGEX = new RegExp(
+  `(${RANGE_DATE_PATTERN})${SEPARATOR_PATTERN}(${RANGE_DATE_PATTERN}|${PRESENT_PATTERN})\\b`,
+  'gi'
+);
+const SINCE_REGEX = new RegExp(`\\b(?:since|from)\\s+(${DATE_PATTERN})\\b`, 'gi');
+const SINGLE_DATE_REGEX = new RegExp(`(?<![\\d/.-])(${DATE_PATTERN})(?![\\d/])`, 'gi');
+const PRESENT_REGEX = new RegExp(`^(?:${PRESENT_PATTERN})$`, 'i');
+
+/**
+ * Parse a single date token
+ * Two-digit years ("Mar '21", "03/21") are taken as this century unless that is in the
+ * future
+ * @param {string} token - e.g. "Mar 2021", "03/2021", "2021-03", "2021", "Mar '21"
+ * @param {object} options
+ * @param {Date} options.now - Reference date for two-digit years (default: today)
+ * @returns {{year: number, month: number|null}|null} Month is null for year-only dates
+ */
+export function parseDate(token, { now = new Date() } = {}) {
+  const value = (token || '')
+    .trim()
+    .toLowerCase()
+    .replace(/([a-z])[.,]+/g, '$1');
+
+  let match = value.match(/^([a-z]+)\s+(\d{4})$/);
+  if (match) {
+    const month = MONTHS[match[1]];
+    return month ? { year: parseInt(match[2]), month } : null;
+  }
+
+  match = value.match(/^([a-z]+)\s*['\u2019](\d{2})$/);
+  if (match) {
+    const month = MONTHS[match[1]];
+    return month ? { year: expandYear(parseInt(match[2]), now), month } : null;
+  }
+
+  match = value.match(/^(\d{1,2})\/(\d{2})$/);
+  if (match) {
+    return toDate(expandYear(parseInt(match[2]), now), parseInt(match[1]));
+  }
+
+  match = value.match(/^(\d{1,2})[/.-](\d{4})$/);
+  if (match) {
+    return toDate(parseInt(match[2]), parseInt(match[1]));
+  }
+
+  match = value.match(/^(\d{4})[/.-](\d{1,2})$/);
+  if (match) {
+    return toDate(parseInt(match[1]), parseInt(match[2]));
+  }
+
+  match = value.match(/^(\d{4})$/);
+  if (match) {
+    return { year: parseInt(match[1]), month: null };
+  }
+
+  return null;
+}
+
+/**
+ * Find every date range in a block of text
+ * @param {string} text - Text to scan
+ * @param {object} options
+ * @param {Date} options.now - Reference date for open-ended ranges (default: today)
+ * @returns {Array<object>} Ranges (see parseDateRange) with index/raw of each match
+ */
+export function findDateRanges(text, { now = new Date() } = {}) {
+  const ranges = [];
+
+  for (const match of (text || '').matchAll(RANGE_REGEX)) {
+    const range = buildRange(match[1], match[2], now);
+    if (range) {
+      ranges.push({ ...range, index: match.index, raw: match[0] });
+    }
+  }
+
+  for (const match of (text || '').matchAll(SINCE_REGEX)) {
+    const overlaps = ranges.some(
+      (r) => match.index < r.index + r.raw.length && r.index < match.index + match[0].length
+    );
+    const range = overlaps ? null : buildRange(match[1], 'present', now);
+    if (range) {
+      ranges.push({ ...range, index: match.index, raw: match[0] });
+    }
+  }
+
+  return ranges.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Parse the first date range in a line of text
+ * Falls back to a single date (start = end) when no range is present
+ * @param {string} text - Text containing a date or date range
+ * @param {object} options
+ * @param {Date} options.now - Reference date for open-ended ranges (default: today)
+ * @param {boolean} options.allowSingle - Accept a lone date as a zero-length range (default: true)
+ * @returns {{start, end, isCurrent, startDate, endDate, durationMonths, index, raw}|null}
+ */
+export function parseDateRange(text, { now = new Date(), allowSingle = true } = {}) {
+  const [range] = findDateRanges(text, { now });
+  if (range) {
+    return range;
+  }
+
+  if (!allowSingle) {
+    return null;
+  }
+
+  SINGLE_DATE_REGEX.lastIndex = 0;
+  const match = SINGLE_DATE_REGEX.exec(text || '');
+  if (!match) {
+    return null;
+  }
+
+  const single = buildRange(match[1], match[1], now);
+  return single ? { ...single, index: match.index, raw: match[0] } : null;
+}
+
+/**
+ * Count months covered by a range, inclusive of both end months
+ * Year-only starts are taken as January and year-only ends as December
+ * @param {{year, month}} start
+ * @param {{year, month}} end
+ * @returns {number} Months (0 if end precedes start)
+ */
+export function monthsBetween(start, end) {
+  if (!start || !end) {
+    return 0;
+  }
+  const startIndex = start.year * 12 + (start.month || 1);
+  const endIndex = end.year * 12 + (end.month || 12);
+  return Math.max(endIndex - startIndex + 1, 0);
+}
+
+/**
+ * Format a parsed date as "YYYY-MM" (or "YYYY" for year-only dates)
+ * @param {{year, month}} date
+ * @returns {string|null}
+ */
+export function formatYearMonth(date) {
+  if (!date) {
+    return null;
+  }
+  return date.month ? `${date.year}-${String(date.month).padStart(2, '0')}` : `${date.year}`;
+}
+
+function buildRange(startToken, endToken, now) {
+  const start = parseDate(startToken, { now });
+  const isCurrent = PRESENT_REGEX.test(endToken.trim());
+  const end = isCurrent
+    ? { year: now.getFullYear(), month: now.getMonth() + 1 }
+    : parseDate(endToken, { now });
+  if (!start || !end) {
+    return null;
+  }
+
+  const endsBeforeStart =
+    end.year < start.year ||
+    (end.year === start.year && start.month && end.month && start.month > end.month);
+  if (endsBeforeStart) {
+    return null;
+  }
+
+  // A year-only end in the current year has not reached December yet
+  const effectiveEnd =
+    !end.month && end.year === now.getFullYear() ? { ...end, month: now.getMonth() + 1 } : end;
+
+  return {
+    start,
+    end,
+    isCurrent,
+    startDate: formatYearMonth(start),
+    endDate: isCurrent ? null : formatYearMonth(end),
+    durationMonths: monthsBetween(start, effectiveEnd),
+  };
+}
+
+function expandYear(twoDigits, now) {
+  const year = 2000 + twoDigits;
+  return year > now.getFullYear() ? year - 100 : year;
+}
+
+function toDate(year, month) {
+  return month >= 1 && month <= 12 ? { year, month } : null;
+}
+
+export default {
+  parseDate,
+  parseDateRange,
+  findDateRanges,
+  monthsBetween,
+  formatYearMonth,
+};
@@ -0,0 +1,488 @@
+/**
+ * Industry Taxonomy
+ * The one industry list used across the app: the top-level INDUSTRIES from
+ * constants.js plus sub-industries (Fintech, SaaS...) that roll up into them,
+ * and weighted inference of a candidate's industries from employers, job titles,
+ * domain vocabulary and skills
+ */
+
+import { INDUSTRIES } from './constants.js';
+
+/**
+ * Taxonomy entries
+ * - parent: top-level industry a sub-industry rolls up into
+ * - aliases: ways the industry itself is named ("financial services", "banking")
+ * - keywords: domain vocabulary that suggests the industry ("underwriting", "KYC")
+ * - titles: job titles that are only held in the industry ("nurse", "solicitor")
+ * - employers: well-known companies in the industry, matched against employer names
+ * - skills / skillGroups: taxonomy skills (or skill groups) that suggest the industry
+ */
+const INDUSTRY_TAXONOMY = [
+  {
+    name: 'Technology',
+    aliases: [
+      'technology', 'tech', 'software', 'information technology', 'it services', 'internet',
+    ],
+    keywords: [
+      'software development', 'cloud infrastructure', 'developer tools', 'machine learning',
+      'artificial intelligence', 'microservices', 'api',
+    ],
+    employers: [
+      'Google', 'Alphabet', 'Microsoft', 'Apple', 'Meta', 'Facebook', 'Amazon', 'IBM', 'Oracle',
+      'SAP', 'Intel', 'Nvidia', 'Adobe', 'Cisco', 'GitHub', 'OpenAI',
+    ],
+    skillGroups: ['language', 'framework', 'cloud', 'devops', 'database'],
+  },
+  {
+    name: 'SaaS',
+    parent: 'Technology',
+    aliases: ['saas', 'software as a service', 'b2b software'],
+    keywords: [
+      'subscription', 'multi-tenant', 'churn', 'arr', 'mrr', 'self-serve', 'customer success',
+    ],
+    employers: [
+      'Salesforce', 'Atlassian', 'HubSpot', 'Slack', 'Zendesk', 'Workday', 'ServiceNow', 'Datadog',
+      'Snowflake', 'Notion', 'Twilio', 'Intercom',
+    ],
+  },
+  {
+    name: 'Cybersecurity',
+    parent: 'Technology',
+    aliases: ['cybersecurity', 'cyber security', 'information security', 'infosec'],
+    keywords: [
+      'penetration testing', 'threat detection', 'siem', 'soc', 'vulnerability', 'zero trust',
+      'incident response',
+    ],
+    employers: [
+      'CrowdStrike', 'Palo Alto Networks', 'Okta', 'Cloudflare', 'Fortinet', 'SentinelOne',
+    ],
+    skills: ['Security'],
+  },
+  {
+    name: 'Finance',
+    aliases: [
+      'finance', 'financial services', 'banking', 'investment banking', 'asset management',
+      'capital markets', 'wealth management', 'accounting',
+    ],
+    keywords: [
+      'trading', 'risk management', 'credit risk', 'hedge fund', 'equities', 'fixed income', 'aml',
+      'basel', 'ifrs',
+    ],
+    employers: [
+      'Goldman Sachs', 'JPMorgan', 'J.P. Morgan', 'Morgan Stanley', 'Barclays', 'HSBC', 'Citi',
+      'Citigroup', 'Deutsche Bank', 'UBS', 'BlackRock', 'Bank of America', 'Wells Fargo',
+      'Fidelity', 'Vanguard',
+    ],
+    skills: ['Financial Modeling'],
+  },
+  {
+    name: 'Fintech',
+    parent: 'Finance',
+    aliases: ['fintech', 'financial technology', 'neobank', 'digital banking'],
+    keywords: [
+      'payment', 'payments', 'card issuing', 'kyc', 'open banking', 'psd2', 'ledger',
+      'reconciliation', 'remittance', 'lending', 'crypto', 'blockchain', 'digital wallet',
+    ],
+    employers: [
+      'Stripe', 'Revolut', 'Monzo', 'Wise', 'TransferWise', 'Adyen', 'PayPal', 'Square', 'Block',
+      'Klarna', 'Plaid', 'N26', 'Chime', 'Robinhood', 'Coinbase', 'Checkout.com', 'Nubank',
+    ],
+  },
+  {
+    name: 'Insurance',
+    parent: 'Finance',
+    aliases: ['insurance', 'insurtech', 'reinsurance'],
+    keywords: [
+      'claims processing', 'policyholder', 'policyholders', 'actuarial', 'underwriting',
+      'premiums',
+    ],
+    titles: ['underwriter', 'actuary', 'loss adjuster'],
+    employers: ['AXA', 'Allianz', 'Aviva', 'Lemonade', 'Prudential', 'MetLife', 'Zurich Insurance'],
+  },
+  {
+    name: 'Healthcare',
+    aliases: [
+      'healthcare', 'health care', 'healthtech', 'medtech', 'digital health', 'pharmaceutical',
+      'pharmaceuticals', 'pharma', 'life sciences',
+    ],
+    keywords: [
+      'patient', 'patients', 'clinical', 'hospital', 'ehr', 'emr', 'hipaa', 'hl7', 'fhir',
+      'clinicians', 'telemedicine', 'medical device',
+    ],
+    titles: [
+      'nurse', 'physician', 'surgeon', 'pharmacist', 'paramedic', 'midwife', 'radiographer',
+      'physiotherapist', 'dentist', 'general practitioner',
+    ],
+    employers: [
+      'Pfizer', 'Novartis', 'Roche', 'NHS', 'Kaiser Permanente', 'Johnson & Johnson', 'GSK',
+      'AstraZeneca', 'Epic Systems', 'Cerner',
+    ],
+  },
+  {
+    name: 'Biotech',
+    parent: 'Healthcare',
+    aliases: ['biotech', 'biotechnology'],
+    keywords: [
+      'genomics', 'bioinformatics', 'drug discovery', 'crispr', 'sequencing', 'proteomics',
+    ],
+    employers: ['Genentech', 'Illumina', 'Moderna', 'Amgen', 'Biogen'],
+  },
+  {
+    name: 'Education',
+    aliases: ['education', 'edtech', 'e-learning', 'higher education'],
+    keywords: [
+      'curriculum', 'teaching', 'learning management', 'lms', 'tutoring', 'pedagogy', 'learners',
+    ],
+    titles: ['teacher', 'lecturer', 'headteacher'],
+    employers: ['Coursera', 'Duolingo', 'Udemy', 'Khan Academy', 'Pearson', 'Chegg'],
+  },
+  {
+    name: 'Retail',
+    aliases: ['retail', 'consumer goods', 'cpg', 'fmcg'],
+    keywords: [
+      'merchandising', 'point of sale', 'store operations', 'assortment', 'omnichannel',
+      'shoppers',
+    ],
+    employers: [
+      'Walmart', 'Target', 'Tesco', 'IKEA', 'Zara', 'H&M', 'Costco', "Sainsbury's", 'Unilever',
+      'Procter & Gamble',
+    ],
+  },
+  {
+    name: 'E-commerce',
+    parent: 'Retail',
+    aliases: ['e-commerce', 'ecommerce', 'online retail', 'marketplace'],
+    keywords: [
+      'checkout', 'shopping cart', 'conversion rate', 'fulfilment', 'fulfillment',
+      'product catalog', 'sellers',
+    ],
+    employers: [
+      'Amazon', 'Shopify', 'eBay', 'Etsy', 'Zalando', 'Alibaba', 'Wayfair', 'Ocado', 'Instacart',
+    ],
+  },
+  {
+    name: 'Manufacturing',
+    aliases: ['manufacturing', 'industrial', 'automotive', 'aerospace'],
+    keywords: [
+      'production line', 'lean manufacturing', 'six sigma', 'plc', 'cnc', 'quality control',
+      'factory', 'iso 9001',
+    ],
+    employers: [
+      'Siemens', 'Bosch', 'General Electric', 'Toyota', 'Volkswagen', 'BMW', 'Boeing', 'Airbus',
+      'Tesla', 'Caterpillar',
+    ],
+  },
+  {
+    name: 'Consulting',
+    aliases: [
+      'consulting', 'consultancy', 'management consulting', 'professional services', 'advisory',
+    ],
+    keywords: ['client engagements', 'due diligence', 'engagement manager'],
+    employers: [
+      'McKinsey', 'Boston Consulting Group', 'BCG', 'Bain', 'Deloitte', 'Accenture', 'PwC', 'KPMG',
+      'EY', 'Ernst & Young', 'Capgemini',
+    ],
+  },
+  {
+    name: 'Media',
+    aliases: [
+      'media', 'entertainment', 'publishing', 'broadcasting', 'advertising', 'adtech', 'gaming',
+    ],
+    keywords: [
+      'editorial', 'video streaming', 'audience', 'programmatic', 'newsroom', 'video on demand',
+      'subscribers',
+    ],
+    employers: [
+      'Netflix', 'Spotify', 'Disney', 'BBC', 'New York Times', 'Warner Bros', 'Sony',
+      'Electronic Arts',
+    ],
+  },
+  {
+    name: 'Real Estate',
+    aliases: ['real estate', 'proptech'],
+    keywords: [
+      'property management', 'leasing', 'tenants', 'mortgage', 'mortgages', 'brokerage',
+      'construction',
+    ],
+    employers: ['Zillow', 'CBRE', 'JLL', 'WeWork', 'Redfin', 'Compass'],
+  },
+  {
+    name: 'Energy',
+    aliases: [
+      'energy', 'oil and gas', 'renewables', 'renewable energy', 'utilities', 'cleantech',
+      'climate tech',
+    ],
+    keywords: [
+      'solar', 'wind farm', 'power grid', 'power plant', 'battery storage', 'decarbonisation',
+      'decarbonization', 'emissions',
+    ],
+    employers: [
+      'Shell', 'BP', 'ExxonMobil', 'Chevron', 'TotalEnergies', 'Ørsted', 'Orsted', 'Enel', 'EDF',
+      'National Grid', 'Vestas',
+    ],
+  },
+  {
+    name: 'Telecommunications',
+    aliases: ['telecommunications', 'telecom', 'telecoms', 'telco'],
+    keywords: [
+      '5g', 'lte', 'network operator', 'voip', 'fibre', 'fiber', 'mobile network', 'oss/bss',
+    ],
+    employers: [
+      'Vodafone', 'AT&T', 'Verizon', 'T-Mobile', 'Deutsche Telekom', 'Orange', 'BT', 'Ericsson',
+      'Nokia', 'Telefónica',
+    ],
+  },
+  {
+    name: 'Transportation',
+    aliases: ['transportation', 'logistics', 'mobility', 'shipping', 'aviation', 'supply chain'],
+    keywords: [
+      'fleet management', 'last-mile', 'last mile', 'route optimization', 'freight', 'warehousing',
+      'dispatch', 'ride-hailing',
+    ],
+    employers: ['Uber', 'Lyft', 'FedEx', 'UPS', 'DHL', 'Maersk', 'Bolt', 'Delta', 'Lufthansa'],
+  },
+  {
+    name: 'Hospitality',
+    aliases: ['hospitality', 'travel', 'tourism', 'hotels', 'food and beverage', 'restaurants'],
+    keywords: ['bookings', 'reservations', 'guests', 'front desk', 'hotel', 'travel booking'],
+    employers: [
+      'Airbnb', 'Booking.com', 'Expedia', 'Marriott', 'Hilton', 'Hyatt', 'TripAdvisor',
+      'Deliveroo',
+    ],
+  },
+  {
+    name: 'Legal',
+    aliases: ['legal', 'law firm', 'legaltech'],
+    keywords: ['litigation', 'paralegal', 'counsel', 'intellectual property', 'contract law'],
+    titles: ['lawyer', 'solicitor', 'attorney', 'barrister'],
+    employers: [
+      'Clifford Chance', 'Linklaters', 'Baker McKenzie', 'Allen & Overy', 'Latham & Watkins',
+    ],
+  },
+  {
+    name: 'Non-Profit',
+    aliases: ['non-profit', 'nonprofit', 'not-for-profit', 'charity', 'ngo'],
+    keywords: ['fundraising', 'donors', 'volunteers', 'grant writing', 'humanitarian'],
+    employers: [
+      'Red Cross', 'UNICEF', 'Oxfam', 'World Health Organization', 'Save the Children',
+      'Wikimedia',
+    ],
+  },
+];
+
+// Evidence points; each industry's weight is its points relative to the strongest industry
+const EVIDENCE_POINTS = {
+  employer: 3, // A known employer in the industry
+  currentEmployer: 1, // Extra for the current role
+  stated: 4, // Industry stated by a structured source (LinkedIn profile)
+  mention: 1.5, // Industry named in the text, per mention (up to MAX_MENTIONS)
+  keyword: 1, // Each distinct domain keyword
+  title: 2, // Each distinct industry-specific job title, enough on its own
+  skill: 0.5, // Each matching skill (up to MAX_SKILL_POINTS in total)
+};
+const MAX_MENTIONS = 3;
+const MAX_SKILL_POINTS = 2;
+
+// Share of a sub-industry's points its parent inherits
+const PARENT_SHARE = 0.5;
+
+// Industries below these are noise (a single keyword, a passing mention)
+const MIN_POINTS = 1.5;
+const MIN_WEIGHT = 0.25;
+const MAX_INDUSTRIES = 5;
+
+const industries = new Map(
+  INDUSTRY_TAXONOMY.map((entry) => [
+    entry.name.toLowerCase(),
+    {
+      ...entry,
+      parent: entry.parent || null,
+      aliasMatcher: buildTermMatcher(entry.aliases),
+      keywordMatchers: (entry.keywords || []).map((keyword) => [
+        keyword,
+        buildTermMatcher([keyword]),
+      ]),
+      titleMatchers: (entry.titles || []).map((title) => [title, buildTermMatcher([title])]),
+      employerMatcher: buildTermMatcher(entry.employers),
+    },
+  ])
+);
+
+/**
+ * List the taxonomy's industries
+ * @returns {Array<{name: string, parent: string|null}>} Top-level industries (INDUSTRIES)
+ *   first, then sub-industries
+ */
+export function getIndustries() {
+  return [...industries.values()]
+    .map(({ name, parent }) => ({ name, parent }))
+    .sort((a, b) => Number(Boolean(a.parent)) - Number(Boolean(b.parent)));
+}
+
+/**
+ * Get a taxonomy entry by name or alias
+ * @param {string} name - e.g. "Fintech", "financial services", "Banking"
+ * @returns {{name, parent}|null}
+ */
+export function getIndustry(name) {
+  const value = (name || '').trim();
+  const entry =
+    industries.get(value.toLowerCase()) ||
+    [...industries.values()].find((industry) => industry.aliases.includes(value.toLowerCase()));
+  return entry ? { name: entry.name, parent: entry.parent } : null;
+}
+
+/**
+ * Find industries named in text (not inferred from vocabulary)
+ * @param {string} text - e.g. a company's industry field or a profile headline
+ * @returns {Array<string>} Industry names in taxonomy order
+ */
+export function findIndustryMentions(text) {
+  if (!text) {
+    return [];
+  }
+  return [...industries.values()]
+    .filter((entry) => countMatches(text, entry.aliasMatcher) > 0)
+    .map((entry) => entry.name);
+}
+
+/**
+ * Infer a candidate's industries with weights
+ * Employers are the strongest evidence, then industries named in the text, job titles
+ * held only in one industry ("Nurse"), domain vocabulary and skills; sub-industries pass
+ * half their points to their parent
+ * ("Stripe" makes Fintech, and to a lesser degree Finance)
+ * @param {object} sources
+ * @param {string} sources.text - Summary and experience text (not education or certifications)
+ * @param {Array<object>} sources.experience - Entries with company, job_title and is_current
+ * @param {Array<object>} sources.skills - Skills with name and group
+ * @param {Array<string>} sources.stated - Industries stated by a structured source
+ * @returns {Array<{name, weight, evidence}>} Strongest first; weight 0.00-1.00 relative to
+ *   the strongest industry, evidence lists the employers, titles, terms and skills found
+ */
+export function inferIndustries({ text = '', experience = [], skills = [], stated = [] } = {}) {
+  const scores = new Map();
+  const add = (name, points, evidence) => {
+    const score = scores.get(name) || { points: 0, evidence: [] };
+    score.points += points;
+    [].concat(evidence).forEach((item) => {
+      if (!score.evidence.includes(item)) {
+        score.evidence.push(item);
+      }
+    });
+    scores.set(name, score);
+  };
+
+  (stated || []).forEach((name) => {
+    const industry = getIndustry(name);
+    if (industry) {
+      add(industry.name, EVIDENCE_POINTS.stated, name);
+    }
+  });
+
+  industries.forEach((entry) => {
+    (experience || []).forEach((exp) => {
+      const company = exp.company || '';
+      if (
+        countMatches(company, entry.employerMatcher) > 0 ||
+        countMatches(company, entry.aliasMatcher) > 0
+      ) {
+        add(
+          entry.name,
+          EVIDENCE_POINTS.employer + (exp.is_current ? EVIDENCE_POINTS.currentEmployer : 0),
+          company
+        );
+      }
+    });
+
+    const mentions = Math.min(countMatches(text, entry.aliasMatcher), MAX_MENTIONS);
+    if (mentions > 0) {
+      add(entry.name, mentions * EVIDENCE_POINTS.mention, entry.name);
+    }
+
+    entry.titleMatchers.forEach(([title, matcher]) => {
+      const held = (experience || []).some((exp) => countMatches(exp.job_title, matcher) > 0);
+      if (held || countMatches(text, matcher) > 0) {
+        add(entry.name, EVIDENCE_POINTS.title, title);
+      }
+    });
+
+    entry.keywordMatchers.forEach(([keyword, matcher]) => {
+      if (countMatches(text, matcher) > 0) {
+        add(entry.name, EVIDENCE_POINTS.keyword, keyword);
+      }
+    });
+
+    const matchingSkills = (skills || []).filter(
+      (skill) =>
+        (entry.skills || []).includes(skill.name) || (entry.skillGroups || []).includes(skill.group)
+    );
+    if (matchingSkills.length > 0) {
+      const points = Math.min(matchingSkills.length * EVIDENCE_POINTS.skill, MAX_SKILL_POINTS);
+      add(entry.name, points, matchingSkills.slice(0, 3).map((skill) => skill.name));
+    }
+  });
+
+  // Roll sub-industry evidence up into the parent
+  [...scores.entries()].forEach(([name, score]) => {
+    const parent = industries.get(name.toLowerCase()).parent;
+    if (parent) {
+      add(parent, score.points * PARENT_SHARE, name);
+    }
+  });
+
+  const strongest = Math.max(0, ...[...scores.values()].map((score) => score.points));
+  return [...scores.entries()]
+    .filter(([, score]) => score.points >= MIN_POINTS)
+    .map(([name, score]) => ({
+      name,
+      weight: Math.round((score.points / strongest) * 100) / 100,
+      points: score.points,
+      evidence: score.evidence,
+    }))
+    .filter((industry) => industry.weight >= MIN_WEIGHT)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_INDUSTRIES)
+    .map(({ points: _points, ...industry }) => industry);
+}
+
+// Terms match case-insensitively on word boundaries, except short acronyms ("EY", "BT"),
+// which only match as written
+function buildTermMatcher(terms) {
+  const acronyms = (terms || []).filter((term) => term.length <= 3 && term === term.toUpperCase());
+  const words = (terms || []).filter((term) => !acronyms.includes(term));
+  return [buildTermRegex(words, 'giu'), buildTermRegex(acronyms, 'gu')].filter(Boolean);
+}
+
+function buildTermRegex(terms, flags) {
+  if (terms.length === 0) {
+    return null;
+  }
+  const alternatives = terms
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/\s+/g, '\\s+'))
+    .join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, flags);
+}
+
+function countMatches(text, matcher) {
+  if (!text) {
+    return 0;
+  }
+  return matcher.reduce((total, regex) => {
+    regex.lastIndex = 0;
+    return total + (text.match(regex) || []).length;
+  }, 0);
+}
+
+// The taxonomy's top level must stay identical to INDUSTRIES
+const topLevel = INDUSTRY_TAXONOMY.filter((entry) => !entry.parent).map((entry) => entry.name);
+if ([...topLevel].sort().join('|') !== [...INDUSTRIES].sort().join('|')) {
+  throw new Error('Industry taxonomy is out of sync with INDUSTRIES in constants.js');
+}
+
+export default {
+  getIndustries,
+  getIndustry,
+  findIndustryMentions,
+  inferIndustries,
+};
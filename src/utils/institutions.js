@@ -0,0 +1,167 @@
+/**
+ * Institution Utilities
+ * Detects and normalizes school and university names so the same institution
+ * written differently ("UC Berkeley", "University of California, Berkeley")
+ * compares equal for alumni matching
+ */
+
+// Common short names -> canonical name
+const INSTITUTION_ALIASES = {
+  mit: 'Massachusetts Institute of Technology',
+  caltech: 'California Institute of Technology',
+  'uc berkeley': 'University of California, Berkeley',
+  berkeley: 'University of California, Berkeley',
+  'cal berkeley': 'University of California, Berkeley',
+  ucla: 'University of California, Los Angeles',
+  ucsd: 'University of California, San Diego',
+  'uc san diego': 'University of California, San Diego',
+  ucsf: 'University of California, San Francisco',
+  'uc davis': 'University of California, Davis',
+  'uc irvine': 'University of California, Irvine',
+  usc: 'University of Southern California',
+  nyu: 'New York University',
+  cmu: 'Carnegie Mellon University',
+  'carnegie mellon': 'Carnegie Mellon University',
+  'georgia tech': 'Georgia Institute of Technology',
+  'virginia tech': 'Virginia Polytechnic Institute and State University',
+  upenn: 'University of Pennsylvania',
+  'ut austin': 'University of Texas at Austin',
+  uiuc: 'University of Illinois Urbana-Champaign',
+  harvard: 'Harvard University',
+  stanford: 'Stanford University',
+  yale: 'Yale University',
+  princeton: 'Princeton University',
+  columbia: 'Columbia University',
+  cornell: 'Cornell University',
+  oxford: 'University of Oxford',
+  'oxford university': 'University of Oxford',
+  cambridge: 'University of Cambridge',
+  'cambridge university': 'University of Cambridge',
+  lse: 'London School of Economics and Political Science',
+  'london school of economics': 'London School of Economics and Political Science',
+  ucl: 'University College London',
+  imperial: 'Imperial College London',
+  'imperial college': 'Imperial College London',
+  kcl: "King's College London",
+  'eth zurich': 'ETH Zurich',
+  'eth zürich': 'ETH Zurich',
+  eth: 'ETH Zurich',
+  epfl: 'EPFL',
+  tum: 'Technical University of Munich',
+  'tu munich': 'Technical University of Munich',
+  'tu münchen': 'Technical University of Munich',
+  'technische universität münchen': 'Technical University of Munich',
+  kth: 'KTH Royal Institute of Technology',
+  insead: 'INSEAD',
+  'hec paris': 'HEC Paris',
+  'ie business school': 'IE Business School',
+  'u of t': 'University of Toronto',
+  uoft: 'University of Toronto',
+  ubc: 'University of British Columbia',
+  nus: 'National University of Singapore',
+  ntu: 'Nanyang Technological University',
+  'iit bombay': 'Indian Institute of Technology Bombay',
+  'iit delhi': 'Indian Institute of Technology Delhi',
+  'iit madras': 'Indian Institute of Technology Madras',
+  tsinghua: 'Tsinghua University',
+  'peking university': 'Peking University',
+  'university of tokyo': 'University of Tokyo',
+  todai: 'University of Tokyo',
+};
+
+// Words that mark a name as a school or university
+const INSTITUTION_KEYWORDS =
+  'University|College|Institute|School|Academy|Polytechnic|Conservatory|Seminary|Universit[éäy]|Universidad|Universidade|Università|Hochschule|[ÉE]cole|Gymnasium|Lyc[ée]e';
+
+// Capitalized name words and the connectors allowed between them
+const NAME_WORD = "(?:[A-Z][\\w.'’&-]*|of|for|and|&|at|de|del|der|di|des|la|le|the)";
+
+const INSTITUTION_REGEX = new RegExp(
+  `(?:[A-Z][\\w.'’&-]*\\s+)*(?:${INSTITUTION_KEYWORDS})\\b(?:\\s+${NAME_WORD})*`
+);
+
+// Campus suffix in "University of California, Berkeley"
+const CAMPUS_REGEX = /^,\s*([A-Z][a-z]+(?: [A-Z][a-z]+)?)(?=$|[\s,|–—(-])/;
+
+const ALIAS_REGEX = new RegExp(
+  `(?<![\\w])(${Object.keys(INSTITUTION_ALIASES)
+    .sort((a, b) => b.length - a.length)
+    .map((alias) => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|')})(?![\\w])`,
+  'i'
+);
+
+/**
+ * Find an institution name in a line of text
+ * @param {string} text - e.g. "Imperial College London, 2016", "B.S. Computer Science, MIT"
+ * @returns {{name: string, known: boolean}|null} name as written; known is true for a
+ *   recognised short name or a name containing an institution keyword
+ */
+export function findInstitution(text) {
+  const source = text || '';
+  const match = source.match(INSTITUTION_REGEX);
+
+  if (match) {
+    // Trailing connectors belong to the next phrase ("University of Oxford and ...")
+    let name = match[0].replace(/\s+(?:of|for|and|&|at|de|del|der|di|des|la|le|the)$/i, '');
+    const campus = /^University of /.test(name)
+      ? source.slice(match.index + name.length).match(CAMPUS_REGEX)
+      : null;
+    if (campus) {
+      name += `, ${campus[1]}`;
+    }
+    return { name: name.trim(), known: true };
+  }
+
+  const alias = source.match(ALIAS_REGEX);
+  // Short aliases must be written as names ("MIT", "Stanford"), not lowercase words
+  if (alias && /[A-Z]/.test(alias[1])) {
+    return { name: alias[1], known: true };
+  }
+  return null;
+}
+
+/**
+ * Normalize an institution name to its canonical form
+ * @param {string} value - e.g. "UC Berkeley", "The University of Oxford", "Univ. of Michigan"
+ * @returns {string|null} Canonical name, or the cleaned input if unrecognized
+ */
+export function normalizeInstitution(value) {
+  if (!value || !value.trim()) {
+    return null;
+  }
+
+  const cleaned = value
+    .trim()
+    .replace(/^the\s+/i, '')
+    .replace(/\bUniv\.?(?=\s|$)/gi, 'University')
+    .replace(/\bInst\.(?=\s|$)/gi, 'Institute')
+    .replace(/\bColl\.(?=\s|$)/gi, 'College')
+    .replace(/\bSt\.\s/g, 'St ')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s,.;:–—-]+$/, '');
+
+  return INSTITUTION_ALIASES[aliasKey(cleaned)] || cleaned;
+}
+
+/**
+ * Compare two institution names after normalization
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function isSameInstitution(a, b) {
+  const left = normalizeInstitution(a);
+  const right = normalizeInstitution(b);
+  return Boolean(left && right) && aliasKey(left) === aliasKey(right);
+}
+
+function aliasKey(value) {
+  return value.toLowerCase().replace(/&/g, 'and').replace(/[.,']/g, '').replace(/\s+/g, ' ').trim();
+}
+
+export default {
+  findInstitution,
+  normalizeInstitution,
+  isSameInstitution,
+};
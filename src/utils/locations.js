@@ -0,0 +1,385 @@
+/**
+ * Location Utilities
+ * Bundled offline gazetteer (cities, US states, Canadian provinces, countries)
+ * for detecting and normalizing candidate locations
+ */
+
+export const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana',
+  IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+  MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri',
+  MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+  NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio',
+  OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+  VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin',
+  WY: 'Wyoming',
+};
+
+export const CA_PROVINCES = {
+  AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+  NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', ON: 'Ontario',
+  PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan',
+};
+
+// Canonical country name -> lowercase aliases
+export const COUNTRIES = {
+  'United States': ['usa', 'us', 'u.s.', 'u.s.a.', 'united states of america', 'america'],
+  'United Kingdom': ['uk', 'u.k.', 'england', 'scotland', 'wales', 'great britain', 'gb'],
+  Canada: [], Ireland: [], Germany: ['deutschland'], France: [], Spain: ['españa'],
+  Portugal: [], Italy: ['italia'], Netherlands: ['the netherlands', 'holland'],
+  Belgium: [], Switzerland: ['schweiz', 'suisse'], Austria: [], Sweden: [], Norway: [],
+  Denmark: [], Finland: [], Poland: [], 'Czech Republic': ['czechia'], Hungary: [],
+  Romania: [], Greece: [], Turkey: ['türkiye'], Israel: [], 'United Arab Emirates': ['uae'],
+  'Saudi Arabia': [], Qatar: [], Egypt: [], 'South Africa': [], Nigeria: [], Kenya: [],
+  India: [], Pakistan: [], Bangladesh: [], 'Sri Lanka': [], China: ['prc'],
+  'Hong Kong': ['hk', 'hong kong sar'], Taiwan: [], Japan: [], 'South Korea': ['korea'],
+  Singapore: [], Malaysia: [], Indonesia: [], Philippines: [], Thailand: [], Vietnam: [],
+  Australia: [], 'New Zealand': ['nz'], Brazil: ['brasil'], Argentina: [], Chile: [],
+  Colombia: [], Mexico: ['méxico'], Peru: [], Ukraine: [], Estonia: [], Lithuania: [],
+  Latvia: [], Luxembourg: [],
+};
+
+// Major cities: [name, region code (US/CA only), country, ...aliases]
+const CITY_DATA = [
+  ['New York', 'NY', 'United States', 'new york city', 'nyc', 'manhattan', 'brooklyn'],
+  ['San Francisco', 'CA', 'United States', 'sf'],
+  ['Los Angeles', 'CA', 'United States', 'la'],
+  ['San Jose', 'CA', 'United States'], ['San Diego', 'CA', 'United States'],
+  ['Palo Alto', 'CA', 'United States'], ['Mountain View', 'CA', 'United States'],
+  ['Sunnyvale', 'CA', 'United States'], ['Oakland', 'CA', 'United States'],
+  ['Menlo Park', 'CA', 'United States'], ['Irvine', 'CA', 'United States'],
+  ['Seattle', 'WA', 'United States'], ['Redmond', 'WA', 'United States'],
+  ['Bellevue', 'WA', 'United States'], ['Portland', 'OR', 'United States'],
+  ['Austin', 'TX', 'United States'], ['Dallas', 'TX', 'United States'],
+  ['Houston', 'TX', 'United States'], ['San Antonio', 'TX', 'United States'],
+  ['Chicago', 'IL', 'United States'], ['Boston', 'MA', 'United States'],
+  ['Cambridge', 'MA', 'United States'],
+  ['Washington', 'DC', 'United States', 'washington dc', 'washington d.c.'],
+  ['Atlanta', 'GA', 'United States'], ['Miami', 'FL', 'United States'],
+  ['Orlando', 'FL', 'United States'], ['Tampa', 'FL', 'United States'],
+  ['Denver', 'CO', 'United States'], ['Boulder', 'CO', 'United States'],
+  ['Phoenix', 'AZ', 'United States'], ['Salt Lake City', 'UT', 'United States'],
+  ['Minneapolis', 'MN', 'United States'], ['Detroit', 'MI', 'United States'],
+  ['Philadelphia', 'PA', 'United States'], ['Pittsburgh', 'PA', 'United States'],
+  ['Raleigh', 'NC', 'United States'], ['Charlotte', 'NC', 'United States'],
+  ['Nashville', 'TN', 'United States'], ['Columbus', 'OH', 'United States'],
+  ['Baltimore', 'MD', 'United States'], ['Las Vegas', 'NV', 'United States'],
+  ['Toronto', 'ON', 'Canada'], ['Ottawa', 'ON', 'Canada'], ['Waterloo', 'ON', 'Canada'],
+  ['Vancouver', 'BC', 'Canada'], ['Montreal', 'QC', 'Canada', 'montréal'],
+  ['Calgary', 'AB', 'Canada'], ['Edmonton', 'AB', 'Canada'],
+  ['London', null, 'United Kingdom'], ['Manchester', null, 'United Kingdom'],
+  ['Edinburgh', null, 'United Kingdom'], ['Glasgow', null, 'United Kingdom'],
+  ['Birmingham', null, 'United Kingdom'], ['Bristol', null, 'United Kingdom'],
+  ['Leeds', null, 'United Kingdom'], ['Oxford', null, 'United Kingdom'],
+  ['Belfast', null, 'United Kingdom'], ['Dublin', null, 'Ireland'], ['Cork', null, 'Ireland'],
+  ['Berlin', null, 'Germany'], ['Munich', null, 'Germany', 'münchen'],
+  ['Hamburg', null, 'Germany'], ['Frankfurt', null, 'Germany', 'frankfurt am main'],
+  ['Cologne', null, 'Germany', 'köln'], ['Stuttgart', null, 'Germany'],
+  ['Paris', null, 'France'], ['Lyon', null, 'France'], ['Marseille', null, 'France'],
+  ['Madrid', null, 'Spain'], ['Barcelona', null, 'Spain'], ['Valencia', null, 'Spain'],
+  ['Lisbon', null, 'Portugal', 'lisboa'], ['Porto', null, 'Portugal'],
+  ['Rome', null, 'Italy', 'roma'], ['Milan', null, 'Italy', 'milano'],
+  ['Amsterdam', null, 'Netherlands'], ['Rotterdam', null, 'Netherlands'],
+  ['Eindhoven', null, 'Netherlands'], ['The Hague', null, 'Netherlands'],
+  ['Brussels', null, 'Belgium', 'bruxelles'], ['Antwerp', null, 'Belgium'],
+  ['Zurich', null, 'Switzerland', 'zürich'], ['Geneva', null, 'Switzerland', 'genève'],
+  ['Vienna', null, 'Austria', 'wien'], ['Stockholm', null, 'Sweden'],
+  ['Oslo', null, 'Norway'], ['Copenhagen', null, 'Denmark', 'københavn'],
+  ['Helsinki', null, 'Finland'], ['Warsaw', null, 'Poland', 'warszawa'],
+  ['Krakow', null, 'Poland', 'kraków'], ['Prague', null, 'Czech Republic', 'praha'],
+  ['Budapest', null, 'Hungary'], ['Bucharest', null, 'Romania'], ['Athens', null, 'Greece'],
+  ['Istanbul', null, 'Turkey'], ['Tel Aviv', null, 'Israel'],
+  ['Dubai', null, 'United Arab Emirates'],
+  ['Abu Dhabi', null, 'United Arab Emirates'], ['Riyadh', null, 'Saudi Arabia'],
+  ['Doha', null, 'Qatar'], ['Cairo', null, 'Egypt'], ['Cape Town', null, 'South Africa'],
+  ['Johannesburg', null, 'South Africa'], ['Lagos', null, 'Nigeria'], ['Nairobi', null, 'Kenya'],
+  ['Bangalore', null, 'India', 'bengaluru'], ['Mumbai', null, 'India', 'bombay'],
+  ['Delhi', null, 'India', 'new delhi'], ['Hyderabad', null, 'India'], ['Pune', null, 'India'],
+  ['Chennai', null, 'India'], ['Gurgaon', null, 'India', 'gurugram'], ['Karachi', null, 'Pakistan'],
+  ['Lahore', null, 'Pakistan'], ['Dhaka', null, 'Bangladesh'], ['Colombo', null, 'Sri Lanka'],
+  ['Beijing', null, 'China'], ['Shanghai', null, 'China'], ['Shenzhen', null, 'China'],
+  ['Hangzhou', null, 'China'], ['Hong Kong', null, 'Hong Kong'], ['Taipei', null, 'Taiwan'],
+  ['Tokyo', null, 'Japan'], ['Osaka', null, 'Japan'], ['Seoul', null, 'South Korea'],
+  ['Singapore', null, 'Singapore'], ['Kuala Lumpur', null, 'Malaysia'],
+  ['Jakarta', null, 'Indonesia'], ['Manila', null, 'Philippines'], ['Bangkok', null, 'Thailand'],
+  ['Ho Chi Minh City', null, 'Vietnam', 'saigon'], ['Hanoi', null, 'Vietnam'],
+  ['Sydney', null, 'Australia'], ['Melbourne', null, 'Australia'], ['Brisbane', null, 'Australia'],
+  ['Perth', null, 'Australia'], ['Auckland', null, 'New Zealand'],
+  ['Wellington', null, 'New Zealand'], ['São Paulo', null, 'Brazil', 'sao paulo'],
+  ['Rio de Janeiro', null, 'Brazil'], ['Buenos Aires', null, 'Argentina'],
+  ['Santiago', null, 'Chile'], ['Bogotá', null, 'Colombia', 'bogota'],
+  ['Mexico City', null, 'Mexico', 'cdmx', 'ciudad de méxico'], ['Lima', null, 'Peru'],
+  ['Kyiv', null, 'Ukraine', 'kiev'], ['Tallinn', null, 'Estonia'], ['Vilnius', null, 'Lithuania'],
+  ['Riga', null, 'Latvia'], ['Luxembourg', null, 'Luxembourg'],
+];
+
+export const CITIES = CITY_DATA.map(([name, region, country, ...aliases]) => ({
+  name,
+  region,
+  country,
+  aliases: [name.toLowerCase(), ...aliases],
+}));
+
+// Postal code styles: US ZIP, UK postcode, Canadian postal code, 4-5 digit European codes
+const US_ZIP_REGEX = /\b\d{5}(?:-\d{4})?\b/;
+const UK_POSTCODE_REGEX = /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/;
+const CA_POSTAL_REGEX = /\b[A-Z]\d[A-Z]\s?\d[A-Z]\d\b/;
+const EU_POSTAL_REGEX = /\b\d{4,5}\b/;
+
+const COUNTRY_LOOKUP = new Map(
+  Object.entries(COUNTRIES).flatMap(([name, aliases]) => [
+    [name.toLowerCase(), name],
+    ...aliases.map((alias) => [alias, name]),
+  ])
+);
+
+const CITY_LOOKUP = new Map(CITIES.flatMap((city) => city.aliases.map((alias) => [alias, city])));
+
+// Words that mark "X, Country" as a job title or keyword line ("Senior Software Engineer, USA")
+const NON_PLACE_WORDS = new Set([
+  'engineer', 'engineering', 'developer', 'development', 'manager', 'management', 'director',
+  'analyst', 'designer', 'consultant', 'architect', 'scientist', 'lead', 'head', 'intern',
+  'specialist', 'officer', 'associate', 'administrator', 'coordinator', 'president', 'founder',
+  'researcher', 'assistant', 'executive', 'programmer', 'technician', 'advisor', 'accountant',
+  'teacher', 'nurse', 'senior', 'junior', 'principal', 'staff', 'chief', 'software', 'data',
+  'full-stack', 'frontend', 'backend', 'product', 'marketing', 'sales', 'remote', 'hybrid',
+  'skills', 'experience', 'education', 'summary', 'profile', 'languages', 'certifications',
+  'projects', 'references', 'university', 'college', 'school', 'inc', 'ltd', 'llc', 'gmbh',
+]);
+
+/**
+ * Find the candidate's location in a block of text (CV header / contact section)
+ * Recognizes "City, ST", "City, Country", "City, Region, Country", postal addresses and
+ * bare known city names
+ * @param {string} text - Text to scan
+ * @returns {string|null} Normalized location ("San Francisco, CA", "Berlin, Germany")
+ */
+export function findLocation(text) {
+  const chunks = (text || '')
+    .split(/\n|\s[|•·]\s|\t|\s{3,}/)
+    .map((chunk) => chunk.trim())
+    .filter((chunk) => chunk && !/@|https?:\/\/|www\.|linkedin\.com/i.test(chunk));
+
+  // Structured "City, Region" forms first; bare city names are weaker evidence
+  for (const chunk of chunks) {
+    const location = parseStructuredLocation(chunk);
+    if (location) {
+      return location;
+    }
+  }
+
+  for (const chunk of chunks) {
+    if (chunk.split(/\s+/).length > 6) {
+      continue;
+    }
+    const city = findKnownCity(chunk);
+    if (city) {
+      return formatCity(city);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a free-form location string
+ * @param {string} value - e.g. "san francisco, california", "London, England"
+ * @returns {string|null} Normalized location or the trimmed input if unrecognized
+ */
+export function normalizeLocation(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const structured = parseStructuredLocation(value);
+  if (structured) {
+    return structured;
+  }
+
+  const city = findKnownCity(value);
+  return city ? formatCity(city) : value.trim();
+}
+
+/**
+ * Decompose a location into city / region / country parts
+ * @param {string} value - Location string
+ * @returns {{city: string|null, region: string|null, country: string|null}}
+ */
+export function parseLocation(value) {
+  const normalized = normalizeLocation(value);
+  if (!normalized) {
+    return { city: null, region: null, country: null };
+  }
+
+  const parts = normalized.split(',').map((part) => part.trim());
+  const last = parts[parts.length - 1];
+  const region = US_STATES[last] || CA_PROVINCES[last] ? last : null;
+  const country =
+    COUNTRY_LOOKUP.get(last.toLowerCase()) ||
+    (US_STATES[last] ? 'United States' : CA_PROVINCES[last] ? 'Canada' : null);
+  const city = (parts.length > 1 || !country) && isPlaceName(parts[0]) ? parts[0] : null;
+
+  return { city, region, country };
+}
+
+/**
+ * Compare two locations at city level, or country/region level when one side
+ * only names a country or state. Same-named cities in different states
+ * ("Portland, OR" / "Portland, ME") do not match
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function isSameLocation(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+
+  const left = parseLocation(a);
+  const right = parseLocation(b);
+
+  if (left.city && right.city) {
+    const sameCountry = !left.country || !right.country || left.country === right.country;
+    const sameRegion = !left.region || !right.region || left.region === right.region;
+    return left.city.toLowerCase() === right.city.toLowerCase() && sameCountry && sameRegion;
+  }
+
+  if (left.region && right.region) {
+    return left.region === right.region;
+  }
+
+  return Boolean(left.country && right.country && left.country === right.country);
+}
+
+function parseStructuredLocation(chunk) {
+  const cleaned = chunk
+    .replace(/^(location|address|based in|lives in)\s*[:-]?\s*/i, '')
+    .replace(US_ZIP_REGEX, '')
+    .replace(UK_POSTCODE_REGEX, '')
+    .replace(CA_POSTAL_REGEX, '')
+    .trim();
+  const hadPostalCode = cleaned.length !== chunk.trim().length;
+
+  const parts = cleaned
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  // "City, Region, Country": "Austin, Texas, USA", "London, England, United Kingdom"
+  if (parts.length >= 3) {
+    const [cityPart, regionPart, last] = parts.slice(-3);
+    const country = COUNTRY_LOOKUP.get(last.toLowerCase());
+    const stateCode = toStateCode(regionPart);
+    const city = cityPart.replace(/^\d+\s+/, '');
+    if (country && isPlaceName(city)) {
+      if (stateCode && getRegionCountry(stateCode) === country) {
+        return `${toTitleCase(city)}, ${stateCode}`;
+      }
+      if (COUNTRY_LOOKUP.get(regionPart.toLowerCase()) === country) {
+        return formatCountryCity(city, country);
+      }
+    }
+  }
+
+  if (parts.length >= 2) {
+    const last = parts[parts.length - 1];
+    const cityPart = parts[parts.length - 2].replace(/^\d+\s+/, '');
+
+    // "City, ST" / "City, State"
+    const stateCode = toStateCode(last);
+    if (stateCode && isPlaceName(cityPart)) {
+      return `${toTitleCase(cityPart)}, ${stateCode}`;
+    }
+
+    // "City, Country"
+    const country = COUNTRY_LOOKUP.get(last.toLowerCase());
+    if (country && isPlaceName(cityPart)) {
+      return formatCountryCity(cityPart, country);
+    }
+  }
+
+  // Postal address without a region: "10115 Berlin", "London SW1A 1AA"
+  if (hadPostalCode || EU_POSTAL_REGEX.test(cleaned)) {
+    const city = findKnownCity(cleaned.replace(EU_POSTAL_REGEX, ''));
+    if (city) {
+      return formatCity(city);
+    }
+  }
+
+  return null;
+}
+
+function findKnownCity(text) {
+  const lower = ` ${text.toLowerCase().replace(/[^\p{L}\s.]/gu, ' ')} `;
+  let best = null;
+  CITY_LOOKUP.forEach((city, alias) => {
+    const longer = !best || alias.length > best.alias.length;
+    if (alias.length > 2 && longer && lower.includes(` ${alias} `)) {
+      best = { alias, city };
+    }
+  });
+  return best?.city || null;
+}
+
+function toStateCode(value) {
+  const upper = value.toUpperCase().replace(/\./g, '');
+  if (US_STATES[upper] || CA_PROVINCES[upper]) {
+    return upper;
+  }
+  const lower = value.toLowerCase();
+  const match = [...Object.entries(US_STATES), ...Object.entries(CA_PROVINCES)].find(
+    ([, name]) => name.toLowerCase() === lower
+  );
+  return match ? match[0] : null;
+}
+
+function getRegionCountry(code) {
+  if (US_STATES[code]) {
+    return 'United States';
+  }
+  return CA_PROVINCES[code] ? 'Canada' : null;
+}
+
+// A known city, or a short run of letters with no job-title or CV-heading words in it
+function isPlaceName(value) {
+  if (CITY_LOOKUP.has(value.toLowerCase())) {
+    return true;
+  }
+  const words = value.toLowerCase().split(/\s+/);
+  return (
+    /^\p{L}[\p{L}.'\- ]{1,40}$/u.test(value) &&
+    words.length <= 4 &&
+    !words.some((word) => NON_PLACE_WORDS.has(word))
+  );
+}
+
+function formatCountryCity(cityPart, country) {
+  const known = CITY_LOOKUP.get(cityPart.toLowerCase());
+  if (known && known.country === country) {
+    return formatCity(known);
+  }
+  return `${toTitleCase(cityPart)}, ${country}`;
+}
+
+function formatCity(city) {
+  return city.region ? `${city.name}, ${city.region}` : `${city.name}, ${city.country}`;
+}
+
+function toTitleCase(value) {
+  return value.replace(/\p{L}+/gu, (word) =>
+    word === word.toUpperCase() && word.length <= 3 ? word : word[0].toUpperCase() + word.slice(1)
+  );
+}
+
+export default {
+  US_STATES,
+  CA_PROVINCES,
+  COUNTRIES,
+  CITIES,
+  findLocation,
+  normalizeLocation,
+  parseLocation,
+  isSameLocation,
+};
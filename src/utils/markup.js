@@ -0,0 +1,305 @@
+/**
+ * Markup-to-Text Utilities
+ * Dependency-free converters from RTF, OpenDocument XML, HTML and Markdown to
+ * plain CV text. Headings, paragraphs and list items stay on their own lines
+ * so section segmentation and the extractors see the same shape as a TXT CV.
+ */
+
+// Windows-1252 characters in the 0x80-0x9F range (RTF \'hh escapes)
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ',
+};
+
+// RTF destinations whose content is never document text
+const RTF_SKIP_DESTINATIONS = [
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'footerl', 'footerr', 'footnote', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'xmlnstbl',
+  'generator', 'fldinst',
+];
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+  bull: '•', middot: '·', hellip: '…', copy: '©', reg: '®', trade: '™', lsquo: '‘',
+  rsquo: '’', ldquo: '“', rdquo: '”', euro: '€', pound: '£',
+};
+
+// HTML elements that start a new line
+const HTML_BLOCK_TAGS =
+  'p|div|section|article|header|footer|aside|main|nav|h[1-6]|ul|ol|li|dl|dt|dd|table|tr|blockquote|pre|address|figure|hr';
+
+const LINK_REGEX = /<a\b[^>]*href=(["'])(?:mailto:)?(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi;
+
+/**
+ * Convert an RTF document to plain text
+ * @param {string} rtf - RTF source
+ * @returns {string}
+ */
+export function rtfToText(rtf) {
+  const source = rtf || '';
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let output = '';
+  let pendingSkip = 0;
+  let i = 0;
+
+  const emit = (text) => {
+    if (state.skip) {
+      return;
+    }
+    // \ucN: drop the ANSI fallback characters that follow a \u escape
+    if (pendingSkip > 0) {
+      const dropped = Math.min(pendingSkip, text.length);
+      pendingSkip -= dropped;
+      text = text.slice(dropped);
+    }
+    output += text;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+      // {\*\destination ...} marks an optional destination readers may ignore
+      if (source.startsWith('\\*', i)) {
+        state.skip = true;
+      }
+    } else if (char === '}') {
+      state = stack.pop() || state;
+      i++;
+    } else if (char === '\\') {
+      const next = source[i + 1];
+
+      if (next === "'") {
+        const code = parseInt(source.substr(i + 2, 2), 16);
+        emit(Number.isNaN(code) ? '' : CP1252[code] || String.fromCharCode(code));
+        i += 4;
+      } else if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '-' || next === '_') {
+        emit(next === '_' ? '-' : '');
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i += 2;
+      } else {
+        const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(source.slice(i, i + 40));
+        if (!match) {
+          i += 2;
+          continue;
+        }
+        i += match[0].length;
+        const [, word, param] = match;
+
+        if (RTF_SKIP_DESTINATIONS.includes(word)) {
+          state.skip = true;
+        } else if (word === 'par' || word === 'line' || word === 'row' || word === 'sect') {
+          emit('\n');
+        } else if (word === 'tab' || word === 'cell') {
+          emit('\t');
+        } else if (word === 'bullet') {
+          emit('•');
+        } else if (word === 'emdash' || word === 'endash') {
+          emit(word === 'emdash' ? '—' : '–');
+        } else if (word === 'uc') {
+          state.uc = parseInt(param || '1');
+        } else if (word === 'u') {
+          const code = parseInt(param || '0');
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          pendingSkip = state.uc;
+        }
+      }
+    } else if (char === '\r' || char === '\n') {
+      i++;
+    } else {
+      const end = source.slice(i).search(/[\\{}\r\n]/);
+      const length = end === -1 ? source.length - i : end;
+      emit(source.slice(i, i + length));
+      i += length;
+    }
+  }
+
+  return tidyText(output);
+}
+
+/**
+ * Convert OpenDocument content.xml (ODT) to plain text
+ * @param {string} xml - content.xml source
+ * @returns {string}
+ */
+export function odtXmlToText(xml) {
+  const body = (xml || '').replace(/^[\s\S]*?<office:body[^>]*>|<\/office:body>[\s\S]*$/g, '');
+
+  const text = body
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (_match, count) =>
+      ' '.repeat(parseInt(count || '1'))
+    )
+    .replace(/<text:list-item[^>]*>/g, '\n• ')
+    .replace(/<\/(?:text:p|text:h|table:table-row)>/g, '\n')
+    .replace(/<\/table:table-cell>/g, '\t')
+    // Tracked deletions and notes are not part of the visible CV
+    .replace(/<text:(?:tracked-changes|note)[\s\S]*?<\/text:(?:tracked-changes|note)>/g, '')
+    .replace(/<[^>]+>/g, '');
+
+  return tidyText(decodeEntities(text));
+}
+
+/**
+ * Convert an HTML document to plain text
+ * @param {string} html - HTML source
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  const text = (html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    // Headings get a blank line before them (\f survives until newlines are collapsed)
+    .replace(/<h[1-6]\b/gi, '\f$&')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<\/(?:td|th)>/gi, '\t')
+    .replace(new RegExp(`</?(?:${HTML_BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(LINK_REGEX, (_match, _quote, href, label) =>
+      linkText(label.replace(/<[^>]+>/g, ''), href)
+    )
+    .replace(/<[^>]+>/g, '')
+    .replace(/[ \t\n]*\n[ \t\n]*/g, '\n')
+    .replace(/\s*\f\s*/g, '\n\n');
+
+  return tidyText(decodeEntities(text));
+}
+
+/**
+ * Convert Markdown to plain text
+ * @param {string} markdown - Markdown source
+ * @returns {string}
+ */
+export function markdownToText(markdown) {
+  const lines = (markdown || '')
+    .replace(/^\uFEFF/, '')
+    // YAML front matter
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')
+    .split(/\r?\n/);
+
+  const output = [];
+  let inFence = false;
+
+  lines.forEach((rawLine) => {
+    if (/^\s*(```|~~~)/.test(rawLine)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      output.push(rawLine);
+      return;
+    }
+
+    let line = rawLine;
+
+    // Setext underlines, horizontal rules and table separator rows
+    if (
+      /^\s*(?:=+|-{3,}|\*{3,}|_{3,})\s*$/.test(line) ||
+      /^\s*\|?(?:\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/.test(line)
+    ) {
+      output.push('');
+      return;
+    }
+
+    line = line
+      .replace(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/, '$1')
+      .replace(/^\s*>\s?/, '')
+      .replace(/^(\s*)[-*+]\s+(?:\[[ xX]\]\s+)?/, '$1• ')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(\s*(?:mailto:)?([^)\s]+)[^)]*\)/g, (_match, label, href) =>
+        linkText(label, href)
+      )
+      .replace(/<((?:https?:\/\/|mailto:)[^>\s]+|[^>\s@]+@[^>\s]+)>/g, (_match, href) =>
+        href.replace(/^mailto:/, '')
+      )
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, '$1$2')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/~~(.+?)~~/g, '$1')
+      .replace(/<[^>]+>/g, '');
+
+    // Table rows: cells become tab-separated
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      line = line
+        .trim()
+        .slice(1, -1)
+        .split('|')
+        .map((cell) => cell.trim())
+        .join('\t');
+    }
+
+    output.push(line.replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1'));
+  });
+
+  return tidyText(decodeEntities(output.join('\n')));
+}
+
+/**
+ * Decode named and numeric HTML/XML character references
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return (text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Keep link targets that carry CV data (LinkedIn URL, email) next to their label
+ */
+function linkText(label, href) {
+  const text = label.trim();
+  if (!href || href.startsWith('#') || text === href || text.includes(href)) {
+    return text;
+  }
+  return text ? `${text} (${href})` : href;
+}
+
+/**
+ * Trim trailing whitespace, collapse runs of blank lines and spaces
+ */
+function tidyText(text) {
+  return text
+    .replace(/\u00A0/g, ' ')
+    .split('\n')
+    .map((line) =>
+      line
+        .replace(/[ \t]*\t[ \t]*/g, '\t')
+        .replace(/ {2,}/g, ' ')
+        .replace(/^ +| +$/g, '')
+    )
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default {
+  rtfToText,
+  odtXmlToText,
+  htmlToText,
+  markdownToText,
+  decodeEntities,
+};
@@ -0,0 +1,423 @@
+/**
+ * Skill Taxonomy
+ * Versioned dictionary of canonical skills with aliases, categories and parent skills,
+ * plus token-boundary matching against CV text
+ *
+ * Teams can add domain skills at startup without touching the parser:
+ *   registerSkills([{ name: 'Solidity', aliases: ['sol'], group: 'language', parent: null }]);
+ *
+ * Register them on the main thread (e.g. from extensions/index.js, which parser.js imports):
+ * the parsing runner sends getRegisteredSkills() to the parser worker with every CV.
+ */
+
+import { SKILL_CATEGORIES } from './constants.js';
+
+export const SKILL_TAXONOMY_VERSION = '1.0.0';
+
+const { TECHNICAL, SOFT } = SKILL_CATEGORIES;
+
+/**
+ * Default taxonomy entries
+ * - aliases: matched case-insensitively on token boundaries
+ * - strictAliases: matched case-sensitively, and only in a list ("Go, Rust" or a skills-section
+ *   line), after "in"/"with"/"using", before a tech word ("Go services") or next to another
+ *   skill ("Python and Go"), for words that are also plain English or initials: "Go", "R"
+ */
+const DEFAULT_SKILLS = [
+  // Languages
+  { name: 'JavaScript', group: 'language', aliases: ['js', 'ecmascript', 'es6', 'es2015'] },
+  { name: 'TypeScript', group: 'language', parent: 'JavaScript' },
+  { name: 'Python', group: 'language', aliases: ['python3'] },
+  { name: 'Java', group: 'language', aliases: ['jdk', 'java se', 'java ee'] },
+  { name: 'Kotlin', group: 'language' },
+  { name: 'Scala', group: 'language' },
+  { name: 'C', group: 'language', aliases: [], strictAliases: ['C'] },
+  { name: 'C++', group: 'language', aliases: ['cpp', 'c plus plus'] },
+  { name: 'C#', group: 'language', aliases: ['csharp', 'c sharp'] },
+  { name: 'Go', group: 'language', aliases: ['golang'], strictAliases: ['Go'] },
+  { name: 'Rust', group: 'language', strictAliases: ['Rust'] },
+  { name: 'Ruby', group: 'language' },
+  { name: 'PHP', group: 'language' },
+  { name: 'Swift', group: 'language', strictAliases: ['Swift'] },
+  { name: 'Objective-C', group: 'language', aliases: ['objective c', 'objc'] },
+  { name: 'R', group: 'language', aliases: ['rstats'], strictAliases: ['R'] },
+  { name: 'MATLAB', group: 'language' },
+  { name: 'Bash', group: 'language', aliases: ['shell scripting', 'zsh'] },
+  { name: 'SQL', group: 'language', aliases: ['t-sql', 'pl/sql', 'tsql'] },
+  { name: 'HTML', group: 'language', aliases: ['html5'] },
+  { name: 'CSS', group: 'language', aliases: ['css3', 'sass', 'scss'] },
+
+  // Frameworks & libraries
+  { name: 'React', group: 'framework', aliases: ['reactjs', 'react.js'], parent: 'JavaScript' },
+  { name: 'React Native', group: 'framework', parent: 'React' },
+  { name: 'Next.js', group: 'framework', aliases: ['nextjs'], parent: 'React' },
+  { name: 'Vue', group: 'framework', aliases: ['vue.js', 'vuejs'], parent: 'JavaScript' },
+  {
+    name: 'Angular',
+    group: 'framework',
+    aliases: ['angularjs', 'angular.js'],
+    parent: 'JavaScript',
+  },
+  { name: 'Svelte', group: 'framework', parent: 'JavaScript' },
+  { name: 'Node.js', group: 'framework', aliases: ['nodejs', 'node js'], parent: 'JavaScript' },
+  {
+    name: 'Express',
+    group: 'framework',
+    aliases: ['express.js', 'expressjs'],
+    strictAliases: ['Express'],
+    parent: 'Node.js',
+  },
+  { name: 'Django', group: 'framework', parent: 'Python' },
+  { name: 'Flask', group: 'framework', parent: 'Python' },
+  { name: 'FastAPI', group: 'framework', parent: 'Python' },
+  {
+    name: 'Spring',
+    group: 'framework',
+    aliases: ['spring boot', 'springboot'],
+    strictAliases: ['Spring'],
+    parent: 'Java',
+  },
+  { name: 'Ruby on Rails', group: 'framework', aliases: ['rails', 'ror'], parent: 'Ruby' },
+  { name: '.NET', group: 'framework', aliases: ['dotnet', 'asp.net', '.net core'], parent: 'C#' },
+  { name: 'Laravel', group: 'framework', parent: 'PHP' },
+  { name: 'GraphQL', group: 'framework' },
+  { name: 'REST APIs', group: 'framework', aliases: ['restful', 'rest api', 'restful apis'] },
+
+  // Data & ML
+  { name: 'Machine Learning', group: 'data', aliases: ['ml'] },
+  { name: 'Deep Learning', group: 'data', parent: 'Machine Learning' },
+  { name: 'Artificial Intelligence', group: 'data', aliases: [], strictAliases: ['AI'] },
+  { name: 'Data Science', group: 'data' },
+  { name: 'Data Analysis', group: 'data', aliases: ['data analytics', 'analytics'] },
+  {
+    name: 'NLP',
+    group: 'data',
+    aliases: ['natural language processing'],
+    parent: 'Machine Learning',
+  },
+  { name: 'Computer Vision', group: 'data', parent: 'Machine Learning' },
+  { name: 'TensorFlow', group: 'data', parent: 'Machine Learning' },
+  { name: 'PyTorch', group: 'data', aliases: ['torch'], parent: 'Machine Learning' },
+  { name: 'scikit-learn', group: 'data', aliases: ['sklearn', 'scikit learn'], parent: 'Python' },
+  { name: 'Pandas', group: 'data', parent: 'Python' },
+  { name: 'NumPy', group: 'data', parent: 'Python' },
+  { name: 'Spark', group: 'data', aliases: ['apache spark', 'pyspark'] },
+  { name: 'Hadoop', group: 'data' },
+  { name: 'Kafka', group: 'data', aliases: ['apache kafka'] },
+  { name: 'Airflow', group: 'data', aliases: ['apache airflow'] },
+  { name: 'dbt', group: 'data' },
+  { name: 'Tableau', group: 'data' },
+  { name: 'Power BI', group: 'data', aliases: ['powerbi'] },
+  {
+    name: 'Excel',
+    group: 'data',
+    aliases: ['microsoft excel', 'ms excel'],
+    strictAliases: ['Excel'],
+  },
+  { name: 'Statistics', group: 'data', aliases: ['statistical analysis'] },
+
+  // Databases
+  { name: 'PostgreSQL', group: 'database', aliases: ['postgres', 'psql'], parent: 'SQL' },
+  { name: 'MySQL', group: 'database', parent: 'SQL' },
+  { name: 'SQL Server', group: 'database', aliases: ['mssql', 'ms sql'], parent: 'SQL' },
+  { name: 'Oracle', group: 'database', aliases: ['oracle db'], parent: 'SQL' },
+  { name: 'SQLite', group: 'database', parent: 'SQL' },
+  { name: 'MongoDB', group: 'database', aliases: ['mongo'] },
+  { name: 'Redis', group: 'database' },
+  { name: 'Elasticsearch', group: 'database', aliases: ['elastic search', 'elk'] },
+  { name: 'DynamoDB', group: 'database', parent: 'AWS' },
+  { name: 'Cassandra', group: 'database' },
+  { name: 'Snowflake', group: 'database' },
+  { name: 'BigQuery', group: 'database', parent: 'GCP' },
+
+  // Cloud & DevOps
+  { name: 'AWS', group: 'cloud', aliases: ['amazon web services'] },
+  { name: 'Azure', group: 'cloud', aliases: ['microsoft azure'] },
+  { name: 'GCP', group: 'cloud', aliases: ['google cloud', 'google cloud platform'] },
+  { name: 'Docker', group: 'devops', aliases: ['containerization'] },
+  { name: 'Kubernetes', group: 'devops', aliases: ['k8s', 'eks', 'gke', 'aks'] },
+  { name: 'Terraform', group: 'devops', aliases: ['iac', 'infrastructure as code'] },
+  { name: 'Ansible', group: 'devops' },
+  {
+    name: 'CI/CD',
+    group: 'devops',
+    aliases: ['ci cd', 'continuous integration', 'continuous delivery'],
+  },
+  { name: 'Jenkins', group: 'devops', parent: 'CI/CD' },
+  { name: 'GitHub Actions', group: 'devops', parent: 'CI/CD' },
+  { name: 'Git', group: 'devops', aliases: ['github', 'gitlab', 'version control'] },
+  { name: 'Linux', group: 'devops', aliases: ['unix'] },
+  { name: 'Microservices', group: 'devops', aliases: ['microservice architecture'] },
+  { name: 'Serverless', group: 'cloud', aliases: ['lambda', 'aws lambda'] },
+
+  // Practices & tools
+  { name: 'Agile', group: 'practice', aliases: ['scrum', 'kanban'] },
+  { name: 'Test-Driven Development', group: 'practice', aliases: ['tdd'] },
+  {
+    name: 'System Design',
+    group: 'practice',
+    aliases: ['distributed systems', 'system architecture'],
+  },
+  { name: 'Security', group: 'practice', aliases: ['cybersecurity', 'infosec', 'appsec'] },
+  { name: 'UX Design', group: 'design', aliases: ['ux', 'user experience', 'ui/ux'] },
+  { name: 'Figma', group: 'design' },
+  { name: 'Product Management', group: 'business', aliases: ['product strategy', 'roadmapping'] },
+  { name: 'Project Management', group: 'business', aliases: ['pmp', 'prince2'] },
+  { name: 'SEO', group: 'business', aliases: ['search engine optimization'] },
+  { name: 'Salesforce', group: 'business', aliases: ['sfdc'] },
+  { name: 'Financial Modeling', group: 'business', aliases: ['financial modelling', 'dcf'] },
+
+  // Soft skills
+  { name: 'Leadership', category: SOFT, group: 'soft', aliases: ['team leadership', 'led a team'] },
+  { name: 'Communication', category: SOFT, group: 'soft', aliases: ['communication skills'] },
+  { name: 'Teamwork', category: SOFT, group: 'soft', aliases: ['team player'] },
+  { name: 'Problem Solving', category: SOFT, group: 'soft', aliases: ['problem-solving'] },
+  { name: 'Critical Thinking', category: SOFT, group: 'soft' },
+  { name: 'Time Management', category: SOFT, group: 'soft' },
+  { name: 'Collaboration', category: SOFT, group: 'soft', aliases: ['cross-functional'] },
+  { name: 'Adaptability', category: SOFT, group: 'soft' },
+  { name: 'Creativity', category: SOFT, group: 'soft' },
+  { name: 'Emotional Intelligence', category: SOFT, group: 'soft' },
+  { name: 'Negotiation', category: SOFT, group: 'soft' },
+  { name: 'Public Speaking', category: SOFT, group: 'soft', aliases: ['presentations'] },
+  { name: 'Mentoring', category: SOFT, group: 'soft', aliases: ['mentored', 'coaching'] },
+  { name: 'Stakeholder Management', category: SOFT, group: 'soft' },
+];
+
+// Active taxonomy: canonical lowercase name -> normalized entry
+const taxonomy = new Map();
+let matchers = null;
+
+// Entries added through registerSkills since the last reset, in order
+let registered = [];
+
+/**
+ * Add or extend skills in the active taxonomy
+ * Entries with an existing canonical name merge their aliases into it
+ * @param {Array<{name, category, group, aliases, strictAliases, parent}>} entries
+ */
+export function registerSkills(entries) {
+  registered = [...registered, ...(entries || [])];
+  addSkills(entries);
+}
+
+/**
+ * Get the skills registered since the last reset, as passed to registerSkills
+ * @returns {Array<object>} Plain entries, safe to post to a worker
+ */
+export function getRegisteredSkills() {
+  return registered.map((entry) => ({ ...entry }));
+}
+
+function addSkills(entries) {
+  (entries || []).forEach((entry) => {
+    if (!entry?.name) {
+      return;
+    }
+
+    const key = entry.name.toLowerCase();
+    const existing = taxonomy.get(key);
+    const merged = {
+      name: existing?.name || entry.name,
+      category: entry.category || existing?.category || TECHNICAL,
+      group: entry.group || existing?.group || 'other',
+      parent: entry.parent ?? existing?.parent ?? null,
+      aliases: unique([...(existing?.aliases || []), key, ...(entry.aliases || [])].map(toLower)),
+      strictAliases: unique([...(existing?.strictAliases || []), ...(entry.strictAliases || [])]),
+    };
+
+    // Names made of plain English words are only matched via strict aliases
+    if (entry.strictAliases?.includes(entry.name)) {
+      merged.aliases = merged.aliases.filter((alias) => alias !== key);
+    }
+
+    taxonomy.set(key, merged);
+  });
+
+  matchers = null;
+}
+
+/**
+ * Get a snapshot of the active taxonomy
+ * @returns {{version: string, skills: Array<object>}}
+ */
+export function getSkillTaxonomy() {
+  return {
+    version: SKILL_TAXONOMY_VERSION,
+    skills: [...taxonomy.values()].map((entry) => ({ ...entry })),
+  };
+}
+
+/**
+ * Restore the default taxonomy (drops registered custom skills)
+ */
+export function resetSkillTaxonomy() {
+  taxonomy.clear();
+  registered = [];
+  addSkills(DEFAULT_SKILLS);
+}
+
+/**
+ * Map a skill name or alias to its canonical taxonomy name
+ * @param {string} name - e.g. "k8s", "ReactJS"
+ * @returns {string} Canonical name, or the trimmed input if unknown
+ */
+export function canonicalizeSkill(name) {
+  const value = (name || '').trim();
+  const lower = value.toLowerCase();
+  for (const entry of taxonomy.values()) {
+    if (entry.aliases.includes(lower) || entry.strictAliases.includes(value)) {
+      return entry.name;
+    }
+  }
+  return value;
+}
+
+/**
+ * Get a taxonomy entry by canonical name or alias
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function getSkill(name) {
+  return taxonomy.get(canonicalizeSkill(name).toLowerCase()) || null;
+}
+
+/**
+ * Find taxonomy skills mentioned in text, matched on token boundaries
+ * ("java" does not match "javascript", "go" does not match "good")
+ * @param {string} text - Text to scan
+ * @returns {Array<{name, category, group, parent, mentions}>} Skills in taxonomy order
+ */
+export function findSkills(text) {
+  if (!text) {
+    return [];
+  }
+
+  const matches = getMatchers().map(({ entry, regex, strictRegex }) => ({
+    entry,
+    spans: findSpans(text, regex),
+    candidates: findSpans(text, strictRegex),
+  }));
+
+  // Strict aliases need context; a neighbouring skill is context too ("Python and Go"),
+  // so keep accepting until nothing changes ("in Go and Rust" accepts Go, then Rust)
+  let accepted = true;
+  while (accepted) {
+    accepted = false;
+    const spans = matches.flatMap((match) => match.spans);
+    matches.forEach((match) => {
+      match.candidates = match.candidates.filter((span) => {
+        if (!hasStrictContext(text, span) && !spans.some((other) => isNextTo(text, span, other))) {
+          return true;
+        }
+        match.spans.push(span);
+        accepted = true;
+        return false;
+      });
+    });
+  }
+
+  return matches
+    .filter((match) => match.spans.length > 0)
+    .map(({ entry, spans }) => ({
+      name: entry.name,
+      category: entry.category,
+      group: entry.group,
+      parent: entry.parent,
+      mentions: spans.length,
+    }));
+}
+
+function getMatchers() {
+  if (!matchers) {
+    matchers = [...taxonomy.values()].map((entry) => ({
+      entry,
+      regex: buildAliasRegex(entry.aliases),
+      strictRegex: buildAliasRegex(entry.strictAliases, { strict: true }),
+    }));
+  }
+  return matchers;
+}
+
+// Context that makes a strict alias a skill: a list item (line edge, separator or
+// "and"/"or" on both sides), a preposition before it or a tech word after it
+const LIST_BEFORE = /(?:^|\n)[^\S\n]*[*•·-]?[^\S\n]*$|[,;:|•·([][^\S\n]*$|\s(?:and|or|&)[^\S\n]+$/;
+const LIST_AFTER = /^[^\S\n]*(?:$|\n|[,;|•·)\]]|\()|^\.[^\S\n]*(?:$|\n)|^[^\S\n]+(?:and|or|&)\s/;
+const TECH_BEFORE = /\b(?:in|with|using|via)[^\S\n]+$/;
+const TECH_AFTER =
+  /^[^\S\n]+(?:(?:micro)?services?|code(?:base)?|developers?|engineers?|engineering|programming|backend|apis?|librar(?:y|ies)|sdks?|apps?|applications?|modules?|scripts?|frameworks?|stack|projects?|tooling|servers?|cli|compilers?|runtime)\b/i;
+
+// Separator allowed between two neighbouring skills: "Python and Go", "Go, Rust", "C/C++"
+const NEIGHBOUR_GAP = /^[^\S\n]*(?:[,/&+]|and|or)?[^\S\n]*$/;
+
+// Token boundary: not preceded/followed by a letter, digit, or a symbol that extends
+// skill names ("c" in "c++", "net" in ".net"); a trailing sentence period is allowed.
+// Strict aliases also refuse a following "-" or a "." before a letter ("Jane R. Smith",
+// "C-suite", "Go-to-market") and only count with context (see hasStrictContext)
+function buildAliasRegex(aliases, { strict = false } = {}) {
+  if (!aliases || aliases.length === 0) {
+    return null;
+  }
+  const alternatives = [...aliases]
+    .sort((a, b) => b.length - a.length)
+    .map((alias) => alias.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/\s+/g, '[\\s-]+'))
+    .join('|');
+
+  if (strict) {
+    return new RegExp(
+      `(?<![\\p{L}\\p{N}+#./-])(?:${alternatives})(?![\\p{L}\\p{N}+#/&-]|\\.[^\\S\\n]*\\p{L})`,
+      'gu'
+    );
+  }
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}+#./-])(?:${alternatives})(?![\\p{L}\\p{N}+#/&]|\\.\\p{L})`,
+    'giu'
+  );
+}
+
+// "Rust Belt", "Swift delivery" and "I like to Go hiking" have no context
+function hasStrictContext(text, [start, end]) {
+  const before = text.slice(Math.max(0, start - 40), start);
+  const after = text.slice(end, end + 40);
+  return (
+    (LIST_BEFORE.test(before) && LIST_AFTER.test(after)) ||
+    TECH_BEFORE.test(before) ||
+    TECH_AFTER.test(after)
+  );
+}
+
+function isNextTo(text, [start, end], [otherStart, otherEnd]) {
+  if (otherEnd <= start) {
+    return NEIGHBOUR_GAP.test(text.slice(otherEnd, start));
+  }
+  return end <= otherStart && NEIGHBOUR_GAP.test(text.slice(end, otherStart));
+}
+
+// [start, end] of every match
+function findSpans(text, regex) {
+  if (!regex) {
+    return [];
+  }
+  return [...text.matchAll(regex)].map((match) => [match.index, match.index + match[0].length]);
+}
+
+function toLower(value) {
+  return value.toLowerCase();
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+resetSkillTaxonomy();
+
+export default {
+  SKILL_TAXONOMY_VERSION,
+  registerSkills,
+  getRegisteredSkills,
+  getSkillTaxonomy,
+  resetSkillTaxonomy,
+  canonicalizeSkill,
+  getSkill,
+  findSkills,
+};
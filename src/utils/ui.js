@@ -109,10 +109,52 @@ export function debounce(func, delay) {
   };
 }
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in markup built with template strings, in content or a quoted
+ * attribute. CV text, user input and provider data must go through this
+ * @param {*} value - null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * A link from provider data, escaped for an href attribute
+ * Only http(s) links are kept, so a javascript: or data: URL cannot run when clicked
+ * @param {string} url
+ * @returns {string} The escaped URL, or '#' when it is missing or not http(s)
+ */
+export function safeURL(url) {
+  return /^https?:\/\//i.test(String(url ?? '').trim()) ? escapeHTML(url.trim()) : '#';
+}
+
+/**
+ * Trigger a browser download of generated content
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type (default: application/json)
+ */
+export function downloadFile(content, filename, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 export default {
   showToast,
   showLoading,
   formatFileSize,
   formatDate,
   debounce,
+  escapeHTML,
+  safeURL,
+  downloadFile,
 };
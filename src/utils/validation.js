@@ -7,6 +7,8 @@ import {
   MAX_CV_SIZE_BYTES,
   ALLOWED_FILE_TYPES,
   ALLOWED_FILE_EXTENSIONS,
+  FILE_TYPE_ALIASES,
+  FILE_EXTENSION_TYPES,
   LINKEDIN_PATTERNS,
   MESSAGES,
 } from './constants.js';
@@ -27,20 +29,41 @@ export function validateCVFile(file) {
   }
 
   // Check file type
-  const validTypes = Object.values(ALLOWED_FILE_TYPES);
-  if (!validTypes.includes(file.type)) {
+  if (!getCVFileType(file)) {
     return { valid: false, error: MESSAGES.INVALID_FILE_TYPE };
   }
 
   // Check file extension as backup
-  const extension = `.${file.name.split('.').pop().toLowerCase()}`;
-  if (!ALLOWED_FILE_EXTENSIONS.includes(extension)) {
+  if (!ALLOWED_FILE_EXTENSIONS.includes(getFileExtension(file.name))) {
     return { valid: false, error: MESSAGES.INVALID_FILE_TYPE };
   }
 
   return { valid: true, error: null };
 }
 
+/**
+ * Resolve the canonical MIME type of a CV file
+ * Browsers report RTF, Markdown and HTML under several MIME types (or none at all),
+ * so aliases are normalized and generic types fall back to the file extension
+ * @param {File} file - File object from input element
+ * @returns {string|null} Value from ALLOWED_FILE_TYPES, or null if unsupported
+ */
+export function getCVFileType(file) {
+  if (!file) {
+    return null;
+  }
+
+  const type = FILE_TYPE_ALIASES[file.type] || file.type;
+  const byExtension = FILE_EXTENSION_TYPES[getFileExtension(file.name)] || null;
+
+  // Markdown and HTML files are often reported as plain text or untyped
+  if (!type || type === 'application/octet-stream' || type === ALLOWED_FILE_TYPES.TXT) {
+    return byExtension || (type === ALLOWED_FILE_TYPES.TXT ? type : null);
+  }
+
+  return Object.values(ALLOWED_FILE_TYPES).includes(type) ? type : null;
+}
+
 /**
  * Validate email address
  * @param {string} email - Email to validate
@@ -204,8 +227,13 @@ export function validatePagination(limit, offset) {
   return { valid: true, error: null };
 }
 
+function getFileExtension(filename) {
+  return `.${(filename || '').split('.').pop().toLowerCase()}`;
+}
+
 export default {
   validateCVFile,
+  getCVFileType,
   validateEmail,
   validatePassword,
   validateLinkedInCompanyURL,
@@ -0,0 +1,59 @@
+// @vitest-environment node
+import { describe, it, expect, afterAll } from 'vitest';
+import { recognizeImage, terminateOCR } from '../../src/services/ocr.js';
+
+// 5x7 bitmap glyphs, enough to draw a word without a canvas
+const GLYPHS = {
+  R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+  O: ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+  C: ['01111', '10000', '10000', '10000', '10000', '10000', '01111'],
+  K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+};
+
+/**
+ * Draw black text on white as a binary PGM image, a format Tesseract reads directly
+ * @param {string} text - Letters from GLYPHS
+ * @param {number} scale - Pixels per glyph dot
+ * @returns {Buffer}
+ */
+function drawText(text, scale = 4) {
+  const margin = 24;
+  const advance = 7 * scale;
+  const width = margin * 2 + text.length * advance - 2 * scale;
+  const height = margin * 2 + 7 * scale;
+  const pixels = Buffer.alloc(width * height, 255);
+
+  [...text].forEach((letter, index) => {
+    GLYPHS[letter].forEach((row, y) => {
+      [...row].forEach((dot, x) => {
+        if (dot !== '1') {
+          return;
+        }
+        for (let dy = 0; dy < scale; dy += 1) {
+          const top = (margin + y * scale + dy) * width;
+          pixels.fill(
+            0,
+            top + margin + index * advance + x * scale,
+            top + margin + index * advance + (x + 1) * scale
+          );
+        }
+      });
+    });
+  });
+
+  return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`), pixels]);
+}
+
+describe('OCR', () => {
+  afterAll(async () => {
+    await terminateOCR();
+  });
+
+  it('should recognize text in a tiny image with the bundled English data', async () => {
+    const { text, confidence, error } = await recognizeImage(drawText('ROCK'));
+
+    expect(error).toBeNull();
+    expect(text.trim()).toMatch(/^RO/);
+    expect(confidence).toBeGreaterThan(0);
+  }, 60000);
+});
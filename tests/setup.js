@@ -0,0 +1,11 @@
+/**
+ * Test Setup
+ * Runs before every test file (vitest.config.js setupFiles)
+ */
+
+// supabase.js refuses to load without these; no test talks to a real project
+vi.stubEnv('VITE_SUPABASE_URL', 'http://localhost:54321');
+vi.stubEnv('VITE_SUPABASE_ANON_KEY', 'test-anon-key');
+
+// Provider requests are built with explicit configs; nothing is ever sent
+vi.stubEnv('VITE_LINKEDIN_PROVIDER', 'mock');
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const query = {
+  upsert: vi.fn(() => query),
+  select: vi.fn(() => Promise.resolve({ data: [], error: null })),
+};
+vi.mock('../../src/services/supabase.js', () => ({ supabase: { from: vi.fn(() => query) } }));
+
+const { supabase } = await import('../../src/services/supabase.js');
+const { saveCompanyMatches, saveProfileMatches } = await import('../../src/services/database.js');
+
+const matchingCriteria = {
+  breakdown: [{ component: 'skills', weight: 0.2, score: 1, contribution: 0.2, evidence: [] }],
+  explanation: 'Mentions 1 of your skills.',
+  scoring_profile: 'balanced',
+};
+
+describe('Match Persistence', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should upsert ranked companies with their breakdown', async () => {
+    const { error } = await saveCompanyMatches('user-1', 'cv-1', [
+      {
+        name: 'TechCorp',
+        linkedin_url: 'https://www.linkedin.com/company/techcorp',
+        size: '51-200',
+        match_score: 0.2,
+        matching_criteria: matchingCriteria,
+      },
+      { name: 'No URL', match_score: 0.1, matching_criteria: matchingCriteria },
+    ]);
+
+    expect(error).toBeNull();
+    expect(supabase.from).toHaveBeenCalledWith('company_matches');
+    const [rows, options] = query.upsert.mock.calls[0];
+    expect(options).toEqual({ onConflict: 'user_id,cv_id,linkedin_url' });
+    expect(rows).toEqual([
+      expect.objectContaining({
+        user_id: 'user-1',
+        cv_id: 'cv-1',
+        company_name: 'TechCorp',
+        company_size: '51-200',
+        match_score: 0.2,
+        matching_criteria: matchingCriteria,
+      }),
+    ]);
+    expect(rows[0]).not.toHaveProperty('is_saved');
+  });
+
+  it('should upsert ranked profiles with their breakdown', async () => {
+    await saveProfileMatches('user-1', 'cv-1', [
+      {
+        name: 'Jane Smith',
+        linkedin_url: 'https://www.linkedin.com/in/janesmith',
+        shared_skills: ['Python'],
+        shared_interests: [],
+        match_score: 0.2,
+        matching_criteria: matchingCriteria,
+      },
+    ]);
+
+    expect(supabase.from).toHaveBeenCalledWith('profile_matches');
+    expect(query.upsert.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ profile_name: 'Jane Smith', matching_criteria: matchingCriteria }),
+    ]);
+  });
+
+  it('should not call the database for an empty result set', async () => {
+    expect(await saveCompanyMatches('user-1', 'cv-1', [])).toEqual({ data: [], error: null });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
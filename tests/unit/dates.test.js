@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { parseDate, parseDateRange, findDateRanges } from '../../src/utils/dates.js';
+
+const now = new Date('2024-06-15');
+
+describe('Date Ranges', () => {
+  it('should count months between month-precision dates', () => {
+    expect(parseDateRange('Mar 2021 - Nov 2023', { now })).toMatchObject({
+      startDate: '2021-03',
+      endDate: '2023-11',
+      durationMonths: 33,
+    });
+    expect(parseDateRange('03/2019 - 2020-11', { now }).durationMonths).toBe(21);
+  });
+
+  it('should run an open range to the reference date', () => {
+    expect(parseDateRange('Mar 2021 – Present', { now })).toMatchObject({
+      startDate: '2021-03',
+      endDate: null,
+      isCurrent: true,
+      durationMonths: 40,
+    });
+    expect(parseDateRange('Since June 2022', { now }).isCurrent).toBe(true);
+  });
+
+  it('should accept en and em dashes and words as separators', () => {
+    ['Jan 2020 – Dec 2020', 'Jan 2020—Dec 2020', 'Jan 2020 to Dec 2020'].forEach((text) =>
+      expect(parseDateRange(text, { now }).durationMonths).toBe(12)
+    );
+  });
+
+  it('should give a same-year range a full year of tenure', () => {
+    expect(parseDateRange('2019 – 2019', { now }).durationMonths).toBe(12);
+  });
+
+  it('should read two-digit years', () => {
+    expect(parseDateRange("Jan '19 – Jun '21", { now })).toMatchObject({
+      startDate: '2019-01',
+      endDate: '2021-06',
+    });
+    expect(parseDateRange('03/21 - 11/23', { now })).toMatchObject({
+      startDate: '2021-03',
+      endDate: '2023-11',
+    });
+    expect(parseDate("Sep '98", { now })).toEqual({ year: 1998, month: 9 });
+  });
+
+  it('should not read a lone two-digit fraction as a date', () => {
+    expect(parseDateRange('Ranked 3/20 in the cohort', { now })).toBeNull();
+  });
+
+  it('should reject ranges that end before they start', () => {
+    expect(findDateRanges('Dec 2021 - Jan 2021', { now })).toEqual([]);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { parseEducation } from '../../src/services/education.js';
+
+describe('Education', () => {
+  it('should leave the institution empty rather than take a heading or coursework', () => {
+    const [entry] = parseEducation(
+      'Education\nSummary of coursework in statistics and machine learning\nDiploma in Data Science'
+    );
+
+    expect(entry.degree).toBe('Diploma');
+    expect(entry.institution).toBeNull();
+    expect(entry.confidence.institution).toBeNull();
+  });
+
+  it('should still read an unrecognised school name next to the degree', () => {
+    const [entry] = parseEducation('Diploma in Data Science\nLe Wagon, 2021');
+
+    expect(entry.institution).toBe('Le Wagon');
+    expect(entry.graduation_year).toBe(2021);
+  });
+
+  it('should prefer a recognisable institution anywhere in the entry', () => {
+    const [entry] = parseEducation('Education\nMSc Computer Science\nImperial College London');
+
+    expect(entry.institution).toBe('Imperial College London');
+  });
+});
@@ -0,0 +1,61 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { registerExtractor, unregisterExtractor } from '../../src/services/extensions.js';
+import { parseCV } from '../../src/services/parser.js';
+
+const cv = new File(
+  ['Jane Doe\njane@example.com\n\nSkills\nPython, SQL\n\nSC cleared since 2020'],
+  'cv.txt',
+  { type: 'text/plain' }
+);
+
+describe('Parser Extensions', () => {
+  afterEach(() => {
+    ['acme_clearance', 'acme_broken', 'acme_list', 'acme_slow'].forEach(unregisterExtractor);
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should record failing extractors and still return the parse', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    let slowStarted;
+    const started = new Promise((resolve) => {
+      slowStarted = resolve;
+    });
+
+    registerExtractor('acme_clearance', ({ text }) => ({
+      level: text.match(/\b(SC|DV)\s+cleared\b/)?.[1] || null,
+    }));
+    registerExtractor('acme_broken', () => {
+      throw new Error('lookup table missing');
+    });
+    registerExtractor('acme_list', () => ['SC']);
+    registerExtractor('acme_slow', () => {
+      slowStarted();
+      return new Promise(() => {});
+    });
+
+    const parsing = parseCV(cv);
+    await started;
+    await vi.advanceTimersByTimeAsync(5000);
+    const { extractedData, error } = await parsing;
+
+    expect(error).toBeNull();
+    expect(extractedData.skills.map((skill) => skill.name)).toContain('Python');
+    expect(extractedData.extensions).toEqual({ acme_clearance: { level: 'SC' } });
+    expect(extractedData.extension_errors).toEqual([
+      { name: 'acme_broken', error: 'lookup table missing' },
+      { name: 'acme_list', error: 'must return an object of fields' },
+      { name: 'acme_slow', error: 'timed out after 5s' },
+    ]);
+  });
+
+  it('should refuse names that are not a namespace or already taken', () => {
+    expect(registerExtractor('Acme Clearance', () => ({})).error).toBeInstanceOf(Error);
+    expect(registerExtractor('acme_clearance', () => ({})).error).toBeNull();
+    expect(registerExtractor('acme_clearance', () => ({})).error.message).toContain(
+      'already registered'
+    );
+  });
+});
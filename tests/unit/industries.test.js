@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { inferIndustries } from '../../src/utils/industries.js';
+
+const names = (sources) => inferIndustries(sources).map((industry) => industry.name);
+
+describe('Industry Inference', () => {
+  it('should infer an industry from a job title held only in that industry', () => {
+    expect(names({ text: 'Nurse at St Mary hospital' })).toEqual(['Healthcare']);
+    expect(
+      names({ experience: [{ job_title: 'Senior Solicitor', company: 'Smith & Co' }] })
+    ).toEqual(['Legal']);
+  });
+
+  it('should list the title as evidence', () => {
+    const [healthcare] = inferIndustries({ text: 'Nurse at St Mary hospital' });
+    expect(healthcare.evidence).toEqual(expect.arrayContaining(['nurse', 'hospital']));
+  });
+
+  it('should still drop a single passing keyword', () => {
+    expect(names({ text: 'Built a booking page for a hospital' })).toEqual([]);
+  });
+});
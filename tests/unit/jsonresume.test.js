@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { importJSONResume, exportJSONResume } from '../../src/services/jsonresume.js';
+
+const resume = {
+  basics: { name: 'Jane Doe', email: 'jane@example.com', label: 'Engineer' },
+  work: [{ name: 'Acme', position: 'Engineer', startDate: '2020-01' }],
+  skills: [{ name: 'Python' }],
+  awards: [{ title: 'Best Paper', date: '2022' }],
+};
+
+describe('JSON Resume', () => {
+  it('should keep keys it does not generate and let generated sections win', () => {
+    const { extractedData } = importJSONResume(resume, { now: new Date('2024-06-01') });
+    extractedData.experience[0].company = 'Acme Corp';
+    extractedData.privacy = { fields: ['email'] };
+
+    const exported = exportJSONResume(extractedData);
+
+    expect(exported.awards).toEqual(resume.awards);
+    expect(exported.work[0].name).toBe('Acme Corp');
+    expect(exported.basics.email).toBe('');
+    expect(exported.meta.lastModified).toBeTruthy();
+  });
+});
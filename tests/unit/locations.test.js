@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findLocation,
+  normalizeLocation,
+  parseLocation,
+  isSameLocation,
+} from '../../src/utils/locations.js';
+
+describe('Locations', () => {
+  it('should normalize the City, Region, Country form', () => {
+    expect(normalizeLocation('London, England, United Kingdom')).toBe('London, United Kingdom');
+    expect(normalizeLocation('Austin, Texas, USA')).toBe('Austin, TX');
+    expect(normalizeLocation('Toronto, ON, Canada')).toBe('Toronto, ON');
+    expect(normalizeLocation('10 Downing Street, London, UK')).toBe('London, United Kingdom');
+  });
+
+  it('should match the same city written with and without a region', () => {
+    expect(isSameLocation('London, England, United Kingdom', 'London, United Kingdom')).toBe(true);
+    expect(isSameLocation('Austin, Texas, USA', 'Austin, TX')).toBe(true);
+  });
+
+  it('should not match same-named cities in different regions', () => {
+    expect(isSameLocation('Portland, OR', 'Portland, ME')).toBe(false);
+    expect(isSameLocation('Portland, OR', 'Portland, Oregon')).toBe(true);
+  });
+
+  it('should not read a job title or keyword line as a place', () => {
+    expect(findLocation('Senior Software Engineer, USA')).toBeNull();
+    expect(findLocation('Remote, United States')).toBeNull();
+    expect(findLocation('Jane Doe\nSenior Software Engineer, USA\nAustin, TX')).toBe('Austin, TX');
+    expect(parseLocation('Senior Software Engineer, USA').city).not.toBe(
+      'Senior Software Engineer'
+    );
+  });
+
+  it('should still accept unknown place names', () => {
+    expect(normalizeLocation('Springfield, Illinois')).toBe('Springfield, IL');
+    expect(normalizeLocation('Galway, Ireland')).toBe('Galway, Ireland');
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { renderMatchBreakdown } from '../../src/components/match-breakdown.js';
+
+describe('Match Breakdown', () => {
+  it('should render provider text as text, not markup', () => {
+    const payload = '<img src=x onerror="alert(1)">';
+    const container = document.createElement('div');
+    container.innerHTML = renderMatchBreakdown({
+      explanation: `Description mentions ${payload}`,
+      breakdown: [
+        {
+          component: 'relevance',
+          label: 'Text relevance',
+          weight: 0.2,
+          score: 0.5,
+          contribution: 0.1,
+          evidence: [payload, 'Kubernetes'],
+          reason: `Description mentions ${payload}`,
+        },
+      ],
+    });
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('.match-why-evidence').textContent).toBe(
+      `${payload}, Kubernetes`
+    );
+    expect(container.querySelector('.match-why-explanation').textContent).toContain(payload);
+  });
+
+  it('should render nothing for matches saved without a breakdown', () => {
+    expect(renderMatchBreakdown({})).toBe('');
+  });
+});
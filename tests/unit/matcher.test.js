@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { rankCompanies } from '../../src/services/matcher.js';
+
+const cvData = {
+  skills: [
+    { name: 'C', proficiency_level: 'advanced' },
+    { name: 'R', proficiency_level: 'intermediate' },
+    { name: 'Go', proficiency_level: 'advanced' },
+  ],
+  certifications: [{ name: 'AWS Certified Solutions Architect' }],
+};
+
+describe('Matcher', () => {
+  it('should not read short skill names inside plain-English words', () => {
+    const [bakery] = rankCompanies(
+      [
+        {
+          name: 'Crumb & Crust',
+          description:
+            'A family bakery creating bread, cakes and pastries for our local community.',
+        },
+      ],
+      cvData
+    );
+    const skills = bakery.matching_criteria.breakdown.find((c) => c.component === 'skills');
+
+    expect(bakery.matching_criteria.matched_skills).toEqual([]);
+    expect(skills).toMatchObject({ score: 0, evidence: [] });
+    expect(skills.reason).toBe('Mentions none of your skills');
+    expect(bakery.matching_criteria.matched_certifications).toEqual([]);
+  });
+
+  it('should match skills the company text names in a tech context', () => {
+    const [company] = rankCompanies(
+      [
+        {
+          name: 'Ledgerly',
+          description: 'We build payment backend services in Go, hosted on AWS.',
+        },
+      ],
+      cvData
+    );
+
+    expect(company.matching_criteria.matched_skills).toEqual(['Go']);
+    expect(company.matching_criteria.matched_certifications).toEqual([
+      'AWS Certified Solutions Architect',
+    ]);
+  });
+});
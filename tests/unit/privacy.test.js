@@ -0,0 +1,100 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  buildSearchQuery,
+  buildCompanySearchRequest,
+  buildProfileSearchRequest,
+  sendSearchRequest,
+} from '../../src/services/linkedin.js';
+import { findPII, findPIIInRequest, getPersonalIdentifiers } from '../../src/services/privacy.js';
+
+const PROVIDERS = ['rapidapi', 'scraperapi', 'brightdata'];
+
+// A CV whose personal data also turns up where search terms come from
+const cvData = {
+  personal: {
+    name: 'Jane Doe',
+    email: 'jane.doe@example.com',
+    phone: '+1 415 555 1234',
+    linkedin_url: 'https://linkedin.com/in/janedoe',
+    location: 'San Francisco, CA',
+  },
+  skills: [
+    { name: 'Jane Doe' },
+    { name: 'jane.doe@example.com' },
+    { name: '+1 415 555 1234' },
+    { name: '221B Baker Street' },
+    { name: 'Python' },
+  ],
+  industries: ['Technology', 'linkedin.com/in/janedoe'],
+};
+
+function buildRequests(query) {
+  return PROVIDERS.flatMap((provider) => {
+    const config = { provider, apiKey: 'test-key', endpoint: 'https://api.example.com/search' };
+    return [
+      buildCompanySearchRequest(query, {}, config),
+      buildProfileSearchRequest(query, {}, config),
+    ];
+  }).filter(Boolean);
+}
+
+describe('Privacy Contracts', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should never send PII to a provider', () => {
+    const identifiers = getPersonalIdentifiers(cvData.personal);
+    const requests = buildRequests(buildSearchQuery(cvData));
+
+    expect(requests.length).toBeGreaterThan(0);
+    requests.forEach((request) => {
+      expect(findPIIInRequest(request, identifiers)).toEqual([]);
+      const sent = decodeURIComponent(`${request.url}\n${request.init.body || ''}`);
+      ['Jane Doe', 'jane.doe@example.com', '415 555 1234', 'Baker Street', 'janedoe'].forEach(
+        (value) => expect(sent).not.toContain(value)
+      );
+      expect(sent).toContain('Python');
+    });
+  });
+
+  it('should detect each kind of PII in a request', () => {
+    const identifiers = getPersonalIdentifiers(cvData.personal);
+    const terms = ['Jane Doe', 'jane.doe@example.com', '+1 415 555 1234', '221B Baker Street'];
+    // Bypass the search-term filter by building the URL by hand
+    const request = {
+      url: `https://api.example.com/search?query=${encodeURIComponent(terms.join(' '))}`,
+      init: { method: 'GET' },
+    };
+
+    const types = findPIIInRequest(request, identifiers).map((leak) => leak.type);
+    expect(types).toEqual(
+      expect.arrayContaining(['email', 'phone', 'street_address', 'identifier'])
+    );
+  });
+
+  it('should not mistake years or skills for PII', () => {
+    expect(findPII('Python 2015 - 2019 2021, Kubernetes, 3 years on Go')).toEqual([]);
+  });
+
+  it('should refuse to send a request carrying PII', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    const request = {
+      url: 'https://api.example.com/search?query=jane.doe%40example.com%20Python',
+      init: { method: 'GET' },
+    };
+
+    await expect(sendSearchRequest(request)).rejects.toThrow(/personal data \(email\)/);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should send a clean request', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({ ok: true });
+    vi.stubGlobal('fetch', fetchMock);
+    const [request] = buildRequests(buildSearchQuery(cvData));
+
+    await sendSearchRequest(request);
+    expect(fetchMock).toHaveBeenCalledWith(request.url, expect.objectContaining(request.init));
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  enrichSkills,
+  inferProficiency,
+  calculateYearsOfUse,
+} from '../../src/services/proficiency.js';
+import { segmentCV } from '../../src/services/sections.js';
+
+const now = new Date('2024-06-01');
+
+const text = [
+  'Experience',
+  'Senior Engineer, Acme',
+  'Jan 2017 - Present',
+  'Built payment services in Python on Kubernetes.',
+  '',
+  'Skills',
+  'Python, Kubernetes, Terraform',
+].join('\n');
+
+const experience = [
+  {
+    job_title: 'Senior Engineer',
+    company: 'Acme',
+    start_date: '2017-01',
+    is_current: true,
+    description: 'Built payment services in Python on Kubernetes.',
+  },
+];
+
+describe('Skill Proficiency', () => {
+  it('should rate a skill only listed in the Skills section intermediate', () => {
+    const skills = enrichSkills(
+      [{ name: 'Python' }, { name: 'Terraform' }],
+      experience,
+      segmentCV(text),
+      { now }
+    );
+    const [python, terraform] = skills;
+
+    expect(python.proficiency).toBe('expert');
+    expect(terraform).toMatchObject({ years_of_use: 0, proficiency: 'intermediate' });
+    expect(terraform.evidence.sections).toContain('skills');
+  });
+
+  it('should leave a single passing mention outside the Skills section a beginner', () => {
+    const [rust] = enrichSkills(
+      [{ name: 'Rust' }],
+      [],
+      segmentCV('Summary\nCurious about Rust and systems work.'),
+      { now }
+    );
+
+    expect(rust.proficiency).toBe('beginner');
+  });
+
+  it('should treat skills given as a list as listed', () => {
+    const [terraform] = enrichSkills([{ name: 'Terraform' }], experience, null, { now });
+
+    expect(terraform.proficiency).toBe('intermediate');
+  });
+
+  it('should rank usage signals from beginner to expert', () => {
+    expect(inferProficiency({})).toBe('beginner');
+    expect(inferProficiency({ listed: true })).toBe('intermediate');
+    expect(inferProficiency({ yearsOfUse: 3 })).toBe('advanced');
+    expect(inferProficiency({ yearsOfUse: 4, experienceCount: 3 })).toBe('expert');
+  });
+
+  it('should count overlapping months once', () => {
+    expect(
+      calculateYearsOfUse(
+        [
+          { start_date: '2020-01', end_date: '2021-12' },
+          { start_date: '2021-01', end_date: '2022-12' },
+        ],
+        now
+      )
+    ).toBe(3);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, scoreResultRelevance } from '../../src/services/relevance.js';
+
+const cvData = {
+  summary: 'Backend engineer building payment APIs in Python and Go on Kubernetes and AWS.',
+  experience: [
+    {
+      job_title: 'Senior Software Engineer',
+      description: 'Built microservices for payments, ledger and reconciliation.',
+    },
+  ],
+  skills: [{ name: 'Python' }, { name: 'Kubernetes' }, { name: 'AWS' }],
+};
+
+describe('Text Relevance', () => {
+  it('should keep tech names whole and fold plurals', () => {
+    expect(tokenize('C++ and Node.js services for the team')).toEqual([
+      'c++',
+      'node.js',
+      'service',
+    ]);
+  });
+
+  it('should rank a result sharing more and rarer CV terms higher', () => {
+    const [strong, weak, none] = scoreResultRelevance(cvData, [
+      'Payments platform running Python microservices on Kubernetes and AWS.',
+      'Cloud company helping teams run Kubernetes.',
+      'Retail chain with 400 stores across Europe.',
+    ]);
+
+    expect(strong.score).toBeGreaterThan(weak.score);
+    expect(weak.score).toBeGreaterThan(0);
+    expect(none).toEqual({ score: 0, terms: [] });
+    expect(strong.terms).toEqual(expect.arrayContaining(['Python', 'Kubernetes']));
+  });
+
+  it('should not give a one-word overlap full marks when it is the best result', () => {
+    const [, match] = scoreResultRelevance(cvData, [
+      'Retail chain',
+      'We sell furniture and use Python.',
+      'Marketing agency',
+    ]);
+
+    expect(match.terms).toEqual(['Python']);
+    expect(match.score).toBeGreaterThan(0);
+    expect(match.score).toBeLessThan(0.5);
+  });
+
+  it('should leave the skills list to the skills component', () => {
+    const [result] = scoreResultRelevance({ skills: [{ name: 'Rust' }, { name: 'Terraform' }] }, [
+      'Infrastructure team writing Rust and Terraform.',
+    ]);
+
+    expect(result).toEqual({ score: 0, terms: [] });
+  });
+});
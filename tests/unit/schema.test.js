@@ -0,0 +1,91 @@
+import { describe, it, expect, vi } from 'vitest';
+
+const parsed = { current: null };
+vi.mock('../../src/services/storage.js', () => ({
+  downloadCV: vi.fn(() => Promise.resolve({ blob: new Blob(['CV']), error: null })),
+}));
+vi.mock('../../src/services/parsing.js', () => ({
+  parseCVInWorker: vi.fn(() => Promise.resolve({ extractedData: parsed.current, error: null })),
+}));
+
+const { migrateCVRecord } = await import('../../src/services/schema.js');
+const { getCVData } = await import('../../src/services/corrections.js');
+const { reparseCV } = await import('../../src/services/reparse.js');
+const { EXTRACTED_DATA_VERSION } = await import('../../src/utils/constants.js');
+
+// A cv_metadata row saved before extractions were versioned, with the user's corrections
+const unversionedCV = {
+  id: 'cv-1',
+  storage_path: 'user-1/cv.txt',
+  original_filename: 'cv.txt',
+  file_type: 'text/plain',
+  extracted_data: {
+    personal: { name: 'Jane Doe' },
+    skills: [{ name: 'Python', category: 'technical' }],
+    experience: [
+      { job_title: 'Engineer', company: 'Acme', start_date: '2019-01', end_date: '2021-06' },
+    ],
+    education: [
+      { degree: 'BSc Computer Science', institution: 'University of Leeds', graduation_year: 2018 },
+    ],
+    industries: ['Technology'],
+  },
+  user_corrections: {
+    skills: { added: ['Terraform'], removed: [] },
+    experience: [
+      {
+        match: { company: 'Acme', job_title: 'Engineer', start_date: '2019-01' },
+        job_title: 'Senior Engineer',
+      },
+    ],
+  },
+};
+
+describe('Extracted Data Schema', () => {
+  it('should upgrade an unversioned record to the current version on read', () => {
+    const cv = migrateCVRecord(unversionedCV);
+    const data = cv.extracted_data;
+
+    expect(data.schema_version).toBe(EXTRACTED_DATA_VERSION);
+    expect(data).toMatchObject({ extensions: {}, extension_errors: [], summary: '' });
+    expect(data.education[0]).toMatchObject({
+      degree_level: 'bachelor',
+      institution: 'University of Leeds',
+      graduation_year: 2018,
+    });
+    expect(data.industry_weights).toEqual([{ name: 'Technology', weight: 1, evidence: [] }]);
+    expect(unversionedCV.extracted_data.schema_version).toBeUndefined();
+  });
+
+  it('should keep the user corrections through the upgrade', () => {
+    const cv = migrateCVRecord(unversionedCV);
+    const data = getCVData(cv);
+
+    expect(cv.user_corrections).toBe(unversionedCV.user_corrections);
+    expect(data.skills.map((skill) => skill.name)).toEqual(['Python', 'Terraform']);
+    expect(data.experience[0].job_title).toBe('Senior Engineer');
+  });
+
+  it('should leave records from a newer version as they are', () => {
+    const cv = { extracted_data: { schema_version: EXTRACTED_DATA_VERSION + 1 } };
+
+    expect(migrateCVRecord(cv)).toBe(cv);
+  });
+
+  it('should diff a re-parse against the corrected record, keeping corrections', async () => {
+    const cv = migrateCVRecord(unversionedCV);
+    parsed.current = {
+      ...cv.extracted_data,
+      skills: [...cv.extracted_data.skills, { name: 'Go', category: 'technical' }],
+    };
+
+    const { extractedData, changes, error } = await reparseCV(cv);
+
+    expect(error).toBeNull();
+    expect(extractedData.schema_version).toBe(EXTRACTED_DATA_VERSION);
+    expect(changes).toContainEqual({ field: 'skills', label: 'Skill', before: null, after: 'Go' });
+    // The corrected title and the added skill are on both sides, so they are not changes
+    expect(changes.map((change) => change.field)).not.toContain('experience');
+    expect(changes).not.toContainEqual(expect.objectContaining({ before: 'Terraform' }));
+  });
+});
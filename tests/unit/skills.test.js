@@ -0,0 +1,73 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  findSkills,
+  registerSkills,
+  getRegisteredSkills,
+  resetSkillTaxonomy,
+} from '../../src/utils/skills.js';
+
+const names = (text) => findSkills(text).map((skill) => skill.name);
+
+describe('Skill Taxonomy', () => {
+  afterEach(() => {
+    resetSkillTaxonomy();
+  });
+
+  it('should not find short strict aliases in names and plain English', () => {
+    [
+      'Jane R. Smith',
+      'Presented to the C-suite',
+      'Led the Go-to-market plan',
+      'Grew up in the Rust Belt',
+      'Known for Swift delivery of projects',
+      'I like to Go hiking',
+    ].forEach((text) => expect(names(text)).toEqual([]));
+  });
+
+  it('should find strict aliases in lists and skills sections', () => {
+    expect(names('Languages: C, Go, Rust and R')).toEqual(
+      expect.arrayContaining(['C', 'Go', 'Rust', 'R'])
+    );
+    expect(names('Skills\n- Swift\n- Go (5 years)\n- Python')).toEqual(
+      expect.arrayContaining(['Swift', 'Go', 'Python'])
+    );
+    expect(names('Worked on search using C++ and Go.')).toEqual(['C++', 'Go']);
+    expect(names('Tools | Excel | Spring')).toEqual(expect.arrayContaining(['Excel', 'Spring']));
+  });
+
+  it('should find strict aliases in experience prose', () => {
+    expect(names('Built services in Go and Rust.')).toEqual(['Go', 'Rust']);
+    expect(names('Python and Go services on Kubernetes')).toEqual(
+      expect.arrayContaining(['Python', 'Go', 'Kubernetes'])
+    );
+    expect(names('Wrote Go microservices')).toContain('Go');
+    expect(names('Rebuilt the ledger in Go')).toEqual(['Go']);
+    expect(names('Forecasting models in R with Excel reporting')).toEqual(
+      expect.arrayContaining(['R', 'Excel'])
+    );
+  });
+
+  it('should count each prose mention of a strict alias', () => {
+    const [go] = findSkills('Wrote Go services.\nMigrated the ledger to Go and Kubernetes.');
+    expect(go).toMatchObject({ name: 'Go', mentions: 2 });
+  });
+
+  it('should keep case-insensitive aliases working in prose', () => {
+    expect(names('Built services in golang and python.')).toEqual(
+      expect.arrayContaining(['Go', 'Python'])
+    );
+  });
+
+  it('should hand registered skills over until the taxonomy is reset', () => {
+    registerSkills([{ name: 'Solidity', aliases: ['sol'], group: 'language' }]);
+
+    expect(names('Wrote contracts in Solidity')).toEqual(['Solidity']);
+    expect(getRegisteredSkills()).toEqual([
+      { name: 'Solidity', aliases: ['sol'], group: 'language' },
+    ]);
+
+    resetSkillTaxonomy();
+    expect(getRegisteredSkills()).toEqual([]);
+    expect(names('Wrote contracts in Solidity')).toEqual([]);
+  });
+});
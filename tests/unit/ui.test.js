@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { escapeHTML, safeURL } from '../../src/utils/ui.js';
+
+describe('UI Utilities', () => {
+  it('should escape markup and quotes', () => {
+    expect(escapeHTML('<b class="x">Tom\'s & co</b>')).toBe(
+      '&lt;b class=&quot;x&quot;&gt;Tom&#39;s &amp; co&lt;/b&gt;'
+    );
+    expect(escapeHTML(null)).toBe('');
+  });
+
+  it('should only keep http(s) links for an href', () => {
+    expect(safeURL('https://www.linkedin.com/company/acme?a=1&b="2"')).toBe(
+      'https://www.linkedin.com/company/acme?a=1&amp;b=&quot;2&quot;'
+    );
+    expect(safeURL('javascript:alert(1)')).toBe('#');
+    expect(safeURL(' JAVASCRIPT:alert(1)')).toBe('#');
+    expect(safeURL('data:text/html,<script>alert(1)</script>')).toBe('#');
+    expect(safeURL(undefined)).toBe('#');
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/services/supabase.js', () => ({ supabase: {} }));
+
+const { displayCVPreview } = await import('../../src/pages/upload.js');
+
+const payload = '<img src=x onerror="alert(1)">';
+
+describe('CV Preview', () => {
+  it('should render CV and user values as text, not markup', () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<div id="preview"></div>';
+    document.body.append(container);
+
+    displayCVPreview(
+      {
+        personal: { name: payload, location: payload },
+        skills: [{ name: payload, category: 'technical' }],
+        experience: [
+          { job_title: payload, company: payload, location: 'Berlin', start_date: '2020-01' },
+        ],
+        education: [{ degree: payload, field_of_study: payload, institution: payload }],
+      },
+      container.querySelector('#preview')
+    );
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('.skill-tag').textContent).toBe(payload);
+    expect(container.textContent).toContain(`${payload}, Berlin`);
+    container.remove();
+  });
+
+  it('should render certifications, languages, projects and publications as text', () => {
+    const container = document.createElement('div');
+    document.body.append(container);
+
+    displayCVPreview(
+      {
+        certifications: [{ name: payload, issuer: payload }],
+        languages: [{ name: payload, level: payload }],
+        projects: [{ name: payload, description: payload, technologies: [payload] }],
+        publications: [{ title: payload, venue: payload }],
+      },
+      container
+    );
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.textContent).toContain(`${payload} (${payload})`);
+    container.remove();
+  });
+});
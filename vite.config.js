@@ -1,6 +1,12 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
 
+// Tesseract loads "<langPath>/eng.traineddata.gz", so OCR language data keeps its file name
+const assetFileNames = (asset) =>
+  asset.name?.endsWith('.traineddata.gz')
+    ? 'assets/ocr/[name][extname]'
+    : 'assets/[name]-[hash][extname]';
+
 export default defineConfig({
   root: 'src',
   envDir: '..', // Look for .env files in project root, not src/
@@ -12,11 +18,19 @@ export default defineConfig({
       input: {
         main: resolve(__dirname, 'src/index.html'),
       },
+      output: { assetFileNames },
     },
     sourcemap: true,
     target: 'es2022',
     minify: 'esbuild',
   },
+  worker: {
+    // The parser worker lazy-loads OCR, which needs code splitting
+    format: 'es',
+    rollupOptions: {
+      output: { assetFileNames },
+    },
+  },
   server: {
     port: 5173,
     open: true,
@@ -31,6 +45,6 @@ export default defineConfig({
     },
   },
   optimizeDeps: {
-    include: ['@supabase/supabase-js', 'pdfjs-dist', 'mammoth'],
+    include: ['@supabase/supabase-js', 'pdfjs-dist', 'mammoth', 'jszip', 'tesseract.js'],
   },
 });